@@ -2,13 +2,42 @@
 
 /**
  * Base Command Class
- * Provides shared functionality for all mcp-helper slash commands
+ * Provides shared functionality for all mcp-helper slash commands. A command is defined
+ * once, as a subclass: its options schema, its execute() handler and the result it
+ * reports. The bin CLI runs it with run(); the slash command registry and the
+ * programmatic API get its result document from invoke().
  */
 
+import os from 'os';
+import path from 'path';
+import { isSensitiveEnvVar } from '../lib/secret-store.js';
+import { ANSWERS_FILE_ENV, ASSUME_YES_ENV, answerEnvName, assumingYes } from '../lib/prompter.js';
+import { McpHelperError } from '../lib/errors.js';
+import { OutputCollector, OUTPUT_FORMATS, OUTPUT_FORMAT_ENV, exclusively, formatDocument, stripAnsi } from '../lib/output.js';
+
+// Options every command accepts. An option with a `value` placeholder takes one;
+// `repeatable` ones collect every value given into an array
+export const GLOBAL_OPTIONS = {
+  help: { alias: 'h', description: 'Show this help message' },
+  yes: { alias: 'y', description: "Don't ask: accept confirmations and defaults" },
+  answers: { value: '<file>', description: 'Answer prompts from a YAML or JSON file' },
+  answer: { value: '<key=value>', repeatable: true, description: 'Answer one prompt (repeatable)' },
+  json: { description: 'Print a versioned JSON document instead of text' },
+  format: { value: '<json|yaml>', description: 'Print that document as JSON or YAML' }
+};
+
 export class BaseCommand {
   constructor(name, description) {
     this.name = name;
     this.description = description;
+    // The command's own options, in the same shape as GLOBAL_OPTIONS
+    this.options = {};
+    // Collects messages and data instead of printing them under --json / --format yaml
+    this.output = null;
+    // Set by commands whose stdout is already for programs; they skip --json / --format
+    this.ownOutput = false;
+    // Set by run(): only a CLI run owns stdin and the terminal, an in-process invoke() doesn't
+    this.ownsTerminal = false;
     this.colors = {
       reset: '\x1b[0m',
       red: '\x1b[31m',
@@ -23,51 +52,109 @@ export class BaseCommand {
 
   // Color output helpers
   success(message) {
+    if (this.output) return this.output.message('success', message);
     console.log(`${this.colors.green}✓${this.colors.reset} ${message}`);
   }
 
   error(message) {
+    if (this.output) return this.output.message('error', message);
     console.error(`${this.colors.red}✗${this.colors.reset} ${message}`);
   }
 
   warning(message) {
+    if (this.output) return this.output.message('warning', message);
     console.log(`${this.colors.yellow}⚠${this.colors.reset} ${message}`);
   }
 
   info(message) {
+    if (this.output) return this.output.message('info', message);
     console.log(`${this.colors.blue}ℹ${this.colors.reset} ${message}`);
   }
 
   dim(message) {
+    if (this.output) return this.output.message('hint', message);
     console.log(`${this.colors.gray}${message}${this.colors.reset}`);
   }
 
+  // The command's structured result, printed as `data` under --json / --format yaml
+  setResult(data) {
+    if (this.output) {
+      this.output.data = data;
+    }
+  }
+
+  // Color a unified diff (from the diff package)
+  colorizePatch(patch) {
+    return patch.split('\n').map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) return `${this.colors.cyan}${line}${this.colors.reset}`;
+      if (line.startsWith('@@')) return `${this.colors.magenta}${line}${this.colors.reset}`;
+      if (line.startsWith('+')) return `${this.colors.green}${line}${this.colors.reset}`;
+      if (line.startsWith('-')) return `${this.colors.red}${line}${this.colors.reset}`;
+      return line;
+    }).join('\n');
+  }
+
+  // Hide the values in .env content before printing it
+  maskEnvValues(content) {
+    return content.replace(/^(\s*(?:export\s+)?[\w.-]+\s*[=:]\s*)(.+)$/gm, (line, key, value) =>
+      value.trim() ? `${key}********` : line
+    );
+  }
+
+  // Hide literal credential values in config JSON before printing it
+  maskJsonSecrets(content) {
+    return content.replace(/^(\s*"([\w.-]+)": )"((?:[^"\\]|\\.)*)"/gm, (line, prefix, key, value) =>
+      isSensitiveEnvVar(key) && value && !value.startsWith('${') ? `${prefix}"********"` : line
+    );
+  }
+
+  // Show paths under the home directory as ~/...
+  tildify(filePath) {
+    const home = os.homedir();
+    return filePath.startsWith(home) ? `~${filePath.slice(home.length)}` : filePath;
+  }
+
   // Progress indicator
   startProgress(message) {
+    if (this.output) return;
     process.stdout.write(`${this.colors.cyan}⏳${this.colors.reset} ${message}...`);
   }
 
   endProgress(success = true) {
-    process.stdout.write('\r' + ' '.repeat(80) + '\r'); // Clear line
+    if (!this.output) {
+      process.stdout.write('\r' + ' '.repeat(80) + '\r'); // Clear line
+    }
     if (success) {
       this.success('Done!');
     }
   }
 
-  // Parse arguments helper
+  // Options this command accepts, its own first
+  getOptions() {
+    return this.ownOutput
+      ? { ...this.options, ...Object.fromEntries(Object.entries(GLOBAL_OPTIONS).filter(([name]) => !['json', 'format'].includes(name))) }
+      : { ...this.options, ...GLOBAL_OPTIONS };
+  }
+
+  // Parse arguments helper. Declared options without a value never take the next
+  // argument; undeclared flags take it unless it looks like another flag
   parseArgs(args) {
     const parsed = {
       _: [],
       flags: {}
     };
+    const options = this.getOptions();
 
     for (let i = 0; i < args.length; i++) {
       const arg = args[i];
       if (arg.startsWith('--')) {
         const key = arg.slice(2);
+        const option = options[key];
         const nextArg = args[i + 1];
-        if (nextArg && !nextArg.startsWith('-')) {
-          parsed.flags[key] = nextArg;
+        if (nextArg && !nextArg.startsWith('-') && (!option || option.value)) {
+          parsed.flags[key] = option?.repeatable
+            ? [...(parsed.flags[key] || []), nextArg]
+            : nextArg;
           i++;
         } else {
           parsed.flags[key] = true;
@@ -75,6 +162,10 @@ export class BaseCommand {
       } else if (arg.startsWith('-')) {
         const key = arg.slice(1);
         parsed.flags[key] = true;
+        const [name] = Object.entries(options).find(([, option]) => option.alias === key) || [];
+        if (name) {
+          parsed.flags[name] = true;
+        }
       } else {
         parsed._.push(arg);
       }
@@ -85,6 +176,11 @@ export class BaseCommand {
 
   // Help display
   showHelp() {
+    const lines = Object.entries(this.getOptions()).map(([name, option]) => {
+      const flag = `--${name}${option.value ? ` ${option.value}` : ''}${option.alias ? `, -${option.alias}` : ''}`;
+      return `  ${flag.padEnd(24)} ${option.description}`;
+    });
+
     console.log(`
 ${this.colors.cyan}${this.name}${this.colors.reset}
 ${this.colors.gray}${this.description}${this.colors.reset}
@@ -92,12 +188,29 @@ ${this.colors.gray}${this.description}${this.colors.reset}
 ${this.getUsage()}
 
 ${this.colors.yellow}Options:${this.colors.reset}
-  --help, -h    Show this help message
+${lines.join('\n')}
 
 ${this.getExamples()}
 `);
   }
 
+  // The command definition as data, for help listings and other front ends
+  describe() {
+    return {
+      name: this.name,
+      aliases: this.aliases || [],
+      description: this.description,
+      usage: stripAnsi(this.getUsage()),
+      options: Object.entries(this.getOptions()).map(([name, option]) => ({
+        name,
+        alias: option.alias || null,
+        value: option.value || null,
+        repeatable: !!option.repeatable,
+        description: option.description
+      }))
+    };
+  }
+
   // Override these in subclasses
   getUsage() {
     return `Usage: /mcp-helper ${this.name} [options]`;
@@ -107,6 +220,41 @@ ${this.getExamples()}
     return '';
   }
 
+  // Hand --answers, --answer and --yes to the Prompter through the environment, so
+  // every prompt of the command answers them the same way; MCP_HELPER_YES counts as --yes
+  applyAnswerFlags(flags) {
+    if (flags.yes || flags.y || assumingYes()) {
+      flags.yes = true;
+      process.env[ASSUME_YES_ENV] = '1';
+    }
+    if (flags.answers) {
+      if (flags.answers === true) {
+        throw new Error('--answers needs a file, e.g. --answers answers.yaml');
+      }
+      process.env[ANSWERS_FILE_ENV] = path.resolve(flags.answers);
+    }
+    for (const answer of [].concat(flags.answer || [])) {
+      const separator = typeof answer === 'string' ? answer.indexOf('=') : -1;
+      if (separator < 1) {
+        throw new Error(`--answer expects key=value, got ${answer}`);
+      }
+      process.env[answerEnvName(answer.slice(0, separator))] = answer.slice(separator + 1);
+    }
+  }
+
+  // text, or json / yaml for a result document (--json, --format or MCP_HELPER_OUTPUT)
+  getOutputFormat(flags) {
+    if (this.ownOutput) return 'text';
+    if (flags.format === true) {
+      throw new Error(`--format needs one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    const format = flags.json ? 'json' : flags.format || process.env[OUTPUT_FORMAT_ENV] || 'text';
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unknown output format '${format}'. Choose one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    return format;
+  }
+
   // Main execution method - override in subclasses
   async execute(args) {
     throw new Error(`Execute method not implemented for ${this.name}`);
@@ -114,21 +262,71 @@ ${this.getExamples()}
 
   // Run command with error handling
   async run(args = []) {
+    this.ownsTerminal = true;
     try {
       const parsed = this.parseArgs(args);
       
-      if (parsed.flags.help || parsed.flags.h) {
+      if (parsed.flags.help) {
         this.showHelp();
         return;
       }
 
+      const format = this.getOutputFormat(parsed.flags);
+      if (format !== 'text') {
+        const document = await this.invoke(args);
+        process.stdout.write(formatDocument(document, format));
+        if (!document.ok) {
+          process.exitCode = 1;
+        }
+        return;
+      }
+
+      this.applyAnswerFlags(parsed.flags);
       await this.execute(parsed);
     } catch (error) {
-      this.error(`Command failed: ${error.message}`);
+      // Expected failures (see lib/errors.js) are reported as they are
+      this.error(error instanceof McpHelperError ? error.message : `Command failed: ${error.message}`);
       if (process.env.DEBUG) {
         console.error(error.stack);
       }
       process.exit(1);
     }
   }
-}
\ No newline at end of file
+
+  // Run in-process and return the result document (see lib/output.js) instead of
+  // printing it. Nothing is asked: prompts take their answers from --answer, --answers
+  // and --yes in args. The environment and exit code are left as they were found;
+  // overlapping calls run one after another (see exclusively in lib/output.js).
+  invoke(args = []) {
+    return exclusively(() => this.invokeNow(args));
+  }
+
+  async invokeNow(args) {
+    const env = { ...process.env };
+    const exitCode = process.exitCode;
+    process.exitCode = undefined;
+    this.output = new OutputCollector(this.name);
+
+    try {
+      const parsed = this.parseArgs(args);
+      if (parsed.flags.help) {
+        this.setResult(this.describe());
+        return this.output.toDocument();
+      }
+
+      this.applyAnswerFlags(parsed.flags);
+      process.env[OUTPUT_FORMAT_ENV] = 'json';
+      await this.output.capture(() => this.execute(parsed));
+      return this.output.toDocument({ ok: !process.exitCode });
+    } catch (error) {
+      return this.output.toDocument({ ok: false, error });
+    } finally {
+      for (const key of Object.keys(process.env)) {
+        if (!(key in env)) delete process.env[key];
+      }
+      Object.assign(process.env, env);
+      process.exitCode = exitCode;
+      this.output = null;
+    }
+  }
+}
@@ -1,24 +1,35 @@
 import { BaseCommand } from '../base-command.js';
-import { spawn } from 'child_process';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { add } from '../mcp-helper-add.js';
+import { normalizeScope, SCOPE_PRECEDENCE } from '../../lib/config-manager.js';
+import { CLIENT_NAMES, getClientAdapters } from '../../lib/client-adapters.js';
+import { InvalidArgumentError } from '../../lib/errors.js';
 
 export class AddCommand extends BaseCommand {
   constructor() {
     super('add', 'Add an MCP server to your configuration');
     this.aliases = ['install'];
+    this.options = {
+      scope: { value: '<scope>', description: 'Where to configure it: global (all projects; "user" also works), local (this project, not shared) or project (.mcp.json)' },
+      as: { value: '<instance>', description: 'Add another instance of the server under this ID; its env vars are prefixed with the instance name (POSTGRES_STAGING_...)' },
+      tag: { value: '<tag|sha256:digest>', description: 'Docker: run this image tag, or pin a digest' },
+      mount: { value: '<source:target[:ro]>', repeatable: true, description: "Docker: mount a volume or host path; replaces the card's mount on the same target" },
+      network: { value: '<name>', description: 'Docker: network to attach the container to' },
+      client: { value: '<names>', description: `Also write the server to these clients (comma-separated: ${CLIENT_NAMES.join(', ')})` }
+    };
   }
 
   getUsage() {
-    return 'Usage: /mcp-helper add <server-name>';
+    return 'Usage: /mcp-helper add <server-name> [--scope global|local|project] [--as <instance>] [--tag <tag|sha256:digest>] [--mount <source:target[:ro]>...] [--network <name>] [--client <names>]';
   }
 
   getExamples() {
     return `${this.colors.yellow}Examples:${this.colors.reset}
   /mcp-helper add github        Add GitHub MCP server
-  /mcp-helper add serena        Add Serena code analysis server`;
+  /mcp-helper add serena        Add Serena code analysis server
+  /mcp-helper add memory --tag 0.6.2 --mount ./memory:/app/dist
+  /mcp-helper add postgres --as postgres-staging
+  /mcp-helper add playwright --scope local
+  /mcp-helper add github --client cursor,vscode`;
   }
 
   async execute(args) {
@@ -29,18 +40,20 @@ export class AddCommand extends BaseCommand {
       return;
     }
     
-    // Call original implementation
-    const scriptPath = path.join(__dirname, '..', 'mcp-helper-add.js');
-    const proc = spawn('node', [scriptPath, serverName], {
-      stdio: 'inherit',
-      env: process.env
-    });
-    
-    return new Promise((resolve, reject) => {
-      proc.on('close', (code) => {
-        if (code === 0) resolve();
-        else reject(new Error(`Command exited with code ${code}`));
-      });
-    });
+    const { as, tag, mount, network } = args.flags;
+    if ([as, tag, network, args.flags.scope, args.flags.client].includes(true) || mount === true) {
+      this.error('--scope, --as, --tag, --mount, --network and --client need a value');
+      return;
+    }
+
+    const scope = args.flags.scope ? normalizeScope(args.flags.scope) : null;
+    if (args.flags.scope && !scope) {
+      throw new InvalidArgumentError(`Unknown scope '${args.flags.scope}'. Use one of: ${SCOPE_PRECEDENCE.join(', ')}`);
+    }
+
+    // Checked before anything is written
+    const clients = args.flags.client ? getClientAdapters(args.flags.client).map(adapter => adapter.name) : [];
+
+    this.setResult(await add(serverName, { tag, mounts: mount || [], network }, as || null, scope, clients));
   }
-}
\ No newline at end of file
+}
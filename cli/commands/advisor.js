@@ -0,0 +1,109 @@
+import { BaseCommand } from '../base-command.js';
+import { AdvisoryEngine, serializeAdvice } from '../../lib/advisory-engine.js';
+import { ResponseFormatter } from '../../lib/response-formatter.js';
+import fs from 'fs-extra';
+import path from 'path';
+
+export class AdvisorCommand extends BaseCommand {
+  constructor() {
+    super('advisor', 'Recommend MCP servers for this project and check your configuration');
+    this.aliases = ['advise'];
+    this.options = {
+      report: { alias: 'r', description: 'Write the advice to mcp-advisory-report.md' },
+      interactive: { alias: 'i', description: 'Print the full advisory report' }
+    };
+  }
+
+  getUsage() {
+    return 'Usage: /mcp-helper advisor [--report] [--interactive]';
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper advisor
+  /mcp-helper advisor --report`;
+  }
+
+  async execute(args) {
+    const advisoryEngine = new AdvisoryEngine();
+    const advice = await advisoryEngine.getAdvice({ projectPath: process.cwd() });
+    const summary = serializeAdvice(advice);
+    this.setResult(summary);
+
+    if (args.flags.interactive) {
+      await advisoryEngine.runInteractiveAdvisory();
+      return;
+    }
+
+    if (args.flags.report) {
+      const reportPath = path.join(process.cwd(), 'mcp-advisory-report.md');
+      await fs.writeFile(reportPath, await advisoryEngine.generateReport());
+      this.success(`Report saved to ${this.tildify(reportPath)}`);
+      return;
+    }
+
+    console.log(`\n${this.colors.cyan}🧠 MCP Server Advisory${this.colors.reset}\n`);
+    await this.printRecommendations(advice.recommendations);
+
+    if (advice.warnings.length > 0) {
+      console.log(`${this.colors.yellow}Configuration warnings:${this.colors.reset}`);
+      advice.warnings.forEach(warning => console.log(`  • ${warning.message}`));
+      console.log();
+    }
+
+    if (advice.optimizations.length > 0) {
+      console.log(`${this.colors.cyan}Optimization suggestions:${this.colors.reset}`);
+      for (const optimization of advice.optimizations) {
+        console.log(`  • ${optimization.message}`);
+        if (optimization.suggestion) {
+          this.dim(`    ${optimization.suggestion}`);
+        }
+      }
+      console.log();
+    }
+
+    if (advice.tips.length > 0) {
+      console.log(`${this.colors.cyan}Tips:${this.colors.reset}`);
+      for (const category of new Set(advice.tips.map(tip => tip.category))) {
+        console.log(`  ${category}:`);
+        advice.tips.filter(tip => tip.category === category).forEach(tip => console.log(`    • ${tip.tip}`));
+      }
+      console.log();
+    }
+
+    const essential = summary.recommendations.find(recommendation => recommendation.priority === 'essential' && recommendation.serverId);
+    if (essential) {
+      this.info(`Add essential servers: /mcp-helper add ${essential.serverId}`);
+    }
+    if (advice.warnings.some(warning => warning.type === 'missing_env')) {
+      this.info('Set up the missing environment variables in your .env file');
+    }
+  }
+
+  async printRecommendations(recommendations) {
+    if (recommendations.length === 0) {
+      this.info('No new server recommendations at this time');
+      return;
+    }
+
+    const responseFormatter = new ResponseFormatter();
+    for (const [priority, title] of [['essential', 'Essential'], ['recommended', 'Recommended']]) {
+      const matching = recommendations.filter(recommendation => recommendation.priority === priority);
+      if (matching.length === 0) continue;
+
+      console.log(`${this.colors.green}${title}:${this.colors.reset}`);
+      for (const recommendation of matching) {
+        const card = recommendation.card || { name: recommendation.name, humanRating: 0, aiAgentRating: 0, runtime: 'unknown' };
+        console.log(await responseFormatter.formatServerRecommendation(card, recommendation.reason));
+      }
+      console.log();
+    }
+
+    const optional = recommendations.filter(recommendation => recommendation.priority === 'optional');
+    if (optional.length > 0) {
+      console.log(`${this.colors.gray}Optional:${this.colors.reset}`);
+      optional.forEach(recommendation => console.log(`  • ${recommendation.name}: ${recommendation.reason}`));
+      console.log();
+    }
+  }
+}
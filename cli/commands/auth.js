@@ -0,0 +1,36 @@
+import { BaseCommand } from '../base-command.js';
+import { auth } from '../mcp-helper-auth.js';
+
+export class AuthCommand extends BaseCommand {
+  constructor() {
+    super('auth', 'Sign in to a hosted MCP server that uses OAuth');
+    this.aliases = ['login'];
+    this.options = {
+      logout: { description: "Forget the server's tokens" }
+    };
+  }
+
+  getUsage() {
+    return `Usage: /mcp-helper auth <server-name> [--logout]
+
+Opens the provider's sign-in page and listens on 127.0.0.1 for its redirect. The tokens
+are kept in the secret store and refreshed when they expire.`;
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper auth linear
+  /mcp-helper auth linear --logout`;
+  }
+
+  async execute(args) {
+    const serverId = args._[0];
+    if (!serverId) {
+      this.error('Server name is required');
+      process.exitCode = 1;
+      return;
+    }
+
+    this.setResult(await auth(serverId, { logout: !!args.flags.logout }));
+  }
+}
@@ -0,0 +1,217 @@
+import { BaseCommand } from '../base-command.js';
+import { ConfigManager } from '../../lib/config-manager.js';
+import { SettingsManager } from '../../lib/settings-manager.js';
+import { createTwoFilesPatch } from 'diff';
+import { Prompter } from '../../lib/prompter.js';
+import fs from 'fs-extra';
+
+export class BackupsCommand extends BaseCommand {
+  constructor() {
+    super('backups', 'Browse, diff and restore configuration backups');
+    this.aliases = ['backup'];
+    this.options = {
+      reveal: { description: 'show: print credentials unmasked' }
+    };
+  }
+
+  getUsage() {
+    return `Usage: /mcp-helper backups <list|show|diff|restore|retention> [backup] [options]
+
+${this.colors.yellow}Subcommands:${this.colors.reset}
+  list                   List backups in ~/.mcp-helper/backups, newest first
+  show <backup>          Print a backup (credentials masked unless --reveal)
+  diff <backup>          Diff a backup against the current file
+  restore <backup>       Restore a backup over the file it was taken from
+                         (--yes or --answer restore=yes skips the prompt)
+  retention [count]      Show or set how many backups are kept per file
+
+  <backup> is a number from 'backups list' or a backup file name`;
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper backups                 List backups
+  /mcp-helper backups diff 1          What changed since the newest backup
+  /mcp-helper backups restore 2       Roll back to the second newest backup
+  /mcp-helper backups retention 25    Keep 25 backups per file`;
+  }
+
+  async execute(args) {
+    const [subcommand = 'list', ...rest] = args._;
+    const configManager = new ConfigManager();
+
+    switch (subcommand) {
+      case 'list':
+        return this.list(configManager);
+      case 'show':
+        return this.show(configManager, rest[0], args.flags);
+      case 'diff':
+        return this.diff(configManager, rest[0]);
+      case 'restore':
+        return this.restore(configManager, rest[0]);
+      case 'retention':
+        return this.retention(configManager, rest[0]);
+      default:
+        this.error(`Unknown subcommand: ${subcommand}`);
+        console.log(this.getUsage());
+        process.exitCode = 1;
+    }
+  }
+
+  async list(configManager) {
+    const backups = await configManager.listBackups();
+    this.setResult({
+      directory: configManager.backupDir,
+      retention: await configManager.getBackupRetention(),
+      backups: backups.map(({ id, filename, source, createdAt }) => ({ id, filename, source: source || null, createdAt }))
+    });
+    if (backups.length === 0) {
+      this.info('No backups yet. They are created automatically before every config change.');
+      return;
+    }
+
+    console.log(`\n${this.colors.cyan}💾 Configuration backups${this.colors.reset} ${this.colors.gray}(${configManager.backupDir})${this.colors.reset}\n`);
+    backups.forEach((backup, i) => {
+      const number = String(i + 1).padStart(3);
+      const when = backup.createdAt.toLocaleString().padEnd(24);
+      const source = backup.source ? this.tildify(backup.source) : `${backup.filename} (origin unknown)`;
+      console.log(`${number}  ${when} ${source.padEnd(40)} ${this.colors.gray}${backup.id}${this.colors.reset}`);
+    });
+    console.log();
+    this.dim(`Keeping ${await configManager.getBackupRetention()} backup(s) per file. Restore with: /mcp-helper backups restore <number>`);
+  }
+
+  async show(configManager, ref, flags) {
+    const backup = await this.resolveBackup(configManager, ref);
+    if (!backup) return;
+
+    const content = await fs.readFile(backup.path, 'utf-8');
+    const masked = this.maskSecrets(backup.filename, content);
+    this.dim(`# ${backup.id} — ${backup.createdAt.toLocaleString()}`);
+    console.log(flags.reveal ? content : masked);
+    if (!flags.reveal && masked !== content) {
+      this.dim('Values are masked. Use --reveal to show them.');
+    }
+  }
+
+  async diff(configManager, ref) {
+    const backup = await this.resolveBackup(configManager, ref);
+    if (!backup) return;
+    if (!backup.source) {
+      this.error(`Don't know which file ${backup.id} was taken from`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const backupContent = await fs.readFile(backup.path, 'utf-8');
+    const currentContent = await fs.pathExists(backup.source) ? await fs.readFile(backup.source, 'utf-8') : '';
+    if (backupContent === currentContent) {
+      this.success(`${this.tildify(backup.source)} is identical to ${backup.id}`);
+      return;
+    }
+
+    const patch = createTwoFilesPatch(
+      `${backup.id} (backup)`,
+      `${this.tildify(backup.source)} (current)`,
+      this.maskSecrets(backup.filename, backupContent),
+      this.maskSecrets(backup.filename, currentContent)
+    );
+    console.log(this.colorizePatch(patch));
+  }
+
+  async restore(configManager, ref) {
+    const backup = await this.resolveBackup(configManager, ref);
+    if (!backup) return;
+    if (!backup.source) {
+      this.error(`Don't know which file ${backup.id} was taken from`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const target = this.tildify(backup.source);
+    const prompter = new Prompter();
+    const { confirm } = await prompter.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      key: 'restore',
+      message: `Replace ${target} with the backup from ${backup.createdAt.toLocaleString()}?`,
+      // Without a terminal an unanswered confirmation fails instead of quietly declining
+      default: prompter.interactive ? false : undefined
+    }]);
+    if (!confirm) {
+      this.info('Restore cancelled');
+      return;
+    }
+
+    const { restored, safetyBackup } = await configManager.restoreBackup(backup);
+    if (!restored) {
+      this.error(`Failed to restore ${target}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    this.success(`Restored ${target} from ${backup.id}`);
+    if (safetyBackup) {
+      this.dim(`The previous version was backed up first; undo with: /mcp-helper backups restore 1`);
+    }
+    this.info('Restart Claude Code to apply the restored configuration');
+  }
+
+  async retention(configManager, value) {
+    if (value === undefined) {
+      this.info(`Keeping ${await configManager.getBackupRetention()} backup(s) per file`);
+      if (process.env.MCP_HELPER_BACKUP_RETENTION) {
+        this.dim('(set by MCP_HELPER_BACKUP_RETENTION)');
+      }
+      return;
+    }
+
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) {
+      this.error(`Retention must be a positive integer, got: ${value}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await new SettingsManager().set('backups.retention', count);
+    this.success(`Keeping ${count} backup(s) per file from now on`);
+    if (process.env.MCP_HELPER_BACKUP_RETENTION) {
+      this.warning('MCP_HELPER_BACKUP_RETENTION is set and takes precedence over this setting');
+    }
+  }
+
+  /**
+   * Find a backup by its list number or file name
+   */
+  async resolveBackup(configManager, ref) {
+    if (!ref) {
+      this.error('Backup required. Run: /mcp-helper backups list');
+      process.exitCode = 1;
+      return null;
+    }
+
+    const backups = await configManager.listBackups();
+    const backup = /^\d+$/.test(ref)
+      ? backups[parseInt(ref, 10) - 1]
+      : backups.find(b => b.id === ref);
+
+    if (!backup) {
+      this.error(`No backup '${ref}'. Run: /mcp-helper backups list`);
+      process.exitCode = 1;
+      return null;
+    }
+    return backup;
+  }
+
+  isEnvFile(filename) {
+    return filename.startsWith('.env') || filename === '.claude-env';
+  }
+
+  /**
+   * Hide values in env files, and literal credentials in config JSON (older setups kept
+   * tokens in ~/.claude.json), so backups can be shown on screen
+   */
+  maskSecrets(filename, content) {
+    return this.isEnvFile(filename) ? this.maskEnvValues(content) : this.maskJsonSecrets(content);
+  }
+}
@@ -0,0 +1,212 @@
+import { BaseCommand } from '../base-command.js';
+import { CatalogLinter } from '../../lib/catalog-linter.js';
+import { CatalogSources } from '../../lib/catalog-sources.js';
+import { ServerCardsManager } from '../../lib/server-cards.js';
+import path from 'path';
+import fs from 'fs-extra';
+
+export class CatalogCommand extends BaseCommand {
+  constructor() {
+    super('catalog', 'Validate the server card catalog and manage catalog sources');
+    this.options = {
+      custom: { description: 'lint: also check your cards in ~/.mcp-helper/custom-servers' },
+      strict: { description: 'lint: fail on warnings too' },
+      dir: { value: '<dir>', description: 'lint: check another directory of cards' },
+      refresh: { description: 'sources: refetch remote sources instead of using the cache' },
+      type: { value: '<type>', description: 'add-source: directory, git or http (guessed from <where>)' },
+      subdir: { value: '<path>', description: 'add-source: where the cards live inside a directory or git checkout' },
+      priority: { value: '<n>', description: 'add-source: higher wins when sources define the same card ID (default 50; the bundled catalog is 0, your custom cards 100)' },
+      'public-key': { value: '<pem>', description: 'add-source: PEM file whose key signs the HTTP index (<url>.sig, base64)' },
+      'allow-unsigned': { description: 'add-source: accept an HTTP index without a signature' }
+    };
+  }
+
+  getUsage() {
+    return `Usage: /mcp-helper catalog <lint|sources|add-source|remove-source|update> [options]
+
+${this.colors.yellow}Subcommands:${this.colors.reset}
+  lint                       Check every server card against the schema and catalog rules
+  sources                    List catalog sources, their priority and status
+  add-source <name> <where>  Add a directory, git checkout or HTTP index URL
+  remove-source <name>       Remove a source and its cached index
+  update                     Pull git sources and refetch HTTP indexes
+
+Exits with status 1 when there are errors (or warnings with --strict).`;
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper catalog lint
+  /mcp-helper catalog lint --custom --strict
+  /mcp-helper catalog add-source acme https://mcp.acme.internal/index.json --public-key ~/acme-catalog.pem
+  /mcp-helper catalog add-source platform ~/src/platform-mcp-catalog --priority 60`;
+  }
+
+  async execute(args) {
+    const [subcommand = 'lint', ...rest] = args._;
+
+    switch (subcommand) {
+      case 'lint':
+        return this.lint(args.flags);
+      case 'sources':
+        return this.sources(args.flags);
+      case 'add-source':
+        return this.addSource(rest[0], rest[1], args.flags);
+      case 'remove-source':
+        return this.removeSource(rest[0]);
+      case 'update':
+        return this.update();
+      default:
+        this.error(`Unknown subcommand: ${subcommand}`);
+        console.log(this.getUsage());
+        process.exitCode = 1;
+    }
+  }
+
+  async lint(flags) {
+    const linter = new CatalogLinter(typeof flags.dir === 'string' ? { cardsDir: path.resolve(flags.dir) } : {});
+    const result = await linter.lint({ includeCustom: !!flags.custom });
+    this.setResult(result);
+
+    console.log(`\n${this.colors.cyan}🔎 Catalog lint${this.colors.reset}`);
+    this.dim(`Checked ${result.cards} card(s)\n`);
+
+    const byFile = new Map();
+    for (const issue of result.issues) {
+      if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+      byFile.get(issue.file).push(issue);
+    }
+
+    for (const [file, issues] of byFile) {
+      console.log(file);
+      for (const issue of issues) {
+        const mark = issue.severity === 'error'
+          ? `${this.colors.red}error${this.colors.reset}`
+          : `${this.colors.yellow}warning${this.colors.reset}`;
+        console.log(`  ${mark}  ${issue.message} ${this.colors.gray}${issue.rule}${this.colors.reset}`);
+      }
+      console.log();
+    }
+
+    const failed = result.errors > 0 || (flags.strict && result.warnings > 0);
+    const summary = `${result.errors} error(s), ${result.warnings} warning(s)`;
+    if (failed) {
+      this.error(summary);
+      process.exitCode = 1;
+    } else if (result.warnings > 0) {
+      this.warning(summary);
+    } else {
+      this.success('All cards are valid');
+    }
+  }
+
+  async sources(flags = {}) {
+    const serverCardsManager = new ServerCardsManager();
+    await serverCardsManager.initialize({ refresh: !!flags.refresh, quiet: true });
+    const overridden = serverCardsManager.getAllCards()
+      .map(card => ({ id: card.id, origin: serverCardsManager.getCardOrigin(card.id) }))
+      .filter(({ origin }) => origin?.shadows.length > 0);
+    this.setResult({
+      sources: [...serverCardsManager.sourceStatus].reverse(),
+      overridden: overridden.map(({ id, origin }) => ({ id, source: origin.source, shadows: origin.shadows }))
+    });
+
+    console.log(`\n${this.colors.cyan}📚 Catalog sources${this.colors.reset} ${this.colors.gray}(highest priority first)${this.colors.reset}\n`);
+    for (const source of [...serverCardsManager.sourceStatus].reverse()) {
+      const status = {
+        ok: `${this.colors.green}ok${this.colors.reset}`,
+        cached: `${this.colors.green}cached${this.colors.reset}`,
+        stale: `${this.colors.yellow}stale cache${this.colors.reset}`,
+        error: `${this.colors.red}unavailable${this.colors.reset}`
+      }[source.status];
+      const details = [source.revision && `@${source.revision}`, source.fetchedAt && `fetched ${source.fetchedAt}`].filter(Boolean).join(', ');
+
+      console.log(`  ${source.name.padEnd(14)} ${String(source.priority).padStart(3)}  ${source.type.padEnd(9)} ${status}  ${source.cards} card(s)`);
+      this.dim(`  ${' '.repeat(14)}      ${this.tildify(source.location)}${details ? ` (${details})` : ''}`);
+      if (source.error) {
+        this.dim(`  ${' '.repeat(14)}      ${source.error}`);
+      }
+    }
+
+    if (overridden.length > 0) {
+      console.log(`\n${this.colors.yellow}Overridden cards:${this.colors.reset}`);
+      overridden.forEach(({ id, origin }) => console.log(`  ${id}: from ${origin.source} (also in ${origin.shadows.join(', ')})`));
+    }
+    console.log();
+  }
+
+  async addSource(name, where, flags) {
+    if (!name || !where) {
+      this.error('Usage: /mcp-helper catalog add-source <name> <directory|git checkout|url>');
+      process.exitCode = 1;
+      return;
+    }
+
+    const type = typeof flags.type === 'string' ? flags.type : this.guessType(where);
+    const source = { name, type };
+    if (type === 'http') {
+      source.url = where;
+    } else {
+      source.path = path.resolve(where);
+    }
+    if (typeof flags.subdir === 'string') {
+      source.subdir = flags.subdir;
+    }
+    if (flags.priority !== undefined) {
+      source.priority = parseInt(flags.priority, 10);
+      if (Number.isNaN(source.priority)) {
+        this.error('--priority must be a number');
+        process.exitCode = 1;
+        return;
+      }
+    }
+    if (typeof flags['public-key'] === 'string') {
+      source.publicKey = path.resolve(flags['public-key']);
+    }
+    if (flags['allow-unsigned']) {
+      source.allowUnsigned = true;
+    }
+
+    const catalogSources = new CatalogSources();
+    await catalogSources.addSource(source);
+    const result = await catalogSources.load(source, { refresh: true });
+
+    if (result.status === 'error') {
+      this.warning(`Added ${name}, but it can't be loaded yet: ${result.error}`);
+    } else {
+      this.success(`Added ${type} source ${name} with ${result.cards.length} card(s)`);
+    }
+  }
+
+  async removeSource(name) {
+    if (!name) {
+      this.error('Source name required');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (await new CatalogSources().removeSource(name)) {
+      this.success(`Removed catalog source ${name}`);
+    } else {
+      this.warning(`No catalog source named ${name}`);
+    }
+  }
+
+  async update() {
+    const catalogSources = new CatalogSources();
+    for (const source of await catalogSources.getSources()) {
+      if (source.type !== 'git') continue;
+      try {
+        this.info(`${source.name}: ${await catalogSources.pull(source) || 'up to date'}`);
+      } catch (error) {
+        this.warning(`${source.name}: git pull failed: ${error.message.split('\n')[0]}`);
+      }
+    }
+    return this.sources({ refresh: true });
+  }
+
+  guessType(where) {
+    if (/^https?:\/\//.test(where)) return 'http';
+    return fs.existsSync(path.join(where, '.git')) ? 'git' : 'directory';
+  }
+}
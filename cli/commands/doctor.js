@@ -0,0 +1,109 @@
+import { BaseCommand } from '../base-command.js';
+import { ConfigManager } from '../../lib/config-manager.js';
+import { HealthChecker } from '../../lib/health-checker.js';
+import { MinimumServersValidator } from '../../lib/minimum-servers-validator.js';
+
+export class DoctorCommand extends BaseCommand {
+  constructor() {
+    super('doctor', 'Start configured MCP servers and verify the MCP handshake');
+    this.aliases = ['health'];
+    this.options = {
+      timeout: { value: '<ms>', description: 'How long to wait for each server to answer' },
+      verbose: { description: 'Show every tool, server info and the stderr of failed servers' }
+    };
+  }
+
+  getUsage() {
+    return 'Usage: /mcp-helper doctor [server-name...] [--timeout <ms>] [--verbose]';
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper doctor                  Probe every configured server
+  /mcp-helper doctor github-official  Probe a single server
+  /mcp-helper doctor --timeout 30000  Allow slow servers (e.g. docker pulls) more time`;
+  }
+
+  async execute(args) {
+    const configManager = new ConfigManager();
+    const timeout = parseInt(args.flags.timeout, 10) || undefined;
+    const checker = new HealthChecker(configManager, { timeout });
+
+    let servers = await configManager.listServers();
+    if (args._.length > 0) {
+      const unknown = args._.filter(id => !servers.some(s => s.id === id));
+      if (unknown.length > 0) {
+        this.error(`Not configured: ${unknown.join(', ')}`);
+        process.exitCode = 1;
+        return;
+      }
+      servers = servers.filter(s => args._.includes(s.id));
+    }
+
+    if (servers.length === 0) {
+      await this.report(configManager, []);
+      this.warning('No MCP servers configured yet.');
+      this.info('Run: /mcp-helper add <server> to add one');
+      return;
+    }
+
+    console.log(`\n${this.colors.cyan}🩺 MCP-Helper Doctor${this.colors.reset}`);
+    this.dim(`Probing ${servers.length} configured server(s)...\n`);
+
+    // Probe sequentially - servers like docker images are heavy to start
+    const env = await checker.getResolutionEnv();
+    const results = [];
+    for (const server of servers) {
+      this.startProgress(`Checking ${server.id}`);
+      const result = await checker.checkServer(server.id, server.config, env);
+      this.endProgress(false);
+      this.printResult(result, args.flags.verbose);
+      results.push(result);
+    }
+
+    await this.report(configManager, results);
+    const failed = results.filter(r => !r.healthy);
+    console.log();
+    if (failed.length === 0) {
+      this.success(`All ${results.length} server(s) healthy`);
+    } else {
+      this.error(`${failed.length} of ${results.length} server(s) failed: ${failed.map(r => r.id).join(', ')}`);
+      this.dim('Fix the errors above, then re-run: /mcp-helper doctor');
+      process.exitCode = 1;
+    }
+  }
+
+  // Probe results and the foundation server check, for --json
+  async report(configManager, results) {
+    if (!this.output) return;
+    this.setResult({
+      servers: results,
+      foundation: await new MinimumServersValidator(configManager).getValidationReport()
+    });
+  }
+
+  printResult(result, verbose = false) {
+    const label = `${result.id.padEnd(24)} ${result.transport.padEnd(6)}`;
+
+    if (!result.healthy) {
+      this.error(`${label} ${result.error}`);
+      if (verbose && result.stderr) {
+        this.dim(result.stderr.trim().split('\n').map(line => `    ${line}`).join('\n'));
+      }
+      return;
+    }
+
+    const latency = `${result.latencyMs}ms`.padStart(7);
+    const toolNames = verbose || result.tools.length <= 5
+      ? result.tools.join(', ')
+      : `${result.tools.slice(0, 5).join(', ')}, …`;
+    this.success(`${label} ${latency}  ${result.tools.length} tool(s)${toolNames ? ` (${toolNames})` : ''}`);
+
+    if (result.error) {
+      this.warning(`  ${result.error}`);
+    }
+    if (verbose && result.serverInfo) {
+      this.dim(`    ${result.serverInfo.name} ${result.serverInfo.version || ''} · protocol ${result.protocolVersion}`);
+    }
+  }
+}
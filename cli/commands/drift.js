@@ -0,0 +1,88 @@
+import { BaseCommand } from '../base-command.js';
+import { ConfigManager } from '../../lib/config-manager.js';
+import { ServerCardsManager } from '../../lib/server-cards.js';
+import { DriftDetector } from '../../lib/drift-detector.js';
+
+export class DriftCommand extends BaseCommand {
+  constructor() {
+    super('drift', 'Show servers edited by hand, with updated cards, or not managed by mcp-helper');
+    this.options = {
+      check: { description: 'Exit with status 1 when any managed server has drifted' }
+    };
+  }
+
+  getUsage() {
+    return 'Usage: /mcp-helper drift [--check]';
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper drift
+  /mcp-helper drift --check`;
+  }
+
+  async execute(args) {
+    const configManager = new ConfigManager();
+    const serverCardsManager = new ServerCardsManager();
+    await serverCardsManager.initialize({ quiet: true });
+
+    const results = await new DriftDetector(configManager, serverCardsManager).detect();
+    this.setResult({ servers: results });
+    const label = result => `${result.id} ${this.colors.gray}(${result.scope}${result.effective ? '' : ', shadowed'})${this.colors.reset}`;
+
+    console.log(`\n${this.colors.cyan}🧭 Drift report${this.colors.reset}\n`);
+    if (results.length === 0) {
+      this.info('No servers configured');
+      return;
+    }
+
+    const modified = results.filter(result => result.modified);
+    const cardChanged = results.filter(result => result.cardChanged);
+    const cardMissing = results.filter(result => result.cardMissing);
+    const unmanaged = results.filter(result => !result.managed);
+    const inSync = results.filter(result => result.managed && !result.modified && !result.cardChanged && !result.cardMissing);
+
+    if (modified.length > 0) {
+      console.log(`${this.colors.yellow}Edited by hand since mcp-helper wrote them:${this.colors.reset}`);
+      for (const result of modified) {
+        const fields = result.fields.length > 0 ? result.fields.join(', ') : 'changed';
+        console.log(`  ${label(result)}  ${fields}`);
+      }
+      this.dim('  /mcp-helper add <server> merges your edits with the card');
+      console.log();
+    }
+
+    if (cardChanged.length > 0) {
+      console.log(`${this.colors.yellow}Card changed upstream:${this.colors.reset}`);
+      for (const result of cardChanged) {
+        const version = result.writtenVersion !== result.currentVersion
+          ? `${result.writtenVersion || 'unversioned'} → ${result.currentVersion || 'unversioned'}`
+          : 'card edited without a version change';
+        console.log(`  ${label(result)}  ${version}`);
+      }
+      this.dim('  /mcp-helper add <server> regenerates the entry');
+      console.log();
+    }
+
+    if (cardMissing.length > 0) {
+      console.log(`${this.colors.yellow}Card no longer in the catalog:${this.colors.reset}`);
+      cardMissing.forEach(result => console.log(`  ${label(result)}  ${result.cardId}`));
+      console.log();
+    }
+
+    if (unmanaged.length > 0) {
+      console.log(`${this.colors.gray}Not managed by mcp-helper:${this.colors.reset}`);
+      unmanaged.forEach(result => console.log(`  ${label(result)}`));
+      console.log();
+    }
+
+    if (inSync.length > 0) {
+      this.success(`In sync: ${inSync.map(result => result.id).join(', ')}`);
+    }
+
+    const drifted = modified.length + cardChanged.length + cardMissing.length;
+    if (args.flags.check && drifted > 0) {
+      process.exitCode = 1;
+    }
+  }
+}
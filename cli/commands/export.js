@@ -0,0 +1,71 @@
+import { BaseCommand } from '../base-command.js';
+import { ConfigManager } from '../../lib/config-manager.js';
+import { ServerCardsManager } from '../../lib/server-cards.js';
+import { ProfileManager } from '../../lib/profile-manager.js';
+import fs from 'fs-extra';
+import path from 'path';
+
+export class ExportCommand extends BaseCommand {
+  constructor() {
+    super('export', 'Export configured servers as a shareable profile (env var names only, never values)');
+    // --format picks the profile's format; the profile is a versioned document already
+    this.ownOutput = true;
+    this.options = {
+      format: { value: '<yaml|json>', description: 'Profile format (default: from the file extension, else yaml)' },
+      json: { description: 'Same as --format json' },
+      servers: { value: '<a,b>', description: 'Only export these servers' },
+      name: { value: '<name>', description: 'Name recorded in the profile' }
+    };
+  }
+
+  getUsage() {
+    return `Usage: /mcp-helper export [file] [--format yaml|json] [--servers a,b] [--name <name>]
+
+Writes to stdout when no file is given. The format follows the file extension
+(.json or .yaml/.yml) unless --format is passed.`;
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper export team-setup.yaml
+  /mcp-helper export --format json > setup.json
+  /mcp-helper export frontend.yaml --servers github-official,playwright`;
+  }
+
+  async execute(args) {
+    const file = args._[0];
+    const format = args.flags.json ? 'json'
+      : typeof args.flags.format === 'string' ? args.flags.format
+      : (file && path.extname(file) === '.json' ? 'json' : 'yaml');
+
+    if (!['yaml', 'json'].includes(format)) {
+      this.error(`Unknown format '${format}'. Use yaml or json`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const configManager = new ConfigManager();
+    const serverCardsManager = new ServerCardsManager();
+    await serverCardsManager.initialize();
+    const profiles = new ProfileManager(configManager, serverCardsManager);
+
+    const profile = await profiles.buildProfile({
+      servers: typeof args.flags.servers === 'string' ? args.flags.servers.split(',').map(s => s.trim()) : [],
+      name: typeof args.flags.name === 'string' ? args.flags.name : undefined
+    });
+    const content = profiles.serialize(profile, format);
+
+    if (!file) {
+      process.stdout.write(content);
+      return;
+    }
+
+    await fs.writeFile(file, content);
+    this.success(`Exported ${profile.servers.length} server(s) to ${file}`);
+    const custom = profile.servers.filter(server => !server.card).map(server => server.id);
+    if (custom.length > 0) {
+      this.dim(`Not in the catalog, exported with their launch config: ${custom.join(', ')}`);
+    }
+    this.dim('No env values or secrets were written; import prompts for whatever is missing.');
+  }
+}
@@ -0,0 +1,76 @@
+import { BaseCommand, GLOBAL_OPTIONS } from '../base-command.js';
+
+export class HelpCommand extends BaseCommand {
+  constructor(registry) {
+    super('help', 'Show all commands, or the options of one');
+    this.registry = registry;
+  }
+
+  getUsage() {
+    return 'Usage: /mcp-helper help [command]';
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper init                    Initialize project with MCP configuration
+  /mcp-helper add github              Add GitHub MCP server interactively
+  /mcp-helper list                    Show all configured servers
+  /mcp-helper reconfigure serena      Modify Serena server configuration
+  /mcp-helper add-custom              Add a custom MCP server
+  /mcp-helper remove github --dry-run Preview removing a server
+  /mcp-helper doctor                  Start each server and verify the MCP handshake
+  /mcp-helper backups diff 1          Compare a config file with its newest backup
+  /mcp-helper secrets set GITHUB_TOKEN  Store a token in the encrypted vault
+  /mcp-helper export team.yaml        Share your server setup (no secrets included)
+  /mcp-helper catalog lint            Validate every server card (non-zero exit on errors)
+  /mcp-helper drift                   Find hand-edited, outdated and unmanaged servers
+  /mcp-helper upgrade --all --dry-run Preview updating servers to their current cards
+  /mcp-helper use staging             Resolve server values from .env.mcp.staging
+  /mcp-helper list --explain github   Show where each of a server's values comes from
+  /mcp-helper doctor --json           Health check results for other tools to read
+  /mcp-helper advisor                 Recommend servers for this project
+  /mcp-helper help add                Show the options of one command`;
+  }
+
+  async execute(args) {
+    const name = args._[0];
+    if (name) {
+      const command = this.registry.create(name);
+      if (!command) {
+        this.error(`Unknown command: ${name}`);
+        process.exitCode = 1;
+        return;
+      }
+      this.setResult(command.describe());
+      command.showHelp();
+      return;
+    }
+
+    const commands = this.registry.list();
+    this.setResult({ commands: commands.map(command => command.describe()) });
+
+    console.log(`
+${this.colors.cyan}🚀 MCP-Helper${this.colors.reset}
+${this.colors.gray}Slash command extension for Claude Code CLI to manage MCP server configurations${this.colors.reset}
+
+${this.colors.yellow}Usage:${this.colors.reset}
+  /mcp-helper <command> [options]
+
+${this.colors.yellow}Available Commands:${this.colors.reset}`);
+    for (const command of commands) {
+      const aliases = command.aliases ? ` (${command.aliases.join(', ')})` : '';
+      console.log(`  ${this.colors.cyan}${command.name.padEnd(15)}${this.colors.reset} ${command.description}${aliases}`);
+    }
+
+    const options = Object.entries(GLOBAL_OPTIONS).map(([option, { value, alias, description }]) =>
+      `  ${`--${option}${value ? ` ${value}` : ''}${alias ? `, -${alias}` : ''}`.padEnd(24)} ${description}`);
+    console.log(`
+${this.getExamples()}
+
+${this.colors.yellow}Options (every command):${this.colors.reset}
+${options.join('\n')}
+
+${this.colors.gray}For more information, visit: https://github.com/hybrisPawelWiacek/mcp-helper-v1${this.colors.reset}
+`);
+  }
+}
@@ -0,0 +1,105 @@
+import { BaseCommand } from '../base-command.js';
+import { ConfigManager, SCOPE_PRECEDENCE, normalizeScope } from '../../lib/config-manager.js';
+import { ServerCardsManager } from '../../lib/server-cards.js';
+import { ProfileManager } from '../../lib/profile-manager.js';
+import { ClaudeMdGenerator } from '../../lib/claude-md-generator.js';
+import { Prompter } from '../../lib/prompter.js';
+
+export class ImportCommand extends BaseCommand {
+  constructor() {
+    super('import', 'Configure every server in a profile written by export');
+    this.options = {
+      scope: { value: '<global|local|project>', description: 'Where to add the servers' },
+      overwrite: { description: 'Replace servers already configured in that scope' }
+    };
+  }
+
+  getUsage() {
+    return `Usage: /mcp-helper import <file> [--scope global|local|project] [--overwrite]
+
+Servers already configured in the target scope are skipped unless --overwrite is
+passed. Only env vars that aren't already in the secret store, the project .env
+or the environment are prompted for.`;
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper import team-setup.yaml
+  /mcp-helper import setup.json --scope project`;
+  }
+
+  async execute(args) {
+    const file = args._[0];
+    if (!file) {
+      this.error('Profile file is required');
+      process.exitCode = 1;
+      return;
+    }
+
+    const scope = typeof args.flags.scope === 'string' ? normalizeScope(args.flags.scope) : undefined;
+    if (scope === null && typeof args.flags.scope === 'string') {
+      this.error(`Unknown scope '${args.flags.scope}'. Use one of: ${SCOPE_PRECEDENCE.join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const configManager = new ConfigManager();
+    const serverCardsManager = new ServerCardsManager();
+    await serverCardsManager.initialize();
+    const profiles = new ProfileManager(configManager, serverCardsManager);
+
+    const profile = await profiles.readProfile(file);
+    const steps = await profiles.planImport(profile, { scope, overwrite: !!args.flags.overwrite });
+    const pending = steps.filter(step => !step.skip);
+
+    console.log(`\n${this.colors.cyan}📦 Importing ${profile.name || file}${this.colors.reset}\n`);
+    steps.filter(step => step.skip).forEach(step => this.dim(`  - ${step.id}: skipped, ${step.skip}`));
+
+    const missing = pending.flatMap(step => step.env.filter(envVar => envVar.missing && envVar.required));
+    const names = [...new Map(missing.map(envVar => [envVar.name, envVar])).values()];
+
+    // Values can also be answered ahead, with the key env.<NAME>
+    const prompter = new Prompter();
+    const unanswered = [];
+    for (const envVar of names) {
+      if (await prompter.lookup(`env.${envVar.name}`) === undefined) unanswered.push(envVar);
+    }
+    if (unanswered.length > 0 && !prompter.interactive) {
+      this.error(`Missing values for: ${unanswered.map(envVar => envVar.name).join(', ')}`);
+      this.info('Store secrets with: mcp-helper secrets set <NAME>, export the variables or answer them (--answer env.<NAME>=<value>), then import again');
+      process.exitCode = 1;
+      return;
+    }
+
+    const values = names.length > 0 ? await this.promptValues(prompter, names) : {};
+
+    for (const step of pending) {
+      await profiles.applyStep(step, values);
+      this.success(`${step.id} (${step.scope})`);
+    }
+
+    if (pending.length > 0) {
+      const claudeMdGenerator = new ClaudeMdGenerator(configManager, serverCardsManager);
+      await claudeMdGenerator.generate();
+    }
+
+    console.log();
+    this.success(`Imported ${pending.length} of ${steps.length} server(s)`);
+    if (pending.length > 0) {
+      this.info('Restart Claude Code to load the new servers');
+    }
+  }
+
+  async promptValues(prompter, envVars) {
+    if (prompter.interactive) {
+      this.info('Enter the values this machine doesn\'t have yet:');
+    }
+    return prompter.prompt(envVars.map(envVar => ({
+      type: envVar.secret ? 'password' : 'input',
+      name: envVar.name,
+      key: `env.${envVar.name}`,
+      mask: '*',
+      message: envVar.description ? `${envVar.name} (${envVar.description}):` : `${envVar.name}:`
+    })));
+  }
+}
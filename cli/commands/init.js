@@ -9,6 +9,9 @@ import path from 'path';
 export class InitCommand extends BaseCommand {
   constructor() {
     super('init', 'Initialize MCP configuration for your project');
+    this.options = {
+      force: { description: 'Overwrite an existing .env' }
+    };
   }
 
   getUsage() {
@@ -0,0 +1,135 @@
+import { spawn } from 'child_process';
+import { BaseCommand } from '../base-command.js';
+import { SecretStore, findSecretRefs, replaceSecretRefs } from '../../lib/secret-store.js';
+import { ConfigManager } from '../../lib/config-manager.js';
+
+/**
+ * Runs an MCP server with its ${secret:NAME} references resolved.
+ * Values in the active environment profile (mcp-helper use) win over the secret store,
+ * and ${VAR} placeholders left unexpanded are filled from the project env.
+ * Claude Code talks MCP over this process's stdin/stdout, so nothing but the
+ * child's output may ever be written to stdout.
+ * With --headers it is a remote server's headersHelper instead, and prints the
+ * resolved headers as the JSON object Claude Code expects.
+ */
+export class LaunchCommand extends BaseCommand {
+  constructor() {
+    super('launch', 'Start a server with ${secret:NAME} references resolved (used in generated configs)');
+  }
+
+  getUsage() {
+    return `Usage: mcp-helper launch -- <command> [args...]
+       mcp-helper launch --headers '<Name>: <value>'...`;
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  GITHUB_TOKEN='\${secret:GITHUB_TOKEN}' mcp-helper launch -- npx -y @modelcontextprotocol/server-github
+  mcp-helper launch -- docker run -i --rm -e 'TOKEN=\${secret:TOKEN}' image
+  mcp-helper launch --headers 'Authorization: Bearer \${secret:TOKEN}'`;
+  }
+
+  // Everything after `--` belongs to the server, so the usual flag parsing is skipped
+  async run(args = []) {
+    if (args[0] === '--headers') {
+      await this.printHeaders(args.slice(1));
+      return;
+    }
+
+    const separator = args.indexOf('--');
+    const [command, ...commandArgs] = separator === -1 ? args : args.slice(separator + 1);
+
+    if (!command || command === '--help' || command === '-h') {
+      this.showHelp();
+      process.exitCode = command ? 0 : 1;
+      return;
+    }
+
+    try {
+      const { env, args: serverArgs } = await this.applyEnvProfile({ ...process.env }, commandArgs);
+      const store = new SecretStore();
+      const { values, missing } = await store.resolveRefs({ env, args: serverArgs });
+
+      if (missing.length > 0) {
+        throw new Error(`Missing secret(s): ${missing.join(', ')}. Set with: mcp-helper secrets set <NAME>`);
+      }
+
+      for (const key of Object.keys(env)) {
+        if (findSecretRefs(env[key]).length > 0) {
+          env[key] = replaceSecretRefs(env[key], values);
+        }
+      }
+
+      this.spawnServer(command, replaceSecretRefs(serverArgs, values), env);
+    } catch (error) {
+      console.error(`mcp-helper launch: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Print '<Name>: <value>' headers as a JSON object, with their references resolved
+   */
+  async printHeaders(headers) {
+    try {
+      const { args: filled } = await this.applyEnvProfile({}, headers);
+      const { values, missing } = await new SecretStore().resolveRefs(filled);
+
+      if (missing.length > 0) {
+        throw new Error(`Missing secret(s): ${missing.join(', ')}. Set with: mcp-helper secrets set <NAME>`);
+      }
+
+      const resolved = replaceSecretRefs(filled, values).map(header => {
+        const separator = header.indexOf(':');
+        return [header.slice(0, separator).trim(), header.slice(separator + 1).trim()];
+      });
+      console.log(JSON.stringify(Object.fromEntries(resolved)));
+    } catch (error) {
+      console.error(`mcp-helper launch: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Fill references the active environment profile defines, and plain ${VAR}s the project
+   * env has; a profile value may itself be a ${secret:NAME} reference
+   */
+  async applyEnvProfile(env, args) {
+    const configManager = new ConfigManager();
+    const profileEnv = await configManager.readEnvProfile(await configManager.getActiveEnvProfile());
+    const projectEnv = await configManager.readProjectEnv();
+    const fill = value => value.replace(/\$\{(secret:)?([\w.-]+)\}/g, (match, secret, name) => {
+      if (name in profileEnv) return profileEnv[name];
+      if (!secret && projectEnv[name] !== undefined) return projectEnv[name];
+      return match;
+    });
+
+    for (const key of Object.keys(env)) {
+      env[key] = fill(env[key]);
+    }
+    return { env, args: args.map(fill) };
+  }
+
+  spawnServer(command, args, env) {
+    const child = spawn(command, args, { env, stdio: 'inherit' });
+
+    const signals = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+    const forward = signal => child.kill(signal);
+    signals.forEach(signal => process.on(signal, forward));
+
+    child.on('error', error => {
+      console.error(`mcp-helper launch: cannot start ${command}: ${error.message}`);
+      process.exit(127);
+    });
+
+    child.on('exit', (code, signal) => {
+      if (signal) {
+        // Die the same way the server did
+        signals.forEach(name => process.removeListener(name, forward));
+        process.kill(process.pid, signal);
+      } else {
+        process.exit(code ?? 1);
+      }
+    });
+  }
+}
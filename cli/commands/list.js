@@ -1,28 +1,203 @@
 import { BaseCommand } from '../base-command.js';
-import { spawn } from 'child_process';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import crypto from 'crypto';
+import Table from 'cli-table3';
+import { ConfigManager, SCOPE_LABELS } from '../../lib/config-manager.js';
+import { ServerCardsManager } from '../../lib/server-cards.js';
+import { EnvResolver } from '../../lib/env-resolver.js';
+import { isSensitiveEnvVar, unwrapLauncher } from '../../lib/secret-store.js';
+import { list } from '../mcp-helper-list.js';
 
 export class ListCommand extends BaseCommand {
   constructor() {
     super('list', 'List all available MCP servers');
     this.aliases = ['ls', 'show'];
+    this.options = {
+      explain: { value: '<server>', description: "Show where each of the server's values comes from" }
+    };
+  }
+
+  getUsage() {
+    return 'Usage: /mcp-helper list [--explain <server>]';
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper list
+  /mcp-helper list --explain github`;
   }
 
   async execute(args) {
-    const scriptPath = path.join(__dirname, '..', 'mcp-helper-list.js');
-    const proc = spawn('node', [scriptPath], {
-      stdio: 'inherit',
-      env: process.env
+    if (args.flags.explain) {
+      await this.explain(args.flags.explain);
+      return;
+    }
+
+    if (this.output) {
+      this.setResult(await this.collectServers());
+      return;
+    }
+
+    await list();
+  }
+
+  // What the table of mcp-helper-list.js shows, as data
+  async collectServers() {
+    const configManager = new ConfigManager();
+    const serverCardsManager = new ServerCardsManager();
+    await serverCardsManager.initialize({ quiet: true });
+
+    const servers = await configManager.listServers({ groupByCard: true });
+    const projectEnv = await configManager.readProjectEnv();
+    const envLayers = await configManager.envResolver.readLayers();
+    const activeProfile = await configManager.getActiveEnvProfile();
+    const profileGaps = new Map((await configManager.findMissingEnv(activeProfile)).map(gap => [gap.id, gap.missing]));
+
+    return {
+      envProfile: {
+        active: activeProfile,
+        available: await configManager.listEnvProfiles()
+      },
+      servers: await Promise.all(servers.map(async server => {
+        const card = serverCardsManager.findCardForServer(server.id, server.config);
+        const missing = card
+          ? serverCardsManager.validateEnvVars(card, await configManager.readServerEnv(server.config, projectEnv, envLayers), server.config.metadata?.instance).missing.map(v => v.name)
+          : [];
+        return {
+          id: server.id,
+          scope: server.scope,
+          cardId: card ? card.id : null,
+          instanceOf: server.instanceOf,
+          transport: server.config.type || 'stdio',
+          // Remote servers: the endpoint, and the names of the headers sent (values may be credentials)
+          url: server.config.url || null,
+          headers: Object.keys(unwrapLauncher(server.config).headers || {}),
+          runtime: card?.runtime || null,
+          hasProjectOverrides: server.hasProjectOverrides,
+          // Scopes whose entry of the same ID this one overrides
+          shadows: server.shadows,
+          missingEnv: [...new Set([...missing, ...(profileGaps.get(server.id) || [])])],
+          ratings: {
+            human: card?.agenticUsefulness?.humanVerificationRating ?? null,
+            agent: card?.agenticUsefulness?.aiAgentRating ?? null
+          }
+        };
+      }))
+    };
+  }
+
+  async explain(serverId) {
+    if (serverId === true) {
+      this.error('--explain needs a server ID, e.g. /mcp-helper list --explain github');
+      process.exitCode = 1;
+      return;
+    }
+
+    const configManager = new ConfigManager();
+    const serverCardsManager = new ServerCardsManager();
+    await serverCardsManager.initialize({ quiet: true });
+
+    const explanation = await new EnvResolver(configManager, serverCardsManager).explain(serverId);
+    if (!explanation) {
+      this.error(`Server ${serverId} is not configured`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { server, card, shadowed, variables } = explanation;
+    const configPath = configManager.getScopeConfigPath(server.scope);
+    const profile = await configManager.getActiveEnvProfile();
+    this.setResult({
+      server: { id: server.id, scope: server.scope, configPath, cardId: card ? card.id : null },
+      shadows: shadowed.map(entry => entry.scope),
+      envProfile: profile,
+      variables: variables.map(variable => ({
+        name: variable.name,
+        usedBy: variable.usedBy,
+        ...this.maskValue(variable),
+        source: variable.source,
+        label: variable.label ?? null,
+        ...(variable.source === 'secrets' ? { stored: variable.stored } : {}),
+        overridden: variable.overridden.map(layer => ({
+          source: layer.source,
+          label: layer.label,
+          ...this.maskValue({ ...variable, value: layer.value })
+        }))
+      }))
     });
-    
-    return new Promise((resolve, reject) => {
-      proc.on('close', (code) => {
-        if (code === 0) resolve();
-        else reject(new Error(`Command exited with code ${code}`));
-      });
+
+    console.log(`\n${this.colors.cyan}${server.id}${this.colors.reset} ${this.colors.gray}(${SCOPE_LABELS[server.scope]}, ${this.tildify(configPath)})${this.colors.reset}`);
+    if (card && card.id !== server.id) {
+      this.dim(`Instance of ${card.id}`);
+    }
+    shadowed.forEach(entry => this.dim(`Overrides the ${SCOPE_LABELS[entry.scope]} entry of the same name`));
+    if (profile) {
+      this.dim(`Environment profile: ${profile}`);
+    }
+
+    if (variables.length === 0) {
+      this.info('The entry uses no environment variables');
+      return;
+    }
+
+    const table = new Table({
+      head: ['Variable', 'Used by', 'Value', 'Source', 'Also set in (ignored)'].map(title => `${this.colors.cyan}${title}${this.colors.reset}`),
+      wordWrap: true
     });
+    for (const variable of variables) {
+      table.push([
+        variable.name,
+        variable.usedBy.join(', '),
+        this.formatValue(variable),
+        this.formatSource(variable, server.scope, configPath),
+        variable.overridden.map(layer => `${this.formatLayer(layer)}: ${this.formatValue({ ...variable, value: layer.value })}`).join('\n')
+      ]);
+    }
+    console.log(table.toString());
+
+    const unresolved = variables.filter(variable => variable.source === null || variable.stored === false);
+    if (unresolved.length > 0) {
+      this.warning(`Not set anywhere: ${unresolved.map(variable => variable.name).join(', ')}`);
+    }
+    this.dim('Precedence: literal in the entry, then process env, environment profile, .env, ~/.claude-env');
+  }
+
+  // Credentials are shown as a short fingerprint, enough to tell two tokens apart
+  maskValue(variable) {
+    if (variable.value === undefined) {
+      return { value: null };
+    }
+    if (variable.secret || [variable.name, ...variable.usedBy].some(name => isSensitiveEnvVar(name))) {
+      return { value: '********', fingerprint: `sha256:${crypto.createHash('sha256').update(variable.value).digest('hex').slice(0, 8)}` };
+    }
+    return { value: variable.value };
+  }
+
+  formatValue(variable) {
+    if (variable.value === undefined) {
+      return variable.source === 'secrets' ? '' : `${this.colors.red}(unset)${this.colors.reset}`;
+    }
+    const { value, fingerprint } = this.maskValue(variable);
+    return fingerprint ? `${value} ${this.colors.gray}${fingerprint}${this.colors.reset}` : value;
+  }
+
+  formatSource(variable, scope, configPath) {
+    switch (variable.source) {
+      case 'config':
+        return `${SCOPE_LABELS[scope]} entry (${this.tildify(configPath)})`;
+      case 'card':
+        return variable.label;
+      case 'secrets': {
+        const state = { true: 'stored', false: `${this.colors.red}not stored${this.colors.reset}`, null: 'vault locked' }[variable.stored];
+        return `secret store (${state})`;
+      }
+      case null:
+        return `${this.colors.red}unresolved${this.colors.reset}`;
+      default:
+        return this.formatLayer(variable);
+    }
+  }
+
+  formatLayer(layer) {
+    return layer.source === 'process' ? 'process env' : this.tildify(layer.label);
   }
-}
\ No newline at end of file
+}
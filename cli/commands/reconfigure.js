@@ -1,9 +1,5 @@
 import { BaseCommand } from '../base-command.js';
-import { spawn } from 'child_process';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { reconfigure } from '../mcp-helper-reconfigure.js';
 
 export class ReconfigureCommand extends BaseCommand {
   constructor() {
@@ -21,18 +17,7 @@ export class ReconfigureCommand extends BaseCommand {
       this.error('Server name is required');
       return;
     }
-    
-    const scriptPath = path.join(__dirname, '..', 'mcp-helper-reconfigure.js');
-    const proc = spawn('node', [scriptPath, serverName], {
-      stdio: 'inherit',
-      env: process.env
-    });
-    
-    return new Promise((resolve, reject) => {
-      proc.on('close', (code) => {
-        if (code === 0) resolve();
-        else reject(new Error(`Command exited with code ${code}`));
-      });
-    });
+
+    this.setResult(await reconfigure(serverName));
   }
-}
\ No newline at end of file
+}
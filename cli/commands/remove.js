@@ -0,0 +1,151 @@
+import { BaseCommand } from '../base-command.js';
+import { ConfigManager, SCOPE_PRECEDENCE, normalizeScope } from '../../lib/config-manager.js';
+import { ServerCardsManager } from '../../lib/server-cards.js';
+import { MinimumServersValidator } from '../../lib/minimum-servers-validator.js';
+import { ClaudeMdGenerator } from '../../lib/claude-md-generator.js';
+import { createTwoFilesPatch } from 'diff';
+import { Prompter } from '../../lib/prompter.js';
+import { ServerNotFoundError } from '../../lib/errors.js';
+
+export class RemoveCommand extends BaseCommand {
+  constructor() {
+    super('remove', 'Remove an MCP server from your configuration');
+    this.aliases = ['rm', 'uninstall'];
+    this.options = {
+      scope: { value: '<scope>', description: 'Only remove the entry from one scope (default: every scope)' },
+      'dry-run': { description: 'Show the changes as a diff without writing anything' },
+      'keep-env': { description: "Leave the server's variables in the project .env" }
+    };
+  }
+
+  getUsage() {
+    return `Usage: /mcp-helper remove <server-name> [--scope global|local|project] [--dry-run] [--yes]
+
+With --yes, .env vars no other server uses are cleaned up without asking.
+Without a terminal, answer the prompts with --answer remove=yes and --answer cleanEnv=yes|no.`;
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper remove github-official --dry-run
+  /mcp-helper remove playwright --scope project`;
+  }
+
+  async execute(args) {
+    const serverId = args._[0];
+    const { flags } = args;
+    if (!serverId) {
+      this.error('Server name is required');
+      this.info('Run: /mcp-helper list to see configured servers');
+      process.exitCode = 1;
+      return;
+    }
+
+    const scope = typeof flags.scope === 'string' ? normalizeScope(flags.scope) : null;
+    if (scope === null && typeof flags.scope === 'string') {
+      this.error(`Unknown scope '${flags.scope}'. Use one of: ${SCOPE_PRECEDENCE.join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const configManager = new ConfigManager();
+    const serverCardsManager = new ServerCardsManager();
+    await serverCardsManager.initialize();
+
+    const plan = await configManager.planServerRemoval(serverId, scope);
+    if (plan.scopes.length === 0) {
+      throw new ServerNotFoundError(`${serverId} is not configured${scope ? ` in the ${scope} scope` : ''}`, { serverId });
+    }
+    // envVars: what was (or with --dry-run would be) taken out of .env; secrets stay in the store
+    const result = { id: serverId, removed: false, dryRun: !!flags['dry-run'], scopes: plan.scopes, envVars: [], secrets: plan.secrets };
+    this.setResult(result);
+
+    const warnings = await this.getWarnings(serverId, configManager, serverCardsManager);
+    warnings.forEach(warning => this.warning(warning));
+
+    if (flags['dry-run']) {
+      this.printPlan(plan, !flags['keep-env']);
+      result.envVars = flags['keep-env'] ? [] : plan.envVars;
+      this.info('Dry run: nothing was changed');
+      return;
+    }
+
+    // Both questions are asked up front, so a run that can't answer them fails before changing anything
+    const prompter = new Prompter();
+    const { confirm, cleanEnv } = await prompter.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        key: 'remove',
+        message: `Remove ${serverId} from ${plan.scopes.join(' and ')} config?`,
+        // Without a terminal an unanswered confirmation fails instead of quietly declining
+        default: prompter.interactive ? warnings.length === 0 : undefined
+      },
+      {
+        type: 'confirm',
+        name: 'cleanEnv',
+        when: answers => answers.confirm && plan.envVars.length > 0 && !flags['keep-env'],
+        message: `Also remove ${plan.envVars.join(', ')} from .env? (no other server uses them)`,
+        default: true
+      }
+    ]);
+    if (!confirm) {
+      this.info('Nothing removed');
+      return;
+    }
+
+    const removedFrom = await configManager.removeServer(serverId, scope);
+    Object.assign(result, { removed: true, scopes: removedFrom });
+    this.success(`Removed ${serverId} from ${removedFrom.join(' and ')} config`);
+
+    if (cleanEnv) {
+      await configManager.writeProjectEnv({}, { remove: plan.envVars });
+      result.envVars = plan.envVars;
+      this.success(`Removed ${plan.envVars.join(', ')} from .env`);
+    }
+
+    if (plan.secrets.length > 0) {
+      this.dim(`Still in the secret store: ${plan.secrets.join(', ')} (mcp-helper secrets remove <NAME> to delete)`);
+    }
+
+    const claudeMdGenerator = new ClaudeMdGenerator(configManager, serverCardsManager);
+    await claudeMdGenerator.generate();
+    this.info('Restart Claude Code to apply the change');
+  }
+
+  /**
+   * Explain why removing this server may hurt
+   */
+  async getWarnings(serverId, configManager, serverCardsManager) {
+    const warnings = [];
+    const validator = new MinimumServersValidator(configManager, serverCardsManager);
+
+    if (await validator.isFoundationServer(serverId)) {
+      warnings.push(`${serverId} is a foundation server: without it (or an alternative) custom servers can't be added`);
+    }
+    if (await configManager.isEssentialServer(serverId, serverCardsManager)) {
+      warnings.push(`${serverId} is rated essential for AI-assisted development`);
+    }
+
+    return warnings;
+  }
+
+  printPlan(plan, cleanEnv) {
+    console.log();
+    for (const change of plan.changes) {
+      const patch = createTwoFilesPatch(this.tildify(change.path), this.tildify(change.path),
+        this.maskJsonSecrets(change.before), this.maskJsonSecrets(change.after), 'current', 'after remove');
+      console.log(this.colorizePatch(patch));
+    }
+
+    if (plan.envChange && cleanEnv) {
+      const patch = createTwoFilesPatch(this.tildify(plan.envChange.path), this.tildify(plan.envChange.path),
+        this.maskEnvValues(plan.envChange.before), this.maskEnvValues(plan.envChange.after), 'current', 'after remove');
+      console.log(this.colorizePatch(patch));
+    }
+
+    if (plan.secrets.length > 0) {
+      this.dim(`Secrets referenced only by this server stay in the store: ${plan.secrets.join(', ')}`);
+    }
+  }
+}
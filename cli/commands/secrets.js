@@ -0,0 +1,188 @@
+import { BaseCommand } from '../base-command.js';
+import { SecretStore, SECRET_BACKENDS, secretRef, isValidSecretName } from '../../lib/secret-store.js';
+import { SettingsManager } from '../../lib/settings-manager.js';
+import { InvalidArgumentError } from '../../lib/errors.js';
+import inquirer from 'inquirer';
+import fs from 'fs';
+
+export class SecretsCommand extends BaseCommand {
+  constructor() {
+    super('secrets', 'Manage credentials referenced as ${secret:NAME} in server configs');
+    this.aliases = ['secret'];
+  }
+
+  getUsage() {
+    return `Usage: /mcp-helper secrets <list|set|get|remove|backend> [name] [options]
+
+${this.colors.yellow}Subcommands:${this.colors.reset}
+  list                   List stored secret names (never values)
+  set <NAME>             Store a secret (prompted without echo, or read from stdin when piped;
+                         with --json or without a terminal it must be piped)
+  get <NAME>             Print a secret's value (for scripts)
+  remove <NAME>          Delete a secret
+  backend [vault|pass]   Show or choose where secrets are kept
+
+${this.colors.yellow}Backends:${this.colors.reset}
+  vault   Encrypted ~/.mcp-helper/vault.json (passphrase from MCP_HELPER_VAULT_PASSPHRASE,
+          the secrets.vault.passphraseCommand setting, or a prompt)
+  pass    gpg-encrypted entries under mcp-helper/ in your pass store`;
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper secrets set GITHUB_PERSONAL_ACCESS_TOKEN
+  echo "$TOKEN" | mcp-helper secrets set SLACK_BOT_TOKEN
+  /mcp-helper secrets backend pass`;
+  }
+
+  async execute(args) {
+    const [subcommand = 'list', name] = args._;
+    const store = new SecretStore();
+
+    switch (subcommand) {
+      case 'list':
+        return this.list(store);
+      case 'set':
+        return this.set(store, name, args.flags);
+      case 'get':
+        return this.get(store, name);
+      case 'remove':
+      case 'rm':
+        return this.remove(store, name);
+      case 'backend':
+        return this.backend(store, name);
+      default:
+        this.error(`Unknown subcommand: ${subcommand}`);
+        console.log(this.getUsage());
+        process.exitCode = 1;
+    }
+  }
+
+  async list(store) {
+    const names = await store.list();
+    const backend = await store.getBackendName();
+    this.setResult({ backend, secrets: names.map(name => ({ name, ref: secretRef(name) })) });
+
+    if (names.length === 0) {
+      this.info(`No secrets in the ${backend} store yet. Add one with: /mcp-helper secrets set <NAME>`);
+      return;
+    }
+
+    console.log(`\n${this.colors.cyan}🔒 Secrets${this.colors.reset} ${this.colors.gray}(${backend})${this.colors.reset}\n`);
+    names.forEach(name => console.log(`  ${name.padEnd(36)} ${this.colors.gray}${secretRef(name)}${this.colors.reset}`));
+    console.log();
+  }
+
+  async set(store, name, flags) {
+    if (!this.checkName(name)) return;
+
+    // A value on the command line would end up in shell history and the process list
+    if (flags.value !== undefined) {
+      this.error('Secrets are not taken as arguments; run without --value to be prompted, or pipe the value on stdin');
+      process.exitCode = 1;
+      return;
+    }
+
+    // A hidden prompt is only seen on a terminal without --json; otherwise the value must be piped
+    const piped = this.ownsTerminal && this.isStdinPiped();
+    if (!piped && (!this.ownsTerminal || this.output || !process.stdin.isTTY)) {
+      throw new InvalidArgumentError(
+        `No terminal to ask for ${name}: pipe the value instead, e.g. echo "$VALUE" | mcp-helper secrets set ${name}`);
+    }
+    const value = piped ? await this.readStdin() : await this.promptValue(name);
+
+    if (!value) {
+      this.error('Secret value is empty');
+      process.exitCode = 1;
+      return;
+    }
+
+    await store.set(name, value);
+    this.success(`Stored ${name} in the ${await store.getBackendName()} store`);
+    this.dim(`Reference it in a server config as ${secretRef(name)}`);
+  }
+
+  async get(store, name) {
+    if (!this.checkName(name)) return;
+
+    const value = await store.get(name);
+    if (value === undefined) {
+      this.error(`No secret named ${name}`);
+      process.exitCode = 1;
+      return;
+    }
+    process.stdout.write(`${value}\n`);
+  }
+
+  async remove(store, name) {
+    if (!this.checkName(name)) return;
+
+    if (await store.remove(name)) {
+      this.success(`Removed ${name}`);
+    } else {
+      this.warning(`No secret named ${name}`);
+    }
+  }
+
+  async backend(store, name) {
+    if (!name) {
+      this.info(`Secrets are kept in the ${await store.getBackendName()} store`);
+      if (process.env.MCP_HELPER_SECRETS_BACKEND) {
+        this.dim('(set by MCP_HELPER_SECRETS_BACKEND)');
+      }
+      return;
+    }
+
+    if (!SECRET_BACKENDS.includes(name)) {
+      this.error(`Unknown backend '${name}'. Choose one of: ${SECRET_BACKENDS.join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await new SettingsManager().set('secrets.backend', name);
+    this.success(`New secrets will be kept in the ${name} store`);
+    this.dim('Existing secrets are not moved; re-run `secrets set` for each of them.');
+  }
+
+  checkName(name) {
+    if (!name) {
+      this.error('Secret name required');
+      process.exitCode = 1;
+      return false;
+    }
+    if (!isValidSecretName(name)) {
+      this.error(`Invalid secret name: ${name} (letters, digits, _ . - only)`);
+      process.exitCode = 1;
+      return false;
+    }
+    return true;
+  }
+
+  async promptValue(name) {
+    const { value } = await inquirer.prompt([{
+      type: 'password',
+      name: 'value',
+      mask: '*',
+      message: `${name}:`
+    }]);
+    return value;
+  }
+
+  isStdinPiped() {
+    if (process.stdin.isTTY) return false;
+    try {
+      const stat = fs.fstatSync(0);
+      return stat.isFIFO() || stat.isFile() || stat.isSocket();
+    } catch {
+      return false;
+    }
+  }
+
+  async readStdin() {
+    let data = '';
+    for await (const chunk of process.stdin) {
+      data += chunk;
+    }
+    return data.replace(/\r?\n$/, '');
+  }
+}
@@ -0,0 +1,113 @@
+import { BaseCommand } from '../base-command.js';
+import { ConfigManager } from '../../lib/config-manager.js';
+import { CLIENT_NAMES, getClientAdapters } from '../../lib/client-adapters.js';
+
+// Claude Code scopes other clients have an equivalent of; local servers stay in Claude Code
+const SYNCED_SCOPES = ['global', 'project'];
+
+export class SyncCommand extends BaseCommand {
+  constructor() {
+    super('sync', 'Copy your Claude Code servers to Claude Desktop, Cursor, VS Code and Windsurf');
+    this.options = {
+      client: { value: '<names>', description: 'Sync these clients (comma-separated) instead of the enabled ones' },
+      enable: { value: '<names>', description: 'Enable clients for every later sync, then sync' },
+      disable: { value: '<names>', description: 'Stop syncing clients; their entries are left in place' },
+      'dry-run': { description: 'Show what would change without writing anything' }
+    };
+  }
+
+  getUsage() {
+    return `Usage: /mcp-helper sync [--client <names>] [--enable <names>] [--disable <names>] [--dry-run]
+
+Clients: ${CLIENT_NAMES.join(', ')}
+
+Global servers go to each client's user-wide config and project (.mcp.json) servers to its
+project config, in the client's format. Entries an earlier sync wrote are updated, or removed
+once they're gone from Claude Code or the client can't take them any more; servers added to a
+client by hand are left alone.`;
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper sync --enable cursor,vscode
+  /mcp-helper sync --dry-run
+  /mcp-helper sync --client claude-desktop`;
+  }
+
+  async execute(args) {
+    const { flags } = args;
+    if ([flags.client, flags.enable, flags.disable].includes(true)) {
+      this.error('--client, --enable and --disable need a list of clients');
+      process.exitCode = 1;
+      return;
+    }
+
+    const configManager = new ConfigManager();
+    let enabled = await configManager.settings.get('clients.enabled', []);
+
+    if (flags.enable || flags.disable) {
+      const enabling = flags.enable ? getClientAdapters(flags.enable, configManager).map(adapter => adapter.name) : [];
+      const disabling = flags.disable ? getClientAdapters(flags.disable, configManager).map(adapter => adapter.name) : [];
+      enabled = CLIENT_NAMES.filter(name => (enabled.includes(name) || enabling.includes(name)) && !disabling.includes(name));
+      await configManager.settings.set('clients.enabled', enabled);
+      this.success(enabled.length > 0 ? `Syncing to: ${enabled.join(', ')}` : 'No clients are enabled for sync');
+      if (!flags.enable && !flags.client) {
+        this.setResult({ enabled, dryRun: false, clients: [] });
+        return;
+      }
+    }
+
+    const adapters = getClientAdapters(flags.client || enabled, configManager);
+    const result = { enabled, dryRun: !!flags['dry-run'], clients: [] };
+    this.setResult(result);
+    if (adapters.length === 0) {
+      this.info('No clients are enabled for sync');
+      this.dim(`Enable some with: /mcp-helper sync --enable <${CLIENT_NAMES.join('|')}>`);
+      return;
+    }
+
+    const layers = {};
+    for (const scope of SYNCED_SCOPES) {
+      layers[scope] = (await configManager.readScopeConfig(scope)).mcpServers || {};
+    }
+    const localServers = Object.keys((await configManager.readScopeConfig('local')).mcpServers || {});
+
+    for (const adapter of adapters) {
+      console.log(`\n${this.colors.cyan}${adapter.label}${this.colors.reset}`);
+      for (const scope of SYNCED_SCOPES) {
+        try {
+          const synced = await adapter.sync(scope, layers[scope], { prune: true, dryRun: result.dryRun });
+          result.clients.push(synced);
+          this.printSync(synced, result.dryRun);
+        } catch (error) {
+          result.clients.push({ client: adapter.name, scope, path: adapter.getConfigPath(scope), error: error.message });
+          this.error(error.message);
+          process.exitCode = 1;
+        }
+      }
+    }
+
+    if (localServers.length > 0) {
+      this.dim(`\nLocal servers stay in Claude Code only: ${localServers.join(', ')}`);
+    }
+    if (result.dryRun) {
+      this.info('Dry run: nothing was changed');
+    } else if (result.clients.some(synced => synced.written?.length || synced.removed?.length)) {
+      this.info('Restart the updated clients to load the changes');
+    }
+  }
+
+  printSync(synced, dryRun) {
+    const where = synced.path ? this.tildify(synced.path) : null;
+    if (synced.written.length > 0) {
+      this.success(`${dryRun ? 'Would write' : 'Wrote'} ${synced.written.join(', ')} to ${where}`);
+    }
+    if (synced.removed.length > 0) {
+      this.success(`${dryRun ? 'Would remove' : 'Removed'} ${synced.removed.join(', ')} from ${where}`);
+    }
+    if (synced.unchanged.length > 0) {
+      this.dim(`  Up to date in ${where}: ${synced.unchanged.join(', ')}`);
+    }
+    synced.skipped.forEach(({ id, reason }) => this.warning(`Skipped ${id}: ${reason}`));
+  }
+}
@@ -0,0 +1,119 @@
+import { BaseCommand } from '../base-command.js';
+import { ConfigManager } from '../../lib/config-manager.js';
+import { ServerCardsManager } from '../../lib/server-cards.js';
+import { ServerUpgrader } from '../../lib/server-upgrader.js';
+import { ClaudeMdGenerator } from '../../lib/claude-md-generator.js';
+import { createTwoFilesPatch } from 'diff';
+import inquirer from 'inquirer';
+import { isInteractive } from '../../lib/prompter.js';
+
+export class UpgradeCommand extends BaseCommand {
+  constructor() {
+    super('upgrade', 'Bring configured servers up to date with their server cards');
+    this.options = {
+      all: { description: 'Upgrade every configured server that comes from a card' },
+      'dry-run': { description: 'Show the plan and diffs without writing anything' }
+    };
+  }
+
+  getUsage() {
+    return `Usage: /mcp-helper upgrade <server...|--all> [--dry-run] [--yes]
+
+Picks up new deploy args and image tags, packages or images a card renamed
+(its \`migrations\`) and deprecated cards replaced by another (\`supersededBy\`).
+Hand edits to fields the card didn't change are kept.`;
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper upgrade --all --dry-run
+  /mcp-helper upgrade github-official`;
+  }
+
+  async execute(args) {
+    const { flags } = args;
+    if (args._.length === 0 && !flags.all) {
+      this.error('Name the servers to upgrade, or pass --all');
+      process.exitCode = 1;
+      return;
+    }
+
+    const configManager = new ConfigManager();
+    const serverCardsManager = new ServerCardsManager();
+    await serverCardsManager.initialize({ quiet: true });
+    const upgrader = new ServerUpgrader(configManager, serverCardsManager);
+
+    const plans = await upgrader.plan(flags.all ? null : args._);
+    const missing = args._.filter(id => !plans.some(plan => plan.id === id));
+    if (missing.length > 0) {
+      this.error(`Not configured: ${missing.join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const upgrades = plans.filter(plan => plan.status === 'upgrade');
+    this.setResult({ dryRun: !!flags['dry-run'], plans: plans.map(({ before, after, ...plan }) => plan) });
+    console.log(`\n${this.colors.cyan}⬆️  Upgrade plan${this.colors.reset}\n`);
+    upgrades.forEach(plan => this.printPlan(plan));
+
+    const current = plans.filter(plan => plan.status === 'current').map(plan => plan.id);
+    if (current.length > 0) {
+      this.success(`Up to date: ${current.join(', ')}`);
+    }
+    for (const plan of plans.filter(plan => plan.status === 'skip')) {
+      this.dim(`Skipped ${plan.id} (${plan.scope}): ${plan.notes.join('; ')}`);
+    }
+
+    if (upgrades.length === 0) {
+      this.info('Nothing to upgrade');
+      return;
+    }
+    if (flags['dry-run']) {
+      this.info('Dry run: nothing was changed');
+      return;
+    }
+
+    if (!flags.yes && !flags.y) {
+      if (!isInteractive()) {
+        this.error('Refusing to upgrade without confirmation. Re-run with --yes.');
+        process.exitCode = 1;
+        return;
+      }
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: `Upgrade ${upgrades.length} server(s)?`,
+        default: true
+      }]);
+      if (!confirm) {
+        this.info('Nothing upgraded');
+        return;
+      }
+    }
+
+    const scopes = await upgrader.apply(plans);
+    this.success(`Upgraded ${upgrades.map(plan => plan.newId).join(', ')}`);
+    this.dim(`The ${scopes.join(' and ')} config was backed up first (/mcp-helper backups list)`);
+
+    const claudeMdGenerator = new ClaudeMdGenerator(configManager, serverCardsManager);
+    await claudeMdGenerator.generate();
+    this.info('Restart Claude Code to apply the change');
+  }
+
+  printPlan(plan) {
+    const rename = plan.newId !== plan.id ? ` → ${plan.newId}` : '';
+    console.log(`${this.colors.yellow}${plan.id}${rename}${this.colors.reset} ${this.colors.gray}(${plan.scope}, card ${plan.cardId})${this.colors.reset}`);
+    plan.notes.forEach(note => console.log(`  • ${note}`));
+
+    // Provenance hashes and timestamps would only add noise
+    const { metadata: oldMetadata, ...before } = plan.before;
+    const { metadata: newMetadata, ...after } = plan.after;
+    if (rename || JSON.stringify(before) !== JSON.stringify(after)) {
+      const patch = createTwoFilesPatch(plan.id, plan.newId,
+        this.maskJsonSecrets(JSON.stringify(before, null, 2) + '\n'),
+        this.maskJsonSecrets(JSON.stringify(after, null, 2) + '\n'), 'current', 'upgraded');
+      console.log(this.colorizePatch(patch));
+    }
+    console.log();
+  }
+}
@@ -0,0 +1,99 @@
+import path from 'path';
+import { BaseCommand } from '../base-command.js';
+import { ConfigManager, ENV_PROFILE_PREFIX } from '../../lib/config-manager.js';
+
+export class UseCommand extends BaseCommand {
+  constructor() {
+    super('use', 'Switch the environment profile (.env.mcp.<name>) servers resolve their values from');
+    this.options = {
+      clear: { description: 'Go back to .env alone' }
+    };
+  }
+
+  getUsage() {
+    return `Usage: /mcp-helper use [profile] [--clear]
+
+A profile is a ${ENV_PROFILE_PREFIX}<name> file next to .env. While it is active its values
+are layered over .env, and win over the secret store for servers started through
+\`mcp-helper launch\`. Without arguments, shows the active and available profiles.`;
+  }
+
+  getExamples() {
+    return `${this.colors.yellow}Examples:${this.colors.reset}
+  /mcp-helper use staging
+  /mcp-helper use --clear`;
+  }
+
+  async execute(args) {
+    const configManager = new ConfigManager();
+    const profiles = await configManager.listEnvProfiles();
+    const name = args._[0];
+
+    if (args.flags.clear) {
+      const previous = await configManager.setActiveEnvProfile(null);
+      this.success(previous ? `Stopped using ${previous}; servers resolve from .env` : 'No profile was active');
+      return;
+    }
+
+    if (!name) {
+      await this.showProfiles(configManager, profiles);
+      return;
+    }
+
+    if (!profiles.includes(name)) {
+      this.error(`No ${ENV_PROFILE_PREFIX}${name} file in ${this.tildify(path.dirname(configManager.getEnvProfilePath(name)))}`);
+      this.info(profiles.length > 0 ? `Available profiles: ${profiles.join(', ')}` : `Create ${ENV_PROFILE_PREFIX}${name} with the values for that environment`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const previous = await configManager.setActiveEnvProfile(name);
+    const gaps = await configManager.findMissingEnv(name);
+    this.setResult({ active: name, previous, missing: gaps });
+    this.success(previous && previous !== name ? `Switched from ${previous} to ${name}` : `Using ${name}`);
+    if (process.env.MCP_HELPER_ENV_PROFILE !== undefined) {
+      this.warning('MCP_HELPER_ENV_PROFILE is set and overrides this choice');
+    }
+
+    this.reportMissing(gaps, name);
+    this.info('Restart Claude Code so the servers pick up the new values');
+  }
+
+  async showProfiles(configManager, profiles) {
+    const active = await configManager.getActiveEnvProfile();
+    const counts = {};
+    for (const profile of profiles) {
+      counts[profile] = Object.keys(await configManager.readEnvProfile(profile)).length;
+    }
+    this.setResult({ active, profiles: profiles.map(profile => ({ name: profile, values: counts[profile] })) });
+
+    if (profiles.length === 0) {
+      this.info(`No environment profiles. Create ${ENV_PROFILE_PREFIX}<name> files next to .env`);
+      return;
+    }
+
+    console.log(`\n${this.colors.cyan}Environment profiles${this.colors.reset}`);
+    for (const profile of profiles) {
+      const count = counts[profile];
+      const marker = profile === active ? `${this.colors.green}●${this.colors.reset}` : ' ';
+      console.log(`  ${marker} ${profile} ${this.colors.gray}(${count} value${count === 1 ? '' : 's'})${this.colors.reset}`);
+    }
+    console.log();
+    if (!active) {
+      this.dim('No profile active; servers resolve from .env');
+    } else if (!profiles.includes(active)) {
+      this.warning(`The active profile ${active} has no ${ENV_PROFILE_PREFIX}${active} file`);
+    }
+  }
+
+  reportMissing(gaps, profile) {
+    if (gaps.length === 0) {
+      this.success(`Every configured server has its values in ${profile}`);
+      return;
+    }
+    this.warning(`Missing values with ${profile} active:`);
+    for (const gap of gaps) {
+      console.log(`  ${gap.id} ${this.colors.gray}(${gap.scope})${this.colors.reset}  ${gap.missing.join(', ')}`);
+    }
+  }
+}
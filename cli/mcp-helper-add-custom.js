@@ -1,21 +1,27 @@
-#!/usr/bin/env node
 /**
  * /mcp-helper add-custom - Add a custom MCP server not in our catalog
  * Uses foundation servers (serena, sequentialthinking, context7) to analyze and configure
+ * Handler of the add-custom command (cli/commands/add-custom.js)
  */
 
 import { ConfigManager } from '../lib/config-manager.js';
 import { ServerCardsManager } from '../lib/server-cards.js';
 import { ClaudeMdGenerator } from '../lib/claude-md-generator.js';
 import { MinimumServersValidator } from '../lib/minimum-servers-validator.js';
-import inquirer from 'inquirer';
+import { isSensitiveEnvVar } from '../lib/secret-store.js';
+import { Prompter } from '../lib/prompter.js';
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
 import { v4 as uuidv4 } from 'uuid';
 
-async function addCustom() {
+// Answer keys: source (npm|github|docker|manual), repo, package, image, id, name,
+// description, env.<NAME>, and for manual setups runtime, transport and command (or url)
+
+export async function addCustom() {
+  // Made fresh on every run, so it sees that run's --answer, --answers and --yes
+  const prompter = new Prompter();
   console.log(chalk.blue.bold('🚀 MCP Helper - Add Custom Server'));
   console.log(chalk.gray('Analyze and configure MCP servers beyond our catalog'));
   console.log();
@@ -48,17 +54,19 @@ async function addCustom() {
         console.log(chalk.cyan(`  /mcp-helper add ${missing.id}`));
       }
       
-      process.exit(1);
+      process.exitCode = 1;
+      return;
     }
     
     console.log(chalk.green('✓ All foundation servers configured'));
     console.log();
 
     // Step 2: Get server source
-    const { sourceType } = await inquirer.prompt([
+    const { sourceType } = await prompter.prompt([
       {
         type: 'list',
         name: 'sourceType',
+        key: 'source',
         message: 'How would you like to add the custom server?',
         choices: [
           { name: '📦 NPM Package (e.g., @org/mcp-server)', value: 'npm' },
@@ -73,10 +81,11 @@ async function addCustom() {
     
     // Step 3: Research the server based on source type
     if (sourceType === 'github') {
-      const { repoUrl } = await inquirer.prompt([
+      const { repoUrl } = await prompter.prompt([
         {
           type: 'input',
           name: 'repoUrl',
+          key: 'repo',
           message: 'GitHub repository (e.g., anthropics/mcp-server-example):',
           validate: input => input.includes('/') || 'Format: owner/repo'
         }
@@ -93,10 +102,11 @@ async function addCustom() {
       serverInfo = await researchGitHubServer(repoUrl);
       
     } else if (sourceType === 'npm') {
-      const { packageName } = await inquirer.prompt([
+      const { packageName } = await prompter.prompt([
         {
           type: 'input',
           name: 'packageName',
+          key: 'package',
           message: 'NPM package name:',
           validate: input => input.length > 0 || 'Package name required'
         }
@@ -110,10 +120,11 @@ async function addCustom() {
       serverInfo = await researchNpmPackage(packageName);
       
     } else if (sourceType === 'docker') {
-      const { imageName } = await inquirer.prompt([
+      const { imageName } = await prompter.prompt([
         {
           type: 'input',
           name: 'imageName',
+          key: 'image',
           message: 'Docker image name:',
           validate: input => input.length > 0 || 'Image name required'
         }
@@ -129,7 +140,7 @@ async function addCustom() {
       
     } else {
       // Manual configuration
-      serverInfo = await promptManualConfiguration();
+      serverInfo = await promptManualConfiguration(prompter);
     }
 
     // Step 4: Complete server configuration
@@ -140,7 +151,7 @@ async function addCustom() {
     // Generate unique ID for custom server
     const customId = `custom-${serverInfo.suggestedId || serverInfo.name?.toLowerCase().replace(/\s+/g, '-') || uuidv4().slice(0, 8)}`;
     
-    const answers = await inquirer.prompt([
+    const answers = await prompter.prompt([
       {
         type: 'input',
         name: 'id',
@@ -175,12 +186,15 @@ async function addCustom() {
       console.log(chalk.yellow('📝 Environment Variables'));
       
       for (const env of serverInfo.envSchema) {
-        const { value } = await inquirer.prompt([
+        const sensitive = isSensitiveEnvVar(env.name, env);
+        const { value } = await prompter.prompt([
           {
-            type: 'input',
+            type: sensitive ? 'password' : 'input',
             name: 'value',
+            key: `env.${env.name}`,
             message: `${env.name}${env.required ? ' (required)' : ' (optional)'}:`,
-            default: env.example || '',
+            // Examples are only offered to someone at the terminal
+            default: prompter.interactive ? (sensitive ? undefined : env.example || '') : '',
             validate: input => {
               if (env.required && !input) {
                 return 'This field is required';
@@ -206,10 +220,12 @@ async function addCustom() {
       license: 'Unknown',
       runtime: serverInfo.runtime || 'node',
       transports: serverInfo.transports || [{ type: 'stdio' }],
-      deployment: serverInfo.deployment || {
-        type: 'npx',
-        command: answers.id
-      },
+      ...(serverInfo.deploy ? { deploy: serverInfo.deploy } : {
+        deployment: serverInfo.deployment || {
+          type: 'npx',
+          command: answers.id
+        }
+      }),
       envSchema: serverInfo.envSchema || [],
       documentation: serverInfo.documentation || {},
       healthCheck: serverInfo.healthCheck || {},
@@ -245,16 +261,23 @@ async function addCustom() {
     console.log(chalk.green(`✓ Custom server card saved to ${cardPath}`));
 
     // Step 8: Generate and apply configuration
-    const serverConfig = serverCardsManager.generateServerConfig(customCard, envVars);
+    // Credentials go to the secret store; the config only gets ${secret:NAME} references
+    const { secrets, plain } = serverCardsManager.splitSecretEnvVars(customCard, envVars);
+    const serverConfig = serverCardsManager.generateServerConfig(customCard, plain);
     
     console.log();
     console.log(chalk.yellow('💾 Applying configuration...'));
+
+    const storedSecrets = await configManager.secrets.setMany(secrets);
+    if (storedSecrets.length > 0) {
+      console.log(chalk.green(`✓ Stored ${storedSecrets.join(', ')} in the ${await configManager.secrets.getBackendName()} secret store`));
+    }
     
     await configManager.addServerGlobal(answers.id, serverConfig);
     console.log(chalk.green('✓ Updated ~/.claude.json'));
     
-    if (Object.keys(envVars).length > 0) {
-      await configManager.addServerProject(answers.id, envVars);
+    if (Object.keys(plain).length > 0) {
+      await configManager.writeProjectEnv(plain);
       console.log(chalk.green('✓ Updated .env with environment variables'));
     }
 
@@ -282,10 +305,10 @@ async function addCustom() {
 
   } catch (error) {
     console.error(chalk.red('❌ Error adding custom server:'), error.message);
-    if (error.stack) {
+    if (process.env.DEBUG) {
       console.error(chalk.gray(error.stack));
     }
-    process.exit(1);
+    process.exitCode = 1;
   }
 }
 
@@ -361,8 +384,8 @@ async function researchNpmPackage(packageName) {
 /**
  * Prompt for manual configuration
  */
-async function promptManualConfiguration() {
-  const answers = await inquirer.prompt([
+async function promptManualConfiguration(prompter) {
+  const answers = await prompter.prompt([
     {
       type: 'list',
       name: 'runtime',
@@ -379,10 +402,28 @@ async function promptManualConfiguration() {
       type: 'input',
       name: 'command',
       message: 'Launch command:',
-      default: 'npx custom-server'
+      default: 'npx custom-server',
+      when: answers => answers.transport === 'stdio'
+    },
+    {
+      type: 'input',
+      name: 'url',
+      message: 'Server URL:',
+      when: answers => answers.transport !== 'stdio',
+      validate: input => /^https?:\/\//.test(input) || 'Enter an http:// or https:// URL'
     }
   ]);
   
+  if (answers.url) {
+    // Hosted: Claude Code connects to the URL, nothing is launched
+    return {
+      runtime: answers.runtime,
+      transports: [answers.transport],
+      deploy: { kind: answers.transport, url: answers.url },
+      envSchema: []
+    };
+  }
+
   return {
     runtime: answers.runtime,
     transports: [{ type: answers.transport }],
@@ -393,6 +434,3 @@ async function promptManualConfiguration() {
     envSchema: []
   };
 }
-
-// Run the add-custom command
-addCustom().catch(console.error);
\ No newline at end of file
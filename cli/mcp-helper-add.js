@@ -1,310 +1,433 @@
-#!/usr/bin/env node
 /**
- * /mcp-helper add - Add a new MCP server to configuration
- * This slash command is executed within Claude Code chat interface
+ * MCP Helper - Add
+ * Adds a catalog server to the configuration. The add command (cli/commands/add.js) runs it
+ * for the CLI, slash commands and index.js alike, through the registry in cli/registry.js.
  */
 
 import { ConfigManager } from '../lib/config-manager.js';
-import { ServerCardsManager } from '../lib/server-cards.js';
+import { ServerCardsManager, instanceEnvName } from '../lib/server-cards.js';
 import { ClaudeMdGenerator } from '../lib/claude-md-generator.js';
-import inquirer from 'inquirer';
+import { LegacyConfigMerger } from '../lib/legacy-config-merger.js';
+import { Prompter } from '../lib/prompter.js';
+import { InvalidArgumentError, ServerNotFoundError } from '../lib/errors.js';
+import { oauthSecretName } from '../lib/oauth.js';
+import { signIn } from './mcp-helper-auth.js';
+import { getClientAdapters } from '../lib/client-adapters.js';
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
 
-async function add(serverName) {
+/**
+ * How a conflicting field was settled: existing (your value), generated (the card's) or edited
+ */
+function conflictOutcome(conflict) {
+  return conflict.resolution === conflict.existing ? 'existing'
+    : conflict.resolution === conflict.generated ? 'generated' : 'edited';
+}
+
+/**
+ * Say which conflicting fields were settled and how
+ */
+function reportMergeConflicts(merger) {
+  const outcomes = { existing: 'kept your value', generated: 'took the card\'s value', edited: 'set to your edit' };
+  for (const conflict of merger.conflicts) {
+    console.log(chalk.gray(`   ${conflict.field}: ${outcomes[conflictOutcome(conflict)]}`));
+  }
+}
+
+/**
+ * Prefix every key with the instance's namespace (see instanceEnvName)
+ */
+function namespaceEnv(instance, envVars) {
+  return Object.fromEntries(Object.entries(envVars).map(([name, value]) => [instanceEnvName(instance, name), value]));
+}
+
+/**
+ * Host paths given as ./dir or ../dir are made absolute, since docker needs that
+ */
+function resolveMount(spec) {
+  const [source, ...rest] = spec.split(':');
+  return source.startsWith('.') ? [path.resolve(source), ...rest].join(':') : spec;
+}
+
+/**
+ * Whether the server has OAuth tokens once this returns; a declined or failed sign-in
+ * leaves it to /mcp-helper auth
+ */
+async function authorize(configManager, prompter, serverId, serverCard, resource) {
+  if (await configManager.secrets.get(oauthSecretName(serverId)) !== undefined) {
+    console.log(chalk.green(`✓ Using the tokens of your earlier ${serverCard.name} sign-in`));
+    return true;
+  }
+
+  const { signInNow } = await prompter.prompt([
+    {
+      type: 'confirm',
+      name: 'signInNow',
+      message: `${serverCard.name} uses OAuth. Sign in now in your browser?`,
+      default: prompter.interactive
+    }
+  ]);
+  if (signInNow) {
+    try {
+      await signIn(configManager, serverId, serverCard, resource);
+      return true;
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  ${error.message}`));
+    }
+  }
+
+  console.log(chalk.yellow(`⚠️  Not signed in; run /mcp-helper auth ${serverId} before using ${serverCard.name}`));
+  return false;
+}
+
+/**
+ * Add the server and return what was written: { id, cardId, instance, scope, added,
+ * secrets, envFile, conflicts, authorized?, clients? }; `added` is false when reconfiguring
+ * it was declined, `authorized` tells OAuth servers whether they have tokens, and `clients`
+ * lists the other clients (clientNames) it was written to or skipped for
+ */
+export async function add(serverName, dockerOverrides = {}, instanceName = null, scopeName = null, clientNames = []) {
   console.log(chalk.blue.bold('🚀 MCP Helper - Adding MCP Server'));
   console.log();
 
-  try {
-    // Initialize managers
-    const configManager = new ConfigManager();
-    const serverCardsManager = new ServerCardsManager();
-    await serverCardsManager.initialize();
+  // Initialize managers
+  const configManager = new ConfigManager();
+  const serverCardsManager = new ServerCardsManager();
+  await serverCardsManager.initialize();
+  
+  const claudeMdGenerator = new ClaudeMdGenerator(configManager, serverCardsManager);
+  // Every question can be answered ahead (--answer, --answers, --yes); keys are noted below
+  const prompter = new Prompter();
+
+  // Step 1: Determine which server to add
+  let selectedServer = serverName;
+  
+  if (!selectedServer) {
+    // Show available servers with ratings
+    const activeCards = serverCardsManager.getActiveCards();
+    const essentials = serverCardsManager.getEssentialServers();
+    
+    // Create choices with ratings
+    const choices = activeCards.map(card => {
+      const humanRating = card.agenticUsefulness?.humanVerificationRating || 0;
+      const agentRating = card.agenticUsefulness?.aiAgentRating || 0;
+      const isEssential = essentials.forAgents.includes(card) || essentials.forHumans.includes(card);
+      
+      return {
+        name: `${card.name} ${isEssential ? chalk.yellow('⭐') : ''} (Human: ${humanRating}/5, Agent: ${agentRating}/5)`,
+        value: card.id,
+        short: card.id
+      };
+    });
+    
+    const answer = await prompter.prompt([
+      {
+        type: 'list',
+        name: 'server',
+        message: 'Select an MCP server to add:',
+        choices,
+        pageSize: 15
+      }
+    ]);
+    
+    selectedServer = answer.server;
+  }
+
+  // Step 2: Load server card
+  const serverCard = serverCardsManager.getCard(selectedServer);
+  
+  if (!serverCard) {
+    console.log('Available servers:', serverCardsManager.getAllCards().map(c => c.id).join(', '));
+    throw new ServerNotFoundError(`Server '${selectedServer}' not found in catalog`, { serverId: selectedServer });
+  }
+
+  const overrideErrors = serverCardsManager.validateDockerOverrides(serverCard, dockerOverrides);
+  if (overrideErrors.length > 0) {
+    throw new InvalidArgumentError(overrideErrors.join('\n'));
+  }
+
+  // --as adds another instance of the card under its own ID and env var names
+  const instance = instanceName && instanceName !== serverCard.id ? instanceName : null;
+  if (instance && !/^[a-z0-9][a-z0-9._-]*$/i.test(instance)) {
+    throw new InvalidArgumentError(`Invalid instance name '${instance}' (use letters, digits, '.', '_' and '-')`);
+  }
+  if (instance && serverCardsManager.getCard(instance)) {
+    throw new InvalidArgumentError(`'${instance}' is the ID of another catalog server; pick a different name`);
+  }
+  const serverId = instance || serverCard.id;
+  const envName = name => instanceEnvName(instance, name);
+  const overrides = { ...dockerOverrides, mounts: dockerOverrides.mounts?.map(resolveMount), instance };
+  const result = { id: serverId, cardId: serverCard.id, instance, scope: null, added: false, secrets: [], envFile: null, conflicts: [] };
+
+  // Check if already configured
+  const isConfigured = await configManager.getServerConfig(serverId);
+  if (isConfigured) {
+    const { overwrite } = await prompter.prompt([
+      {
+        type: 'confirm',
+        name: 'overwrite',
+        message: `Server '${instance || serverCard.name}' is already configured. Reconfigure?`,
+        default: false
+      }
+    ]);
     
-    const claudeMdGenerator = new ClaudeMdGenerator(configManager, serverCardsManager);
+    if (!overwrite) {
+      console.log(chalk.yellow('Cancelled'));
+      return result;
+    }
+  }
+
+  console.log();
+  console.log(chalk.cyan(`📦 Adding: ${serverCard.name}${instance ? ` as ${instance}` : ''}`));
+  console.log(chalk.gray(`   ${serverCard.useCases?.generic?.[0] || 'MCP server'}`));
+  
+  // Show agentic usefulness
+  if (serverCard.agenticUsefulness) {
+    console.log(chalk.gray(`   Human Verification: ${serverCard.agenticUsefulness.humanVerificationRating}/5`));
+    console.log(chalk.gray(`   AI Agent Use: ${serverCard.agenticUsefulness.aiAgentRating}/5`));
+  }
+  console.log();
+
+  // Step 3: Determine scope (unless --scope picked it)
+  const { scope } = scopeName ? { scope: scopeName } : await prompter.prompt([
+    {
+      type: 'list',
+      name: 'scope',
+      message: 'Configuration scope:',
+      choices: [
+        { name: 'Global (all projects, ~/.claude.json)', value: 'global' },
+        { name: 'Local (this project only, not shared, ~/.claude.json)', value: 'local' },
+        { name: 'Project (shared with your team via .mcp.json)', value: 'project' }
+      ],
+      default: 'global'
+    }
+  ]);
 
-    // Step 1: Determine which server to add
-    let selectedServer = serverName;
+  // Step 4: Check and prompt for environment variables
+  const requiredEnvVars = serverCardsManager.getRequiredEnvVars(serverCard);
+  const optionalEnvVars = serverCardsManager.getOptionalEnvVars(serverCard);
+  const envVars = {};
+  
+  if (requiredEnvVars.length > 0 || optionalEnvVars.length > 0) {
+    console.log();
+    console.log(chalk.yellow('📝 Environment Variables'));
+    console.log();
     
-    if (!selectedServer) {
-      // Show available servers with ratings
-      const activeCards = serverCardsManager.getActiveCards();
-      const essentials = serverCardsManager.getEssentialServers();
+    // Check existing environment
+    const projectEnv = await configManager.readProjectEnv();
+    const globalEnv = process.env;
+    
+    if (instance) {
+      console.log(chalk.gray(`   Stored under ${envName('<NAME>')} so other instances keep their own values`));
+    }
+
+    // Required variables; answered with the key env.<NAME>
+    for (const envVar of requiredEnvVars) {
+      const key = `env.${envName(envVar.name)}`;
+      const existing = projectEnv[envName(envVar.name)] || globalEnv[envName(envVar.name)];
       
-      // Create choices with ratings
-      const choices = activeCards.map(card => {
-        const humanRating = card.agenticUsefulness?.humanVerificationRating || 0;
-        const agentRating = card.agenticUsefulness?.aiAgentRating || 0;
-        const isEssential = essentials.forAgents.includes(card) || essentials.forHumans.includes(card);
+      if (existing && await prompter.lookup(key) === undefined) {
+        const { useExisting } = await prompter.prompt([
+          {
+            type: 'confirm',
+            name: 'useExisting',
+            message: `${envName(envVar.name)} is already set. Use existing value?`,
+            default: true
+          }
+        ]);
         
-        return {
-          name: `${card.name} ${isEssential ? chalk.yellow('⭐') : ''} (Human: ${humanRating}/5, Agent: ${agentRating}/5)`,
-          value: card.id,
-          short: card.id
-        };
-      });
+        if (useExisting) {
+          envVars[envVar.name] = existing;
+          continue;
+        }
+      }
       
-      const answer = await inquirer.prompt([
+      const { value } = await prompter.prompt([
         {
-          type: 'list',
-          name: 'server',
-          message: 'Select an MCP server to add:',
-          choices,
-          pageSize: 15
+          type: envVar.sensitive ? 'password' : 'input',
+          name: 'value',
+          key,
+          message: `${envName(envVar.name)} (required):`,
+          default: envVar.sensitive ? undefined : envVar.default ?? (prompter.interactive ? envVar.example : undefined) ?? '',
+          validate: input => input.length > 0 || 'This field is required'
         }
       ]);
       
-      selectedServer = answer.server;
+      envVars[envVar.name] = value;
     }
-
-    // Step 2: Load server card
-    const serverCard = serverCardsManager.getCard(selectedServer);
     
-    if (!serverCard) {
-      console.error(chalk.red(`❌ Server '${selectedServer}' not found in catalog`));
-      console.log('Available servers:', serverCardsManager.getAllCards().map(c => c.id).join(', '));
-      process.exit(1);
-    }
-
-    // Check if already configured
-    const isConfigured = await configManager.isServerConfigured(serverCard.id);
-    if (isConfigured) {
-      const { overwrite } = await inquirer.prompt([
+    // Optional variables
+    if (optionalEnvVars.length > 0) {
+      // Answering any of them counts as wanting to configure them
+      const answered = await Promise.all(optionalEnvVars.map(envVar => prompter.lookup(`env.${envName(envVar.name)}`)));
+      const { configureOptional } = answered.some(value => value !== undefined) ? { configureOptional: true } : await prompter.prompt([
         {
           type: 'confirm',
-          name: 'overwrite',
-          message: `Server '${serverCard.name}' is already configured. Reconfigure?`,
+          name: 'configureOptional',
+          message: 'Configure optional environment variables?',
           default: false
         }
       ]);
       
-      if (!overwrite) {
-        console.log(chalk.yellow('Cancelled'));
-        process.exit(0);
-      }
-    }
-
-    console.log();
-    console.log(chalk.cyan(`📦 Adding: ${serverCard.name}`));
-    console.log(chalk.gray(`   ${serverCard.useCases?.generic?.[0] || 'MCP server'}`));
-    
-    // Show agentic usefulness
-    if (serverCard.agenticUsefulness) {
-      console.log(chalk.gray(`   Human Verification: ${serverCard.agenticUsefulness.humanVerificationRating}/5`));
-      console.log(chalk.gray(`   AI Agent Use: ${serverCard.agenticUsefulness.aiAgentRating}/5`));
-    }
-    console.log();
-
-    // Step 3: Determine scope
-    const { scope } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'scope',
-        message: 'Configuration scope:',
-        choices: [
-          { name: 'Global (all projects)', value: 'global' },
-          { name: 'Project-specific (this project only)', value: 'project' }
-        ],
-        default: 'global'
-      }
-    ]);
-
-    // Step 4: Check and prompt for environment variables
-    const requiredEnvVars = serverCardsManager.getRequiredEnvVars(serverCard);
-    const optionalEnvVars = serverCardsManager.getOptionalEnvVars(serverCard);
-    const envVars = {};
-    
-    if (requiredEnvVars.length > 0 || optionalEnvVars.length > 0) {
-      console.log();
-      console.log(chalk.yellow('📝 Environment Variables'));
-      console.log();
-      
-      // Check existing environment
-      const projectEnv = await configManager.readProjectEnv();
-      const globalEnv = process.env;
-      
-      // Required variables
-      for (const envVar of requiredEnvVars) {
-        const existing = projectEnv[envVar.name] || globalEnv[envVar.name];
-        
-        if (existing) {
-          const { useExisting } = await inquirer.prompt([
-            {
-              type: 'confirm',
-              name: 'useExisting',
-              message: `${envVar.name} is already set. Use existing value?`,
-              default: true
-            }
-          ]);
+      if (configureOptional) {
+        for (const [index, envVar] of optionalEnvVars.entries()) {
+          const existing = projectEnv[envName(envVar.name)] || globalEnv[envName(envVar.name)];
           
-          if (useExisting) {
+          if (existing) {
+            console.log(chalk.gray(`   ${envName(envVar.name)} already set, skipping...`));
             envVars[envVar.name] = existing;
             continue;
           }
-        }
-        
-        const { value } = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'value',
-            message: `${envVar.name} (required):`,
-            default: envVar.example || '',
-            validate: input => input.length > 0 || 'This field is required'
-          }
-        ]);
-        
-        envVars[envVar.name] = value;
-      }
-      
-      // Optional variables
-      if (optionalEnvVars.length > 0) {
-        const { configureOptional } = await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'configureOptional',
-            message: 'Configure optional environment variables?',
-            default: false
+          // Optional credentials nobody answered are left out rather than failing the add
+          if (envVar.sensitive && answered[index] === undefined && !prompter.interactive) {
+            continue;
           }
-        ]);
-        
-        if (configureOptional) {
-          for (const envVar of optionalEnvVars) {
-            const existing = projectEnv[envVar.name] || globalEnv[envVar.name];
-            
-            if (existing) {
-              console.log(chalk.gray(`   ${envVar.name} already set, skipping...`));
-              envVars[envVar.name] = existing;
-              continue;
-            }
-            
-            const { value } = await inquirer.prompt([
-              {
-                type: 'input',
-                name: 'value',
-                message: `${envVar.name} (optional):`,
-                default: envVar.example || ''
-              }
-            ]);
-            
-            if (value) {
-              envVars[envVar.name] = value;
+          
+          const { value } = await prompter.prompt([
+            {
+              type: envVar.sensitive ? 'password' : 'input',
+              name: 'value',
+              key: `env.${envName(envVar.name)}`,
+              message: `${envName(envVar.name)} (optional):`,
+              default: envVar.sensitive ? undefined : envVar.default ?? (prompter.interactive ? envVar.example : undefined) ?? ''
             }
+          ]);
+          
+          if (value) {
+            envVars[envVar.name] = value;
           }
         }
       }
     }
+  }
+
+  // Step 5: Generate server configuration
+  // Credentials go to the secret store; the config only gets ${secret:NAME} references
+  const { secrets, plain } = serverCardsManager.splitSecretEnvVars(serverCard, envVars);
+  let serverConfig = serverCardsManager.generateServerConfig(serverCard, plain, overrides);
+  // Reconfiguring keeps hand edits made since mcp-helper last wrote the entry
+  const merger = new LegacyConfigMerger(configManager);
+  const envSchema = (serverCard.envSchema || []).map(envVar => ({ ...envVar, name: instanceEnvName(instance, envVar.name) }));
+  
+  // Step 6: Apply configuration
+  console.log();
+  console.log(chalk.yellow('💾 Applying configuration...'));
 
-    // Step 5: Generate server configuration
-    const serverConfig = serverCardsManager.generateServerConfig(serverCard, envVars);
+  result.secrets = await configManager.secrets.setMany(namespaceEnv(instance, secrets));
+  if (result.secrets.length > 0) {
+    console.log(chalk.green(`✓ Stored ${result.secrets.join(', ')} in the ${await configManager.secrets.getBackendName()} secret store`));
+  }
+  
+  if (scope !== 'project') {
+    // Backup and update ~/.claude.json: its top-level servers (global) or this project's block (local)
+    const globalConfigPath = path.join(process.env.HOME, '.claude.json');
+    await configManager.backupConfig(globalConfigPath);
     
-    // Step 6: Apply configuration
-    console.log();
-    console.log(chalk.yellow('💾 Applying configuration...'));
+    serverConfig = await merger.mergeServerConfig(serverId, serverConfig, 'interactive', { scope, envSchema });
+    reportMergeConflicts(merger);
+
+    await configManager.addServerPrivate(scope, serverId, serverConfig);
+    console.log(chalk.green(scope === 'local'
+      ? `✓ Updated ~/.claude.json (local to ${configManager.projectRoot})`
+      : '✓ Updated ~/.claude.json'));
     
-    if (scope === 'global') {
-      // Backup and update global config
-      const globalConfigPath = path.join(process.env.HOME, '.claude.json');
-      await configManager.backupConfig(globalConfigPath);
-      
-      // Add to global config
-      await configManager.addServerGlobal(serverCard.id, serverConfig);
-      console.log(chalk.green('✓ Updated ~/.claude.json'));
+    // Update an existing project .env, keeping its layout
+    if (Object.keys(plain).length > 0) {
+      const envPath = path.join(process.cwd(), '.env');
       
-      // Update project .env with placeholders if needed
-      if (Object.keys(envVars).length > 0) {
-        const envPath = path.join(process.cwd(), '.env');
-        const envExists = await fs.pathExists(envPath);
-        
-        if (envExists) {
-          // Add environment variables to project .env
-          let envContent = await fs.readFile(envPath, 'utf-8');
-          
-          // Add header if not present
-          if (!envContent.includes(`# ${serverCard.name}`)) {
-            envContent += `\n# ${serverCard.name}\n`;
-            
-            for (const [key, value] of Object.entries(envVars)) {
-              if (!envContent.includes(`export ${key}=`)) {
-                envContent += `export ${key}="${value}"\n`;
-              }
-            }
-            
-            await fs.writeFile(envPath, envContent);
-            console.log(chalk.green('✓ Updated .env with environment variables'));
-          }
-        }
+      if (await fs.pathExists(envPath)) {
+        await configManager.writeProjectEnv(namespaceEnv(instance, plain), { section: instance || serverCard.name });
+        result.envFile = configManager.projectEnvPath;
+        console.log(chalk.green('✓ Updated .env with environment variables'));
       }
-    } else {
-      // Project-specific configuration
-      await configManager.addServerProject(serverCard.id, envVars);
+    }
+  } else {
+    // Project configuration: .mcp.json is checked in, so it only gets ${VAR} and
+    // ${secret:NAME} references; plain values go to the (git-ignored) project .env
+    const sharedConfig = await merger.mergeServerConfig(serverId,
+      serverCardsManager.generateServerConfig(serverCard, {}, overrides), 'interactive', { scope, envSchema });
+    reportMergeConflicts(merger);
+    await configManager.addServerProject(serverId, sharedConfig);
+    console.log(chalk.green('✓ Updated .mcp.json'));
+
+    if (Object.keys(plain).length > 0) {
+      await configManager.writeProjectEnv(namespaceEnv(instance, plain), { section: instance || serverCard.name });
+      result.envFile = configManager.projectEnvPath;
       console.log(chalk.green('✓ Updated project .env'));
-      
-      // Also need to ensure it's in global config with placeholders
-      const globalConfig = await configManager.readGlobalConfig();
-      if (!globalConfig.mcpServers[serverCard.id]) {
-        const placeholderConfig = serverCardsManager.generateServerConfig(serverCard, {});
-        await configManager.addServerGlobal(serverCard.id, placeholderConfig);
-        console.log(chalk.green('✓ Added placeholder to ~/.claude.json'));
-      }
     }
+  }
 
-    // Step 7: Update CLAUDE.md
-    console.log(chalk.yellow('📄 Updating CLAUDE.md...'));
-    await claudeMdGenerator.generate();
-    console.log(chalk.green('✓ Updated CLAUDE.md'));
-    console.log();
+  Object.assign(result, {
+    scope,
+    added: true,
+    conflicts: merger.conflicts.map(conflict => ({ field: conflict.field, kept: conflictOutcome(conflict) }))
+  });
 
-    // Step 8: Show success and next steps
-    console.log(chalk.green.bold('✅ Server added successfully!'));
-    console.log();
-    console.log(chalk.cyan(`${serverCard.name} is now configured.`));
-    
-    // Show best practices if available
-    if (serverCard.agenticUsefulness?.bestPractices?.length > 0) {
-      console.log();
-      console.log('Best practices:');
-      for (const practice of serverCard.agenticUsefulness.bestPractices.slice(0, 3)) {
-        console.log(chalk.gray(`  • ${practice}`));
-      }
-    }
-    
-    // Show integration synergies
-    if (serverCard.agenticUsefulness?.integrationSynergies?.length > 0) {
-      console.log();
-      console.log('Works well with:');
-      for (const synergy of serverCard.agenticUsefulness.integrationSynergies.slice(0, 3)) {
-        console.log(chalk.gray(`  • ${synergy}`));
+  // --client: the same entry, in each other client's format
+  if (clientNames.length > 0) {
+    const written = (await configManager.readScopeConfig(scope)).mcpServers[serverId];
+    result.clients = [];
+    for (const adapter of getClientAdapters(clientNames, configManager)) {
+      const synced = await adapter.sync(scope, { [serverId]: written });
+      result.clients.push({ client: synced.client, path: synced.path, written: synced.written.length + synced.unchanged.length > 0, skipped: synced.skipped[0]?.reason || null });
+      if (synced.skipped.length > 0) {
+        console.log(chalk.yellow(`⚠️  Not added to ${adapter.label}: ${synced.skipped[0].reason}`));
+      } else {
+        console.log(chalk.green(`✓ Updated ${synced.path.replace(process.env.HOME, '~')} (${adapter.label})`));
       }
     }
-    
+  }
+
+  // OAuth servers: sign in now, or keep the tokens of an earlier sign-in
+  if (serverCard.oauth) {
+    result.authorized = await authorize(configManager, prompter, serverId, serverCard, serverConfig.url);
+  }
+
+  // Step 7: Update CLAUDE.md
+  console.log(chalk.yellow('📄 Updating CLAUDE.md...'));
+  await claudeMdGenerator.generate();
+  console.log(chalk.green('✓ Updated CLAUDE.md'));
+  console.log();
+
+  // Step 8: Show success and next steps
+  console.log(chalk.green.bold('✅ Server added successfully!'));
+  console.log();
+  console.log(chalk.cyan(`${serverCard.name} is now configured${instance ? ` as ${instance}` : ''}.`));
+  
+  // Show best practices if available
+  if (serverCard.agenticUsefulness?.bestPractices?.length > 0) {
     console.log();
-    console.log('Next steps:');
-    console.log('1. Restart Claude Code to load the new server');
-    console.log('2. Verify with: ' + chalk.cyan('/mcp list'));
-    console.log('3. Test the server in your Claude Code session');
-    
-    // Runtime-specific instructions
-    if (serverCard.runtime === 'docker') {
-      console.log();
-      console.log(chalk.yellow('⚠️  This server requires Docker to be running'));
-    } else if (serverCard.runtime === 'python') {
-      console.log();
-      console.log(chalk.yellow('⚠️  This server requires Python and uv'));
+    console.log('Best practices:');
+    for (const practice of serverCard.agenticUsefulness.bestPractices.slice(0, 3)) {
+      console.log(chalk.gray(`  • ${practice}`));
     }
-
-  } catch (error) {
-    console.error(chalk.red('❌ Error adding server:'), error.message);
-    if (error.stack) {
-      console.error(chalk.gray(error.stack));
+  }
+  
+  // Show integration synergies
+  if (serverCard.agenticUsefulness?.integrationSynergies?.length > 0) {
+    console.log();
+    console.log('Works well with:');
+    for (const synergy of serverCard.agenticUsefulness.integrationSynergies.slice(0, 3)) {
+      console.log(chalk.gray(`  • ${synergy}`));
     }
-    process.exit(1);
   }
-}
+  
+  console.log();
+  console.log('Next steps:');
+  console.log('1. Restart Claude Code to load the new server');
+  console.log('2. Verify with: ' + chalk.cyan('/mcp list'));
+  console.log('3. Test the server in your Claude Code session');
+  
+  // Runtime-specific instructions
+  if (serverCard.runtime === 'docker') {
+    console.log();
+    console.log(chalk.yellow('⚠️  This server requires Docker to be running'));
+  } else if (serverCard.runtime === 'python') {
+    console.log();
+    console.log(chalk.yellow('⚠️  This server requires Python and uv'));
+  }
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const serverName = args[0];
+  return result;
+}
 
-// Run the add command
-add(serverName).catch(console.error);
\ No newline at end of file
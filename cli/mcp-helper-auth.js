@@ -0,0 +1,68 @@
+/**
+ * MCP Helper - Auth
+ * Signs in to hosted servers whose card declares `oauth`. The token set is kept in the
+ * secret store under <ID>_OAUTH_TOKEN, which the server's Authorization header references.
+ */
+
+import { ConfigManager } from '../lib/config-manager.js';
+import { ServerCardsManager } from '../lib/server-cards.js';
+import { OAuthClient, oauthSecretName, openBrowser } from '../lib/oauth.js';
+import { isInteractive } from '../lib/prompter.js';
+import { InvalidArgumentError, ServerNotFoundError } from '../lib/errors.js';
+import chalk from 'chalk';
+
+/**
+ * Run the browser sign-in for a server and store its tokens; returns the secret name
+ */
+export async function signIn(configManager, serverId, card, resource) {
+  const tokenSet = await new OAuthClient().authorize(card.oauth, {
+    resource,
+    onAuthorizationUrl: url => {
+      console.log(chalk.cyan(`🔑 Sign in to ${card.name || serverId} in your browser:`));
+      console.log(`   ${url}`);
+      if (isInteractive()) {
+        openBrowser(url);
+      }
+    }
+  });
+
+  const name = oauthSecretName(serverId);
+  await configManager.secrets.set(name, JSON.stringify(tokenSet));
+  console.log(chalk.green(`✓ Signed in; stored the token as ${name} in the ${await configManager.secrets.getBackendName()} secret store`));
+  return name;
+}
+
+/**
+ * Sign in to a configured server, or with `logout` forget its tokens
+ * Returns { id, secret, signedIn }
+ */
+export async function auth(serverId, options = {}) {
+  const configManager = new ConfigManager();
+  const serverCardsManager = new ServerCardsManager();
+  await serverCardsManager.initialize({ quiet: true });
+
+  const serverConfig = await configManager.getServerConfig(serverId);
+  if (!serverConfig) {
+    throw new ServerNotFoundError(`Server '${serverId}' is not configured; add it with /mcp-helper add ${serverId}`, { serverId });
+  }
+
+  const card = serverCardsManager.findCardForServer(serverId, serverConfig.config);
+  if (!card?.oauth) {
+    throw new InvalidArgumentError(`${serverId} doesn't sign in with OAuth${card ? '' : ' (no catalog card found for it)'}`);
+  }
+
+  // The name the generated Authorization header references
+  const tokenId = serverConfig.config.metadata?.instance || card.id;
+  if (options.logout) {
+    const secret = oauthSecretName(tokenId);
+    if (await configManager.secrets.remove(secret)) {
+      console.log(chalk.green(`✓ Signed out of ${serverId}; removed ${secret} from the secret store`));
+    } else {
+      console.log(chalk.gray(`Not signed in to ${serverId}`));
+    }
+    return { id: serverId, secret, signedIn: false };
+  }
+
+  const secret = await signIn(configManager, tokenId, card, serverConfig.config.url);
+  return { id: serverId, secret, signedIn: true };
+}
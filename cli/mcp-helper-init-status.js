@@ -8,7 +8,7 @@ import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import inquirer from 'inquirer';
+import { prompt } from '../lib/prompter.js';
 import chalk from 'chalk';
 import Handlebars from 'handlebars';
 
@@ -30,7 +30,7 @@ async function initStatus() {
     if (await fs.pathExists(statusFile)) {
       console.log(chalk.yellow('⚠️  PROJECT_STATUS.json already exists'));
       
-      const { overwrite } = await inquirer.prompt([
+      const { overwrite } = await prompt([
         {
           type: 'confirm',
           name: 'overwrite',
@@ -57,7 +57,7 @@ async function initStatus() {
     console.log(chalk.cyan('📋 Project Configuration'));
     console.log();
     
-    const answers = await inquirer.prompt([
+    const answers = await prompt([
       {
         type: 'input',
         name: 'projectName',
@@ -94,7 +94,7 @@ async function initStatus() {
     // Get initial features if this is a new project
     let features = {};
     
-    const { addFeatures } = await inquirer.prompt([
+    const { addFeatures } = await prompt([
       {
         type: 'confirm',
         name: 'addFeatures',
@@ -104,7 +104,7 @@ async function initStatus() {
     ]);
     
     if (addFeatures) {
-      const { featureList } = await inquirer.prompt([
+      const { featureList } = await prompt([
         {
           type: 'input',
           name: 'featureList',
@@ -115,10 +115,11 @@ async function initStatus() {
       ]);
       
       for (const featureName of featureList) {
-        const { completion } = await inquirer.prompt([
+        const { completion } = await prompt([
           {
             type: 'number',
             name: 'completion',
+            key: `completion.${featureName.toLowerCase().replace(/\s+/g, '_')}`,
             message: `Initial completion % for "${featureName}":`,
             default: 0,
             validate: input => (input >= 0 && input <= 100) || 'Must be between 0 and 100'
@@ -292,7 +293,7 @@ console.log(report);
 
   } catch (error) {
     console.error(chalk.red('❌ Error initializing status tracking:'), error.message);
-    if (error.stack) {
+    if (error.stack && !error.answerKeys) {
       console.error(chalk.gray(error.stack));
     }
     process.exit(1);
@@ -1,15 +1,15 @@
-#!/usr/bin/env node
 /**
  * /mcp-helper list - List configured MCP servers with status
- * This slash command is executed within Claude Code chat interface
+ * Handler of the list command (cli/commands/list.js)
  */
 
-import { ConfigManager } from '../lib/config-manager.js';
+import { ConfigManager, SCOPE_PRECEDENCE, SCOPE_LABELS } from '../lib/config-manager.js';
 import { ServerCardsManager } from '../lib/server-cards.js';
+import { isRemoteServer } from '../lib/secret-store.js';
 import chalk from 'chalk';
 import Table from 'cli-table3';
 
-async function list() {
+export async function list() {
   console.log(chalk.blue.bold('📋 MCP Helper - Configured Servers'));
   console.log();
 
@@ -19,8 +19,11 @@ async function list() {
     const serverCardsManager = new ServerCardsManager();
     await serverCardsManager.initialize();
 
-    // Get configured servers
-    const servers = await configManager.listServers();
+    // Get configured servers; named instances follow the entry of their card, and entries
+    // overridden by a higher scope follow the one that wins
+    const entries = await configManager.listServers({ groupByCard: true, includeShadowed: true });
+    const servers = entries.filter(server => server.effective);
+    const rows = servers.flatMap(server => [server, ...entries.filter(entry => !entry.effective && entry.id === server.id)]);
     
     if (servers.length === 0) {
       console.log(chalk.yellow('No MCP servers configured yet.'));
@@ -52,26 +55,46 @@ async function list() {
         chalk.cyan('Agent'),
         chalk.cyan('Missing Env')
       ],
-      colWidths: [20, 12, 10, 8, 8, 30],
+      colWidths: [20, 18, 10, 8, 8, 30],
       wordWrap: true
     });
 
-    // Get environment variables
+    // Get environment variables, with the active environment profile layered over .env
+    const activeProfile = await configManager.getActiveEnvProfile();
     const projectEnv = await configManager.readProjectEnv();
+    const envLayers = await configManager.envResolver.readLayers();
+    const profileGaps = new Map((await configManager.findMissingEnv(activeProfile)).map(gap => [gap.id, gap.missing]));
+    const profiles = await configManager.listEnvProfiles();
+    if (activeProfile) {
+      console.log(`Environment profile: ${chalk.bold(activeProfile)} ${chalk.gray(`(.env.mcp.${activeProfile})`)}`);
+    } else if (profiles.length > 0) {
+      console.log(`Environment profile: ${chalk.gray('none')} ${chalk.gray(`(available: ${profiles.join(', ')}; /mcp-helper use <profile>)`)}`);
+    }
     
     // Statistics
-    let globalCount = 0;
-    let projectCount = 0;
+    const scopeCounts = Object.fromEntries(SCOPE_PRECEDENCE.map(scope => [scope, 0]));
     let overrideCount = 0;
     let missingEnvCount = 0;
     
     // Process each server
-    for (const server of servers) {
-      const card = serverCardsManager.getCard(server.id);
+    for (const server of rows) {
+      // An entry a higher scope overrides is shown, but Claude Code won't run it
+      if (!server.effective) {
+        table.push([
+          chalk.gray(`  └ ${server.id}`),
+          chalk.gray(SCOPE_LABELS[server.scope]),
+          chalk.gray('—'),
+          '',
+          '',
+          chalk.gray(`overridden by ${SCOPE_LABELS[server.shadowedBy]}`)
+        ]);
+        continue;
+      }
+
+      const card = serverCardsManager.findCardForServer(server.id, server.config);
       
       // Count by scope
-      if (server.scope === 'global') globalCount++;
-      if (server.scope === 'project') projectCount++;
+      scopeCounts[server.scope]++;
       if (server.hasProjectOverrides) overrideCount++;
       
       // Check environment variables
@@ -79,12 +102,14 @@ async function list() {
       let missingVars = [];
       
       if (card) {
-        const validation = serverCardsManager.validateEnvVars(card, projectEnv);
-        if (!validation.valid) {
-          status = chalk.yellow('⚠️');
-          missingVars = validation.missing.map(v => v.name);
-          missingEnvCount++;
-        }
+        const serverEnv = await configManager.readServerEnv(server.config, projectEnv, envLayers);
+        const validation = serverCardsManager.validateEnvVars(card, serverEnv, server.config.metadata?.instance);
+        missingVars = validation.missing.map(v => v.name);
+      }
+      missingVars = [...new Set([...missingVars, ...(profileGaps.get(server.id) || [])])];
+      if (missingVars.length > 0) {
+        status = chalk.yellow('⚠️');
+        missingEnvCount++;
       }
       
       // Get ratings
@@ -92,14 +117,19 @@ async function list() {
       const agentRating = card?.agenticUsefulness?.aiAgentRating || '?';
       
       // Determine scope display
-      let scopeDisplay = server.scope;
+      let scopeDisplay = SCOPE_LABELS[server.scope];
       if (server.hasProjectOverrides) {
-        scopeDisplay = chalk.blue('override');
+        scopeDisplay += ` ${chalk.blue('override')}`;
       }
       
+      // Instances are indented under their card (or show which card they run)
+      const grouped = server.instanceOf && servers.some(other => other !== server && other.cardId === server.cardId);
+      const serverDisplay = !server.instanceOf ? chalk.bold(server.id)
+        : grouped ? `  └ ${chalk.bold(server.id)}` : `${chalk.bold(server.id)} ${chalk.gray(`(${server.instanceOf})`)}`;
+
       // Add to table
       table.push([
-        chalk.bold(server.id),
+        serverDisplay,
         scopeDisplay,
         status,
         `${humanRating}/5`,
@@ -115,21 +145,25 @@ async function list() {
     // Display statistics
     console.log(chalk.cyan('📊 Summary:'));
     console.log(`  Total servers: ${servers.length}`);
-    console.log(`  Global scope: ${globalCount}`);
-    console.log(`  Project scope: ${projectCount}`);
+    console.log(`  User scope: ${scopeCounts.global}`);
+    console.log(`  Local scope: ${scopeCounts.local}`);
+    console.log(`  Project scope: ${scopeCounts.project}`);
     console.log(`  Project overrides: ${overrideCount}`);
+    if (rows.length > servers.length) {
+      console.log(`  Overridden entries: ${rows.length - servers.length} ${chalk.gray('(same ID in a higher scope: local, then project, then user)')}`);
+    }
     
     if (missingEnvCount > 0) {
       console.log(`  ${chalk.yellow(`Missing env vars: ${missingEnvCount} server(s)`)}`);
     }
     console.log();
 
-    // Group by runtime
+    // Group by runtime; remote servers by their transport
     const byRuntime = {};
     for (const server of servers) {
-      const card = serverCardsManager.getCard(server.id);
-      if (card) {
-        const runtime = card.runtime || 'unknown';
+      const card = serverCardsManager.findCardForServer(server.id, server.config);
+      const runtime = isRemoteServer(server.config) ? `remote (${server.config.type || 'http'})` : card?.runtime;
+      if (runtime) {
         if (!byRuntime[runtime]) byRuntime[runtime] = [];
         byRuntime[runtime].push(server.id);
       }
@@ -143,7 +177,7 @@ async function list() {
 
     // Show essential servers not yet configured
     const essentials = serverCardsManager.getEssentialServers();
-    const configuredIds = new Set(servers.map(s => s.id));
+    const configuredIds = new Set(servers.map(s => s.cardId));
     
     const missingEssentialAgents = essentials.forAgents.filter(
       card => !configuredIds.has(card.id)
@@ -187,12 +221,9 @@ async function list() {
 
   } catch (error) {
     console.error(chalk.red('❌ Error listing servers:'), error.message);
-    if (error.stack) {
+    if (process.env.DEBUG) {
       console.error(chalk.gray(error.stack));
     }
-    process.exit(1);
+    process.exitCode = 1;
   }
 }
-
-// Run the list command
-list().catch(console.error);
\ No newline at end of file
@@ -1,17 +1,21 @@
-#!/usr/bin/env node
 /**
  * /mcp-helper reconfigure - Modify existing MCP server configuration
- * This slash command is executed within Claude Code chat interface
+ * Handler of the reconfigure command (cli/commands/reconfigure.js)
  */
 
 import { ConfigManager } from '../lib/config-manager.js';
-import { ServerCardsManager } from '../lib/server-cards.js';
+import { ServerCardsManager, instanceEnvName } from '../lib/server-cards.js';
 import { ClaudeMdGenerator } from '../lib/claude-md-generator.js';
-import inquirer from 'inquirer';
+import { Prompter } from '../lib/prompter.js';
+import { ServerNotFoundError } from '../lib/errors.js';
+import { isRemoteServer, unwrapLauncher } from '../lib/secret-store.js';
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
 
+// Answer keys: server, action (env|scope|remove|cancel), vars, env.<NAME>, scope,
+// confirmScope and remove
+
 /**
  * Mask sensitive value for display
  */
@@ -22,174 +26,189 @@ function maskValue(value) {
   return value.substring(0, 2) + '***' + value.substring(value.length - 2);
 }
 
-async function reconfigure(serverName) {
+/**
+ * Reconfigure the server and return what changed: { id, action, updated, scope, removed },
+ * or null when there is no server to pick
+ */
+export async function reconfigure(serverName) {
+  // Made fresh on every run, so it sees that run's --answer, --answers and --yes
+  const prompter = new Prompter();
   console.log(chalk.blue.bold('🔧 MCP Helper - Reconfigure Server'));
   console.log();
 
-  try {
-    // Initialize managers
-    const configManager = new ConfigManager();
-    const serverCardsManager = new ServerCardsManager();
-    await serverCardsManager.initialize();
-    
-    const claudeMdGenerator = new ClaudeMdGenerator(configManager, serverCardsManager);
-
-    // Step 1: Select server to reconfigure
-    let selectedServer = serverName;
-    
-    if (!selectedServer) {
-      // Get list of configured servers
-      const servers = await configManager.listServers();
-      
-      if (servers.length === 0) {
-        console.log(chalk.yellow('No servers configured yet.'));
-        console.log('Use ' + chalk.cyan('/mcp-helper add <server>') + ' to add servers first.');
-        return;
-      }
-      
-      // Create choices with ratings
-      const choices = servers.map(server => {
-        const card = serverCardsManager.getCard(server.id);
-        const humanRating = card?.agenticUsefulness?.humanVerificationRating || '?';
-        const agentRating = card?.agenticUsefulness?.aiAgentRating || '?';
-        const scopeIcon = server.hasProjectOverrides ? '🔄' : (server.scope === 'global' ? '🌍' : '📁');
-        
-        return {
-          name: `${scopeIcon} ${card?.name || server.id} (Human: ${humanRating}/5, Agent: ${agentRating}/5)`,
-          value: server.id,
-          short: server.id
-        };
-      });
-      
-      const answer = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'server',
-          message: 'Select a server to reconfigure:',
-          choices,
-          pageSize: 15
-        }
-      ]);
-      
-      selectedServer = answer.server;
-    }
+  // Initialize managers
+  const configManager = new ConfigManager();
+  const serverCardsManager = new ServerCardsManager();
+  await serverCardsManager.initialize();
+  
+  const claudeMdGenerator = new ClaudeMdGenerator(configManager, serverCardsManager);
 
-    // Step 2: Get current configuration
-    const serverConfig = await configManager.getServerConfig(selectedServer);
-    
-    if (!serverConfig) {
-      console.error(chalk.red(`❌ Server '${selectedServer}' is not configured`));
-      console.log('Use ' + chalk.cyan(`/mcp-helper add ${selectedServer}`) + ' to add it first.');
-      return;
-    }
-    
-    const serverCard = serverCardsManager.getCard(selectedServer);
-    
-    // Step 3: Display current configuration
-    console.log();
-    console.log(chalk.cyan('📋 Current Configuration'));
-    console.log(chalk.gray('━'.repeat(50)));
-    console.log(`Server: ${chalk.bold(serverCard?.name || selectedServer)}`);
-    console.log(`Scope: ${serverConfig.hasProjectOverrides ? chalk.blue('project override') : serverConfig.scope}`);
+  // Step 1: Select server to reconfigure
+  let selectedServer = serverName;
+  
+  if (!selectedServer) {
+    // Get list of configured servers, with named instances next to their card
+    const servers = await configManager.listServers({ groupByCard: true });
     
-    // Show agentic usefulness
-    if (serverCard?.agenticUsefulness) {
-      console.log(`Human Verification: ${serverCard.agenticUsefulness.humanVerificationRating}/5`);
-      console.log(`AI Agent Use: ${serverCard.agenticUsefulness.aiAgentRating}/5`);
+    if (servers.length === 0) {
+      console.log(chalk.yellow('No servers configured yet.'));
+      console.log('Use ' + chalk.cyan('/mcp-helper add <server>') + ' to add servers first.');
+      return null;
     }
     
-    // Show environment variables
-    console.log();
-    console.log(chalk.cyan('Environment Variables:'));
-    
-    const requiredEnvVars = serverCardsManager.getRequiredEnvVars(serverCard);
-    const optionalEnvVars = serverCardsManager.getOptionalEnvVars(serverCard);
-    const allEnvVars = [...requiredEnvVars, ...optionalEnvVars];
-    
-    if (allEnvVars.length === 0) {
-      console.log(chalk.gray('  No environment variables required'));
-    } else {
-      for (const envVar of allEnvVars) {
-        const value = serverConfig.envVars[envVar.name];
-        const isRequired = requiredEnvVars.includes(envVar);
-        const status = value ? chalk.green('✓') : (isRequired ? chalk.red('✗') : chalk.yellow('○'));
-        const displayValue = value ? maskValue(value) : chalk.gray('not set');
-        
-        console.log(`  ${status} ${envVar.name}: ${displayValue}`);
-      }
-    }
+    // Create choices with ratings
+    const choices = servers.map(server => {
+      const card = serverCardsManager.findCardForServer(server.id, server.config);
+      const humanRating = card?.agenticUsefulness?.humanVerificationRating || '?';
+      const agentRating = card?.agenticUsefulness?.aiAgentRating || '?';
+      const scopeIcon = server.hasProjectOverrides ? '🔄' : (server.scope === 'global' ? '🌍' : '📁');
+      const name = server.instanceOf ? `  └ ${card?.name || server.instanceOf}: ${server.id}` : card?.name || server.id;
+      
+      return {
+        name: `${scopeIcon} ${name} (Human: ${humanRating}/5, Agent: ${agentRating}/5)`,
+        value: server.id,
+        short: server.id
+      };
+    });
     
-    console.log(chalk.gray('━'.repeat(50)));
-    console.log();
-
-    // Step 4: Present reconfiguration options
-    const { action } = await inquirer.prompt([
+    const answer = await prompter.prompt([
       {
         type: 'list',
-        name: 'action',
-        message: 'What would you like to do?',
-        choices: [
-          { name: '🔐 Update environment variables', value: 'env' },
-          { name: '🔄 Change scope (global ↔ project)', value: 'scope' },
-          { name: '🗑️  Remove server', value: 'remove' },
-          { name: '↩️  Cancel', value: 'cancel' }
-        ]
+        name: 'server',
+        message: 'Select a server to reconfigure:',
+        choices,
+        pageSize: 15
       }
     ]);
+    
+    selectedServer = answer.server;
+  }
 
-    if (action === 'cancel') {
-      console.log(chalk.yellow('Cancelled'));
-      return;
+  // Step 2: Get current configuration
+  const serverConfig = await configManager.getServerConfig(selectedServer);
+  
+  if (!serverConfig) {
+    throw new ServerNotFoundError(`Server '${selectedServer}' is not configured; add it with /mcp-helper add ${selectedServer}`, {
+      serverId: selectedServer
+    });
+  }
+  
+  const serverCard = serverCardsManager.findCardForServer(selectedServer, serverConfig.config);
+  // A named instance reads its env vars under namespaced names
+  const instance = serverConfig.config.metadata?.instance;
+  
+  // Step 3: Display current configuration
+  console.log();
+  console.log(chalk.cyan('📋 Current Configuration'));
+  console.log(chalk.gray('━'.repeat(50)));
+  console.log(`Server: ${chalk.bold(serverCard?.name || selectedServer)}${instance ? ` (instance ${chalk.bold(instance)})` : ''}`);
+  console.log(`Scope: ${serverConfig.hasProjectOverrides ? chalk.blue('project override') : serverConfig.scope}`);
+  if (serverConfig.shadows.length > 0) {
+    console.log(chalk.gray(`  (overrides the ${serverConfig.shadows.join(', ')} entry with the same name)`));
+  }
+  if (isRemoteServer(serverConfig.config)) {
+    // Headers from the headersHelper are listed with the others; templates show where values come from
+    const { type = 'http', url, headers = {} } = unwrapLauncher(serverConfig.config);
+    console.log(`Endpoint: ${url} ${chalk.gray(`(${type})`)}`);
+    for (const [name, value] of Object.entries(headers)) {
+      console.log(chalk.gray(`  ${name}: ${value.includes('${') ? value : maskValue(value)}`));
     }
-
-    // Step 5: Handle selected action
-    switch (action) {
-      case 'env':
-        await handleEnvUpdate(configManager, serverConfig, serverCard, allEnvVars);
-        break;
-        
-      case 'scope':
-        await handleScopeChange(configManager, serverConfig, serverCard);
-        break;
-        
-      case 'remove':
-        await handleRemoval(configManager, serverCardsManager, serverConfig, serverCard);
-        break;
+  }
+  
+  // Show agentic usefulness
+  if (serverCard?.agenticUsefulness) {
+    console.log(`Human Verification: ${serverCard.agenticUsefulness.humanVerificationRating}/5`);
+    console.log(`AI Agent Use: ${serverCard.agenticUsefulness.aiAgentRating}/5`);
+  }
+  
+  // Show environment variables
+  console.log();
+  console.log(chalk.cyan('Environment Variables:'));
+  
+  const requiredEnvVars = serverCardsManager.getRequiredEnvVars(serverCard);
+  const optionalEnvVars = serverCardsManager.getOptionalEnvVars(serverCard);
+  const allEnvVars = [...requiredEnvVars, ...optionalEnvVars]
+    .map(envVar => ({ ...envVar, name: instanceEnvName(instance, envVar.name) }));
+  
+  if (allEnvVars.length === 0) {
+    console.log(chalk.gray('  No environment variables required'));
+  } else {
+    for (const envVar of allEnvVars) {
+      const value = serverConfig.envVars[envVar.name];
+      const inSecretStore = serverConfig.secrets.includes(envVar.name);
+      const isRequired = requiredEnvVars.some(required => instanceEnvName(instance, required.name) === envVar.name);
+      const status = value || inSecretStore ? chalk.green('✓') : (isRequired ? chalk.red('✗') : chalk.yellow('○'));
+      const displayValue = inSecretStore ? chalk.gray('🔒 secret store') : value ? maskValue(value) : chalk.gray('not set');
+      
+      console.log(`  ${status} ${envVar.name}: ${displayValue}`);
     }
+  }
+  
+  console.log(chalk.gray('━'.repeat(50)));
+  console.log();
 
-    // Step 6: Update CLAUDE.md
-    console.log();
-    console.log(chalk.yellow('📄 Updating CLAUDE.md...'));
-    await claudeMdGenerator.generate();
-    console.log(chalk.green('✓ Updated CLAUDE.md'));
+  // Step 4: Present reconfiguration options
+  const { action } = await prompter.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: 'What would you like to do?',
+      choices: [
+        { name: '🔐 Update environment variables', value: 'env' },
+        { name: '🔄 Change scope (global ↔ project)', value: 'scope' },
+        { name: '🗑️  Remove server', value: 'remove' },
+        { name: '↩️  Cancel', value: 'cancel' }
+      ]
+    }
+  ]);
 
-    // Step 7: Show success and next steps
-    console.log();
-    console.log(chalk.green.bold('✅ Reconfiguration complete!'));
-    console.log();
-    console.log('Next steps:');
-    console.log('1. Restart Claude Code to apply changes');
-    console.log('2. Verify with: ' + chalk.cyan('/mcp list'));
-    
-    // Show backup location
-    const backupDir = path.join(process.env.HOME, '.mcp-helper', 'backups');
-    console.log();
-    console.log(chalk.gray(`Backups stored in: ${backupDir}`));
-    console.log(chalk.gray('To undo changes, restore from the latest backup'));
+  const result = { id: serverConfig.id, action, updated: [], scope: serverConfig.scope, removed: false };
+  if (action === 'cancel') {
+    console.log(chalk.yellow('Cancelled'));
+    return result;
+  }
 
-  } catch (error) {
-    console.error(chalk.red('❌ Error during reconfiguration:'), error.message);
-    if (error.stack) {
-      console.error(chalk.gray(error.stack));
-    }
-    process.exit(1);
+  // Step 5: Handle selected action
+  switch (action) {
+    case 'env':
+      result.updated = await handleEnvUpdate(prompter, configManager, serverConfig, serverCard, allEnvVars);
+      break;
+      
+    case 'scope':
+      result.scope = await handleScopeChange(prompter, configManager, serverConfig, serverCard);
+      break;
+      
+    case 'remove':
+      result.removed = await handleRemoval(prompter, configManager, serverCardsManager, serverConfig, serverCard);
+      break;
   }
+
+  // Step 6: Update CLAUDE.md
+  console.log();
+  console.log(chalk.yellow('📄 Updating CLAUDE.md...'));
+  await claudeMdGenerator.generate();
+  console.log(chalk.green('✓ Updated CLAUDE.md'));
+
+  // Step 7: Show success and next steps
+  console.log();
+  console.log(chalk.green.bold('✅ Reconfiguration complete!'));
+  console.log();
+  console.log('Next steps:');
+  console.log('1. Restart Claude Code to apply changes');
+  console.log('2. Verify with: ' + chalk.cyan('/mcp list'));
+  
+  // Show backup location
+  const backupDir = path.join(process.env.HOME, '.mcp-helper', 'backups');
+  console.log();
+  console.log(chalk.gray(`Backups stored in: ${backupDir}`));
+  console.log(chalk.gray('To undo changes: ') + chalk.cyan('mcp-helper backups list'));
+  return result;
 }
 
 /**
- * Handle environment variable updates
+ * Handle environment variable updates; returns the names of the variables updated
  */
-async function handleEnvUpdate(configManager, serverConfig, serverCard, allEnvVars) {
+async function handleEnvUpdate(prompter, configManager, serverConfig, serverCard, allEnvVars) {
   console.log();
   console.log(chalk.cyan('🔐 Update Environment Variables'));
   console.log();
@@ -197,27 +216,35 @@ async function handleEnvUpdate(configManager, serverConfig, serverCard, allEnvVa
   // Select which variables to update
   const choices = allEnvVars.map(envVar => {
     const currentValue = serverConfig.envVars[envVar.name];
-    const displayValue = currentValue ? maskValue(currentValue) : 'not set';
+    const inSecretStore = serverConfig.secrets.includes(envVar.name);
+    const displayValue = inSecretStore ? 'in secret store' : currentValue ? maskValue(currentValue) : 'not set';
     
     return {
       name: `${envVar.name} (current: ${displayValue})`,
       value: envVar.name,
-      checked: !currentValue // Pre-select missing vars
+      checked: !currentValue && !inSecretStore // Pre-select missing vars
     };
   });
   
-  const { varsToUpdate } = await inquirer.prompt([
+  // Variables given an answer are the ones to update
+  const answered = [];
+  for (const envVar of allEnvVars) {
+    if (await prompter.lookup(`env.${envVar.name}`) !== undefined) answered.push(envVar.name);
+  }
+  const { varsToUpdate } = await prompter.prompt([
     {
       type: 'checkbox',
       name: 'varsToUpdate',
+      key: 'vars',
       message: 'Select variables to update:',
-      choices
+      choices,
+      default: answered.length > 0 ? answered : undefined
     }
   ]);
   
   if (varsToUpdate.length === 0) {
     console.log(chalk.yellow('No variables selected'));
-    return;
+    return [];
   }
   
   // Get new values
@@ -225,14 +252,16 @@ async function handleEnvUpdate(configManager, serverConfig, serverCard, allEnvVa
   
   for (const varName of varsToUpdate) {
     const envVar = allEnvVars.find(v => v.name === varName);
-    const currentValue = serverConfig.envVars[varName];
+    const currentValue = serverConfig.envVars[varName] || serverConfig.secrets.includes(varName);
     
-    const { value } = await inquirer.prompt([
+    const { value } = await prompter.prompt([
       {
-        type: 'input',
+        type: envVar.sensitive ? 'password' : 'input',
         name: 'value',
+        key: `env.${varName}`,
         message: `${varName}${currentValue ? ' (leave blank to keep current)' : ''}:`,
-        default: envVar.example || '',
+        // Unanswered, a value is kept rather than replaced with the example
+        default: envVar.sensitive ? undefined : prompter.interactive ? envVar.example || '' : '',
         validate: input => {
           if (!input && !currentValue && envVar.required !== false) {
             return 'This field is required';
@@ -251,15 +280,16 @@ async function handleEnvUpdate(configManager, serverConfig, serverCard, allEnvVa
   if (Object.keys(newEnvVars).length > 0) {
     console.log();
     console.log(chalk.yellow('💾 Updating environment variables...'));
-    await configManager.updateServerEnvVars(serverConfig.id, newEnvVars);
+    await configManager.updateServerEnvVars(serverConfig.id, newEnvVars, allEnvVars);
     console.log(chalk.green('✓ Environment variables updated'));
   }
+  return Object.keys(newEnvVars);
 }
 
 /**
- * Handle scope change
+ * Handle scope change; returns the server's scope afterwards
  */
-async function handleScopeChange(configManager, serverConfig, serverCard) {
+async function handleScopeChange(prompter, configManager, serverConfig, serverCard) {
   console.log();
   console.log(chalk.cyan('🔄 Change Scope'));
   console.log();
@@ -268,28 +298,31 @@ async function handleScopeChange(configManager, serverConfig, serverCard) {
   console.log(`Current scope: ${chalk.bold(currentScope)}`);
   console.log();
   
-  const { newScope } = await inquirer.prompt([
+  const { newScope } = await prompter.prompt([
     {
       type: 'list',
       name: 'newScope',
+      key: 'scope',
       message: 'Select new scope:',
       choices: [
-        { name: 'Global (all projects)', value: 'global' },
-        { name: 'Project-specific (this project only)', value: 'project' }
+        { name: 'Global (all projects, ~/.claude.json)', value: 'global' },
+        { name: 'Local (this project only, not shared, ~/.claude.json)', value: 'local' },
+        { name: 'Project (shared with your team via .mcp.json)', value: 'project' }
       ]
     }
   ]);
   
-  if (newScope === serverConfig.scope && !serverConfig.hasProjectOverrides) {
+  if (newScope === serverConfig.scope) {
     console.log(chalk.yellow('No change needed'));
-    return;
+    return serverConfig.scope;
   }
   
   // Confirm the change
-  const { confirm } = await inquirer.prompt([
+  const { confirm } = await prompter.prompt([
     {
       type: 'confirm',
       name: 'confirm',
+      key: 'confirmScope',
       message: `Change scope from ${currentScope} to ${newScope}?`,
       default: true
     }
@@ -297,7 +330,7 @@ async function handleScopeChange(configManager, serverConfig, serverCard) {
   
   if (!confirm) {
     console.log(chalk.yellow('Cancelled'));
-    return;
+    return serverConfig.scope;
   }
   
   console.log();
@@ -305,15 +338,16 @@ async function handleScopeChange(configManager, serverConfig, serverCard) {
   await configManager.updateServerScope(serverConfig.id, newScope);
   console.log(chalk.green(`✓ Scope changed to ${newScope}`));
   
-  if (newScope === 'global') {
+  if (newScope !== 'project') {
     console.log(chalk.gray('Note: Environment variables remain in .env for reference'));
   }
+  return newScope;
 }
 
 /**
- * Handle server removal
+ * Handle server removal; returns whether the server was removed
  */
-async function handleRemoval(configManager, serverCardsManager, serverConfig, serverCard) {
+async function handleRemoval(prompter, configManager, serverCardsManager, serverConfig, serverCard) {
   console.log();
   console.log(chalk.red.bold('⚠️  Remove Server'));
   console.log();
@@ -342,10 +376,11 @@ async function handleRemoval(configManager, serverCardsManager, serverConfig, se
   }
   
   // Double confirmation
-  const { confirm1 } = await inquirer.prompt([
+  const { confirm1 } = await prompter.prompt([
     {
       type: 'confirm',
       name: 'confirm1',
+      key: 'remove',
       message: `Are you sure you want to remove '${serverCard?.name || serverConfig.id}'?`,
       default: false
     }
@@ -353,13 +388,15 @@ async function handleRemoval(configManager, serverCardsManager, serverConfig, se
   
   if (!confirm1) {
     console.log(chalk.yellow('Cancelled'));
-    return;
+    return false;
   }
   
-  const { confirm2 } = await inquirer.prompt([
+  // Typing the name guards against a stray keypress; answered runs rely on the confirmation above
+  await prompter.prompt([
     {
       type: 'input',
       name: 'confirm2',
+      when: prompter.interactive,
       message: `Type the server name '${serverConfig.id}' to confirm removal:`,
       validate: input => input === serverConfig.id || 'Server name does not match'
     }
@@ -378,11 +415,5 @@ async function handleRemoval(configManager, serverCardsManager, serverConfig, se
   console.log(chalk.green(`✓ Server '${serverConfig.id}' removed`));
   console.log(chalk.gray(`Backup created: ${backupPath}`));
   console.log(chalk.gray('Note: Environment variables remain in .env for reference'));
+  return true;
 }
-
-// Parse command line arguments
-const args = process.argv.slice(2);
-const serverName = args[0];
-
-// Run the reconfigure command
-reconfigure(serverName).catch(console.error);
\ No newline at end of file
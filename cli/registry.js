@@ -0,0 +1,103 @@
+/**
+ * Command Registry
+ * The one list of mcp-helper commands. The bin CLI (router.js), the slash command
+ * registry (slash-commands/index.js) and programmatic callers all look commands up
+ * here, so each command has a single definition: a BaseCommand subclass with its
+ * options, its handler and the result document it reports.
+ */
+
+import { InitCommand } from './commands/init.js';
+import { AddCommand } from './commands/add.js';
+import { ListCommand } from './commands/list.js';
+import { ReconfigureCommand } from './commands/reconfigure.js';
+import { AddCustomCommand } from './commands/add-custom.js';
+import { RemoveCommand } from './commands/remove.js';
+import { DoctorCommand } from './commands/doctor.js';
+import { BackupsCommand } from './commands/backups.js';
+import { SecretsCommand } from './commands/secrets.js';
+import { LaunchCommand } from './commands/launch.js';
+import { AuthCommand } from './commands/auth.js';
+import { CatalogCommand } from './commands/catalog.js';
+import { ExportCommand } from './commands/export.js';
+import { ImportCommand } from './commands/import.js';
+import { SyncCommand } from './commands/sync.js';
+import { DriftCommand } from './commands/drift.js';
+import { UpgradeCommand } from './commands/upgrade.js';
+import { UseCommand } from './commands/use.js';
+import { AdvisorCommand } from './commands/advisor.js';
+import { HelpCommand } from './commands/help.js';
+import { createDocument } from '../lib/output.js';
+
+export const COMMANDS = [
+  InitCommand,
+  AddCommand,
+  ListCommand,
+  ReconfigureCommand,
+  AddCustomCommand,
+  RemoveCommand,
+  DoctorCommand,
+  BackupsCommand,
+  SecretsCommand,
+  LaunchCommand,
+  AuthCommand,
+  CatalogCommand,
+  ExportCommand,
+  ImportCommand,
+  SyncCommand,
+  DriftCommand,
+  UpgradeCommand,
+  UseCommand,
+  AdvisorCommand,
+  HelpCommand
+];
+
+export class CommandRegistry {
+  constructor(commands = COMMANDS) {
+    // Command classes by name and alias; every run gets a fresh instance
+    this.commands = new Map();
+    commands.forEach(Command => this.register(Command));
+  }
+
+  register(Command) {
+    const command = new Command(this);
+    this.commands.set(command.name, Command);
+    (command.aliases || []).forEach(alias => this.commands.set(alias, Command));
+  }
+
+  has(name) {
+    return this.commands.has(name);
+  }
+
+  /**
+   * A new instance of the command with this name or alias, or null
+   */
+  create(name) {
+    const Command = this.commands.get(name);
+    return Command ? new Command(this) : null;
+  }
+
+  /**
+   * One instance of every command, in registration order
+   */
+  list() {
+    return [...new Set(this.commands.values())].map(Command => new Command(this));
+  }
+
+  /**
+   * Run a command in-process and return its result document; nothing is printed or asked
+   */
+  async invoke(name, args = []) {
+    const command = this.create(name);
+    if (!command) {
+      return createDocument(name, {
+        ok: false,
+        error: { message: `Unknown command: ${name}. Run /mcp-helper help to see all commands` }
+      });
+    }
+    return command.invoke(args);
+  }
+}
+
+export const commandRegistry = new CommandRegistry();
+
+export default CommandRegistry;
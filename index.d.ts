@@ -0,0 +1,227 @@
+/**
+ * Types for the MCP Helper API (index.js)
+ */
+
+/** global is Claude Code's "user" scope; local is this project's block of ~/.claude.json */
+export type Scope = 'local' | 'project' | 'global';
+
+/** MCP clients other than Claude Code that servers can be written to */
+export type ClientName = 'claude-desktop' | 'cursor' | 'vscode' | 'windsurf';
+
+/** Base of the errors the API throws; `code` is stable across releases */
+export class McpHelperError extends Error {
+  constructor(message: string, details?: Record<string, unknown>);
+  code: string;
+  /** The result document of the command that failed, when one ran */
+  document?: ResultDocument;
+}
+
+/** No catalog card, or no configured server, with that ID */
+export class ServerNotFoundError extends McpHelperError {
+  code: 'SERVER_NOT_FOUND';
+  serverId?: string;
+}
+
+/** addServer() on a configured server without `overwrite` */
+export class ServerExistsError extends McpHelperError {
+  code: 'SERVER_EXISTS';
+  serverId?: string;
+}
+
+/** An argument or option value that can't be used */
+export class InvalidArgumentError extends McpHelperError {
+  code: 'INVALID_ARGUMENT';
+}
+
+/** A value the operation needs was not given; `answerKeys` names the prompts left unanswered */
+export class AnswerRequiredError extends McpHelperError {
+  code: 'ANSWER_REQUIRED';
+  answerKeys: string[];
+}
+
+/** A given value isn't one of the choices, or fails validation */
+export class InvalidAnswerError extends McpHelperError {
+  code: 'INVALID_ANSWER';
+  answerKeys: string[];
+}
+
+/** Signing in to an OAuth server, or refreshing its token, failed */
+export class OAuthError extends McpHelperError {
+  code: 'OAUTH_FAILED';
+}
+
+/** The versioned result document commands report (see lib/output.js) */
+export interface ResultDocument {
+  kind: 'mcp-helper-result';
+  version: 1;
+  command: string | null;
+  ok: boolean;
+  data: unknown;
+  messages: Array<{ level: 'success' | 'info' | 'hint' | 'warning' | 'error'; text: string }>;
+  output?: string[];
+  error?: { message: string; code?: string; answerKeys?: string[] };
+}
+
+export interface AddServerOptions {
+  /** Where to configure it (default: global) */
+  scope?: Scope;
+  /** Variable values by the card's variable names; credentials go to the secret store */
+  env?: Record<string, string>;
+  /** Add another instance of the card under this ID, with its own namespaced variables */
+  as?: string;
+  /** Docker: image tag, or sha256:digest */
+  tag?: string;
+  /** Docker: volume or host path mounts, as source:target[:ro] */
+  mounts?: string[];
+  /** Docker: network to attach the container to */
+  network?: string;
+  /** Replace the server if it is configured already (default: false) */
+  overwrite?: boolean;
+  /** Also write it to these clients, in their formats */
+  clients?: ClientName[];
+}
+
+export interface AddServerResult {
+  id: string;
+  cardId: string;
+  instance: string | null;
+  scope: Scope;
+  added: true;
+  /** Variables stored in the secret store */
+  secrets: string[];
+  /** The .env file values were written to, if any */
+  envFile: string | null;
+  /** Fields you had edited by hand that the card also changed, and which side was kept */
+  conflicts: Array<{ field: string; kept: 'existing' | 'generated' | 'edited' }>;
+  /** OAuth servers: whether tokens are stored; sign in with `mcp-helper auth <id>` if not */
+  authorized?: boolean;
+  /** With `clients`: where it was written, or why a client was skipped */
+  clients?: Array<{ client: ClientName; path: string | null; written: boolean; skipped: string | null }>;
+}
+
+export interface RemoveServerOptions {
+  /** Only remove the entry from this scope (default: every scope) */
+  scope?: Scope;
+  /** Leave the server's variables in the project .env */
+  keepEnv?: boolean;
+  /** Work out the removal without writing anything */
+  dryRun?: boolean;
+}
+
+export interface RemoveServerResult {
+  id: string;
+  removed: boolean;
+  dryRun: boolean;
+  /** Scopes it was (or with dryRun would be) removed from */
+  scopes: Scope[];
+  /** Variables taken (or with dryRun to be taken) out of the project .env */
+  envVars: string[];
+  /** Secrets only this server used; they stay in the secret store */
+  secrets: string[];
+}
+
+export interface ServerSummary {
+  id: string;
+  scope: Scope;
+  cardId: string | null;
+  /** The card this server is a named instance of */
+  instanceOf: string | null;
+  /** stdio, or http / sse for remote servers */
+  transport: string;
+  /** Remote servers: the endpoint */
+  url: string | null;
+  /** Remote servers: names of the headers sent, including those from the headersHelper */
+  headers: string[];
+  runtime: string | null;
+  /** The project .env or environment profile supplies some of its values */
+  hasProjectOverrides: boolean;
+  /** Scopes whose entry with the same ID this one overrides */
+  shadows: Scope[];
+  /** Required variables without a value */
+  missingEnv: string[];
+  ratings: { human: number | null; agent: number | null };
+}
+
+export interface ReconfigureOptions {
+  /** New variable values by the card's variable names */
+  env?: Record<string, string>;
+  /** Move the server to this scope */
+  scope?: Scope;
+}
+
+export interface ReconfigureResult {
+  id: string;
+  /** Variables given new values */
+  updated: string[];
+  /** The server's scope afterwards */
+  scope: Scope | null;
+}
+
+export interface SyncClientsOptions {
+  /** Clients to write to (default: those enabled with `mcp-helper sync --enable`) */
+  clients?: ClientName[];
+  /** Work out the changes without writing anything */
+  dryRun?: boolean;
+}
+
+/** One client config file: global servers go to the user-wide one, project servers to the project one */
+export interface ClientSyncResult {
+  client: ClientName;
+  scope: 'global' | 'project';
+  /** null when the client has no config for the scope */
+  path: string | null;
+  written: string[];
+  /** Entries an earlier sync wrote for servers that are no longer configured */
+  removed: string[];
+  unchanged: string[];
+  skipped: Array<{ id: string; reason: string }>;
+  /** Set when the file couldn't be read or written; the other fields are then absent */
+  error?: string;
+}
+
+export interface Advice {
+  recommendations: Array<{
+    name: string;
+    priority: 'essential' | 'recommended' | 'optional';
+    reason: string;
+    serverId: string | null;
+  }>;
+  warnings: Array<{ type: string; message: string; server?: string; servers?: string[]; variable?: string }>;
+  optimizations: Array<{ type: string; priority: string; message: string; suggestion?: string }>;
+  tips: Array<{ category: string; tip: string }>;
+}
+
+export interface ProjectAnalysis {
+  path: string;
+  technologies: string[];
+  projectType: string | null;
+  hasPackageJson: boolean;
+  hasPipfile: boolean;
+  hasGoMod: boolean;
+  hasCargoToml: boolean;
+  hasPomXml: boolean;
+  hasDockerfile: boolean;
+  hasGitRepo: boolean;
+  dependencies: string[];
+  devDependencies: string[];
+  /** Catalog server IDs that suit the project */
+  recommendedServers: string[];
+  /** 0-100 */
+  confidence: number;
+}
+
+export function addServer(serverId: string, options?: AddServerOptions): Promise<AddServerResult>;
+
+export function removeServer(serverId: string, options?: RemoveServerOptions): Promise<RemoveServerResult>;
+
+export function listServers(): Promise<ServerSummary[]>;
+
+export function reconfigure(serverId: string, options: ReconfigureOptions): Promise<ReconfigureResult>;
+
+export function syncClients(options?: SyncClientsOptions): Promise<ClientSyncResult[]>;
+
+export function getAdvice(options?: { projectPath?: string }): Promise<Advice>;
+
+export function analyzeProject(projectPath?: string): Promise<ProjectAnalysis>;
+
+export function generateClaudeMd(): Promise<{ path: string }>;
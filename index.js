@@ -0,0 +1,175 @@
+/**
+ * MCP Helper API
+ * The mcp-helper operations for other Node tools. Nothing is printed or asked: every
+ * function returns plain data, and failures are thrown as the errors of lib/errors.js
+ * (McpHelperError and its subclasses, with a stable `code`). Types are in index.d.ts.
+ *
+ * addServer, removeServer, listServers, reconfigure and syncClients run the CLI's own commands
+ * (cli/registry.js); their prompts are answered from the options given. Calls may overlap;
+ * they are run one at a time, since a command's output is collected process-wide.
+ */
+
+import { commandRegistry } from './cli/registry.js';
+import { ConfigManager } from './lib/config-manager.js';
+import { ServerCardsManager, instanceEnvName } from './lib/server-cards.js';
+import { ClaudeMdGenerator } from './lib/claude-md-generator.js';
+import { AdvisoryEngine, serializeAdvice } from './lib/advisory-engine.js';
+import { ProjectAnalyzer } from './lib/project-analyzer.js';
+import { OutputCollector, OUTPUT_FORMAT_ENV, exclusively } from './lib/output.js';
+import { errorFromDocument, InvalidArgumentError, ServerExistsError } from './lib/errors.js';
+
+export {
+  McpHelperError,
+  ServerNotFoundError,
+  ServerExistsError,
+  InvalidArgumentError,
+  AnswerRequiredError,
+  InvalidAnswerError,
+  OAuthError
+} from './lib/errors.js';
+
+/**
+ * Run a command and return its result data, or throw the error it reported
+ */
+async function run(command, args) {
+  const document = await commandRegistry.invoke(command, args);
+  if (!document.ok) {
+    throw errorFromDocument(document);
+  }
+  return document.data;
+}
+
+/**
+ * Run fn with its console output dropped and prompts off, as commands are under invoke()
+ */
+function quietly(fn) {
+  return exclusively(async () => {
+    const format = process.env[OUTPUT_FORMAT_ENV];
+    process.env[OUTPUT_FORMAT_ENV] = 'json';
+    try {
+      return await new OutputCollector(null).capture(fn);
+    } finally {
+      if (format === undefined) {
+        delete process.env[OUTPUT_FORMAT_ENV];
+      } else {
+        process.env[OUTPUT_FORMAT_ENV] = format;
+      }
+    }
+  });
+}
+
+function answers(values) {
+  return Object.entries(values).flatMap(([key, value]) => ['--answer', `${key}=${value}`]);
+}
+
+/**
+ * Add a catalog server. `env` holds values by the card's variable names; credentials go to
+ * the secret store. Throws ServerExistsError when it is configured and `overwrite` is not set
+ */
+export async function addServer(serverId, options = {}) {
+  const { scope = 'global', env = {}, as = null, tag, mounts = [], network, overwrite = false, clients = [] } = options;
+  const instance = as && as !== serverId ? as : null;
+
+  const args = [serverId, '--scope', scope, ...answers({ overwrite, useExisting: true })];
+  if (as) args.push('--as', as);
+  if (tag) args.push('--tag', tag);
+  mounts.forEach(mount => args.push('--mount', mount));
+  if (network) args.push('--network', network);
+  if (clients.length > 0) args.push('--client', clients.join(','));
+  args.push(...answers(Object.fromEntries(Object.entries(env).map(([name, value]) => [`env.${instanceEnvName(instance, name)}`, value]))));
+
+  const result = await run('add', args);
+  if (!result.added) {
+    throw new ServerExistsError(`${result.id} is already configured; pass overwrite: true to replace it`, { serverId: result.id });
+  }
+  return result;
+}
+
+/**
+ * Remove a server from every scope, or from `scope` only. Its variables no other server
+ * uses are taken out of the project .env unless `keepEnv` is set
+ */
+export async function removeServer(serverId, options = {}) {
+  const args = [serverId, '--yes'];
+  if (options.scope) args.push('--scope', options.scope);
+  if (options.keepEnv) args.push('--keep-env');
+  if (options.dryRun) args.push('--dry-run');
+  return run('remove', args);
+}
+
+/**
+ * Every configured server, by the entry that takes effect (local, then project, then global)
+ */
+export async function listServers() {
+  const { servers } = await run('list', []);
+  return servers;
+}
+
+/**
+ * Update a configured server's variables (`env`, by the card's variable names) and/or
+ * move it to another scope
+ */
+export async function reconfigure(serverId, options = {}) {
+  const { env = {}, scope = null } = options;
+  if (Object.keys(env).length === 0 && !scope) {
+    throw new InvalidArgumentError('Nothing to reconfigure: pass env or scope');
+  }
+
+  const result = { id: serverId, updated: [], scope: null };
+  if (Object.keys(env).length > 0) {
+    const existing = await quietly(() => new ConfigManager().getServerConfig(serverId));
+    const instance = existing?.config.metadata?.instance || null;
+    const values = Object.fromEntries(Object.entries(env).map(([name, value]) => [instanceEnvName(instance, name), value]));
+    const updated = await run('reconfigure', [serverId, ...answers({
+      action: 'env',
+      vars: Object.keys(values).join(','),
+      ...Object.fromEntries(Object.entries(values).map(([name, value]) => [`env.${name}`, value]))
+    })]);
+    Object.assign(result, { updated: updated.updated, scope: updated.scope });
+  }
+  if (scope) {
+    const moved = await run('reconfigure', [serverId, ...answers({ action: 'scope', scope, confirmScope: true })]);
+    result.scope = moved.scope;
+  }
+  return result;
+}
+
+/**
+ * Write the Claude Code servers to other MCP clients: `clients`, or those enabled with
+ * `mcp-helper sync --enable`. With `dryRun`, only report what would change
+ */
+export async function syncClients(options = {}) {
+  const args = [];
+  if (options.clients?.length) args.push('--client', options.clients.join(','));
+  if (options.dryRun) args.push('--dry-run');
+  const { clients } = await run('sync', args);
+  return clients;
+}
+
+/**
+ * Server recommendations, configuration warnings, optimizations and tips for a project
+ */
+export async function getAdvice(options = {}) {
+  const advice = await quietly(() => new AdvisoryEngine().getAdvice({ projectPath: options.projectPath || process.cwd() }));
+  return serializeAdvice(advice);
+}
+
+/**
+ * The project's type, technologies and the servers that suit it
+ */
+export async function analyzeProject(projectPath = process.cwd()) {
+  const analysis = await quietly(() => new ProjectAnalyzer().analyze(projectPath));
+  return { ...analysis, recommendedServers: [...analysis.recommendedServers] };
+}
+
+/**
+ * Write CLAUDE.md for the current project from its configured servers
+ */
+export async function generateClaudeMd() {
+  return quietly(async () => {
+    const serverCardsManager = new ServerCardsManager();
+    await serverCardsManager.initialize({ quiet: true });
+    const claudeMdGenerator = new ClaudeMdGenerator(new ConfigManager(), serverCardsManager);
+    return { path: await claudeMdGenerator.write() };
+  });
+}
@@ -617,5 +617,18 @@ export class AdvisoryEngine {
   }
 }
 
+/**
+ * Advice as plain data: recommendations name their server by ID instead of carrying its card
+ */
+export function serializeAdvice(advice) {
+  return {
+    ...advice,
+    recommendations: advice.recommendations.map(({ card, ...recommendation }) => ({
+      ...recommendation,
+      serverId: card?.id || null
+    }))
+  };
+}
+
 // Export singleton instance
 export const advisoryEngine = new AdvisoryEngine();
\ No newline at end of file
@@ -0,0 +1,246 @@
+/**
+ * Catalog Linter for MCP Helper
+ * Validates server cards against schemas/server_card.schema.json and checks the
+ * rules the schema can't express (declared env vars, synergy references, rating rationales)
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import Ajv from 'ajv';
+import { fileURLToPath } from 'url';
+import { readCardDir } from './catalog-sources.js';
+import { isRemoteDeploy } from './server-cards.js';
+import { isSensitiveEnvVar } from './secret-store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Fields older or hand-written cards use, and what the schema calls them
+const FIELD_HINTS = {
+  deployment: 'deploy',
+  environment_schema: 'envSchema',
+  health_check: 'healthCheck',
+  documentation: 'docs',
+  use_cases: 'useCases',
+  pros: 'prosCons.pros',
+  cons: 'prosCons.cons'
+};
+
+const CARD_FILES = ['server_card.json', 'server_card.yaml'];
+
+export class CatalogLinter {
+  constructor(options = {}) {
+    this.cardsDir = options.cardsDir || path.join(__dirname, '..', 'catalog', 'server_cards');
+    this.customDir = options.customDir || path.join(os.homedir(), '.mcp-helper', 'custom-servers');
+    this.schemaPath = path.join(__dirname, '..', 'schemas', 'server_card.schema.json');
+  }
+
+  /**
+   * Lint every card in the catalog (and optionally the user's custom cards)
+   * Returns { cards, issues, errors, warnings }; issues are { file, id, rule, severity, message }
+   */
+  async lint(options = {}) {
+    const schema = await fs.readJson(this.schemaPath);
+    const validate = new Ajv({ allErrors: true, strict: false }).compile(schema);
+    const knownFields = new Set(Object.keys(schema.properties));
+
+    const entries = await this.readCards(this.cardsDir);
+    if (options.includeCustom && await fs.pathExists(this.customDir)) {
+      entries.push(...await this.readCards(this.customDir));
+    }
+
+    const cards = entries.filter(entry => entry.card);
+    const issues = entries.filter(entry => entry.issue).map(entry => entry.issue);
+
+    for (const entry of cards) {
+      const report = (rule, severity, message) => issues.push({ file: entry.file, id: entry.card.id, rule, severity, message });
+
+      if (!validate(entry.card)) {
+        for (const error of validate.errors) {
+          report('schema', 'error', `${error.instancePath || '/'} ${error.message}${error.params?.allowedValues ? ` (${error.params.allowedValues.join(', ')})` : ''}`);
+        }
+      }
+
+      this.checkFields(entry.card, knownFields, report);
+      this.checkDeploy(entry.card, report);
+      this.checkEnvVars(entry.card, report);
+      this.checkSynergies(entry.card, cards.map(other => other.card), report);
+      this.checkRatings(entry.card, report);
+      this.checkSuccession(entry.card, cards.map(other => other.card), report);
+      this.checkIdentity(entry, cards, report);
+    }
+
+    return {
+      cards: entries.length,
+      issues,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length
+    };
+  }
+
+  /**
+   * Read a directory of cards the way the catalog loader does
+   */
+  async readCards(dir) {
+    return (await readCardDir(dir)).map(entry => {
+      const file = path.relative(process.cwd(), entry.file) || entry.file;
+      return entry.card
+        ? { file, card: entry.card }
+        : { file, issue: { file, id: null, rule: 'parse', severity: 'error', message: entry.error } };
+    });
+  }
+
+  /**
+   * Fields the schema doesn't define are ignored by every consumer
+   */
+  checkFields(card, knownFields, report) {
+    for (const field of Object.keys(card)) {
+      if (field === 'deployment') {
+        if (!card.deploy) {
+          report('legacy-field', 'warning', '`deployment` is not read by mcp-helper; describe the launch command in `deploy`');
+        }
+      } else if (!knownFields.has(field) && field !== 'custom') {
+        const hint = FIELD_HINTS[field] ? ` (did you mean \`${FIELD_HINTS[field]}\`?)` : '';
+        report('unknown-field', 'warning', `Unknown field \`${field}\`${hint}`);
+      }
+    }
+  }
+
+  /**
+   * generateServerConfig() needs deploy.kind to build a launch command
+   */
+  checkDeploy(card, report) {
+    if (card.status === 'deprecated') return;
+    if (!card.deploy) {
+      report('missing-deploy', 'error', 'No `deploy` section, so the server cannot be added');
+    } else if (!card.deploy.kind && !card.deploy.command) {
+      report('missing-deploy', 'error', '`deploy` needs a `kind` or a `command`');
+    } else if (card.deploy.kind === 'docker' && !card.deploy.image && !card.deploy.args) {
+      report('missing-deploy', 'error', 'docker `deploy` needs an `image` (or a full `args` list)');
+    } else if (['http', 'sse'].includes(card.deploy.kind) && !card.deploy.url) {
+      report('missing-deploy', 'error', `${card.deploy.kind} \`deploy\` needs a \`url\``);
+    } else if (isRemoteDeploy(card.deploy) && card.deploy.kind === 'native') {
+      report('legacy-remote', 'warning', 'Describe a hosted server as `{ "kind": "http" | "sse", "url": ... }` instead of a URL `command`');
+    }
+
+    // The token goes in a header, which only hosted servers get
+    if (card.oauth && card.deploy && !isRemoteDeploy(card.deploy)) {
+      report('oauth-not-remote', 'error', '`oauth` is only used by hosted (http or sse) servers');
+    }
+  }
+
+  /**
+   * Every ${VAR} the launch command uses, and every variable docker passes in with -e,
+   * must be declared in envSchema
+   */
+  checkEnvVars(card, report) {
+    const declared = new Set((card.envSchema || []).map(envVar => envVar.name));
+    const { command = '', image = '', args = [], env = [], mounts = [], options = [], containerArgs = [], url = '', headers = {} } = card.deploy || {};
+    const mountSources = mounts.map(mount => typeof mount === 'string' ? mount : mount.source);
+    const used = new Set(env);
+
+    for (const value of [command, image, ...args, ...mountSources, ...options, ...containerArgs, url, ...Object.values(headers)]) {
+      for (const match of String(value).matchAll(/\$\{([^}]+)\}/g)) {
+        used.add(match[1]);
+      }
+    }
+
+    for (const name of used) {
+      if (!declared.has(name)) {
+        report('undeclared-env', 'error', `deploy uses \${${name}} but envSchema doesn't declare it`);
+      }
+    }
+
+    // Claude Code gets credentials for a hosted server from mcp-helper as headers only
+    for (const match of url.matchAll(/\$\{([^}]+)\}/g)) {
+      const envVar = (card.envSchema || []).find(entry => entry.name === match[1]);
+      if (envVar && isSensitiveEnvVar(envVar.name, envVar)) {
+        report('secret-in-url', 'error', `deploy.url uses the credential \${${envVar.name}}; send it in a header instead`);
+      }
+    }
+
+    const seen = new Set();
+    for (const envVar of card.envSchema || []) {
+      if (seen.has(envVar.name)) {
+        report('duplicate-env', 'error', `envSchema declares ${envVar.name} more than once`);
+      }
+      seen.add(envVar.name);
+    }
+  }
+
+  /**
+   * integrationSynergies are prose; "id: ..." and "a + b: ..." prefixes must name
+   * catalog IDs, and free-form entries should at least mention a catalog server
+   */
+  checkSynergies(card, allCards, report) {
+    const synergies = card.agenticUsefulness?.integrationSynergies || [];
+    const ids = new Set(allCards.map(other => other.id));
+    const normalize = text => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const aliases = allCards.flatMap(other => [other.id, other.id.split('-')[0], other.name || ''])
+      .map(normalize)
+      .filter(alias => alias.length >= 4);
+
+    for (const synergy of synergies) {
+      const prefix = synergy.match(/^([a-z0-9-]+(?:\s*\+\s*[a-z0-9-]+)*)\s*:/);
+      if (prefix) {
+        for (const id of prefix[1].split('+').map(part => part.trim())) {
+          if (!ids.has(id)) {
+            report('unknown-synergy', 'error', `integrationSynergies refers to unknown server \`${id}\``);
+          }
+        }
+      } else {
+        const text = normalize(synergy);
+        if (!aliases.some(alias => text.includes(alias))) {
+          report('unknown-synergy', 'warning', `integrationSynergies entry names no catalog server: "${synergy}"`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Each rating needs a rationale so reviewers can challenge it
+   */
+  checkRatings(card, report) {
+    const usefulness = card.agenticUsefulness;
+    if (!usefulness) return;
+
+    const rationale = usefulness.ratingRationale || {};
+    if (usefulness.humanVerificationRating !== undefined && !rationale.human?.trim()) {
+      report('missing-rationale', 'error', 'humanVerificationRating has no ratingRationale.human');
+    }
+    if (usefulness.aiAgentRating !== undefined && !rationale.agent?.trim()) {
+      report('missing-rationale', 'error', 'aiAgentRating has no ratingRationale.agent');
+    }
+  }
+
+  /**
+   * `upgrade` moves servers of a deprecated card to its supersededBy card
+   */
+  checkSuccession(card, allCards, report) {
+    if (!card.supersededBy) return;
+
+    if (card.supersededBy === card.id || !allCards.some(other => other.id === card.supersededBy)) {
+      report('unknown-successor', 'error', `supersededBy refers to unknown server \`${card.supersededBy}\``);
+    } else if (card.status !== 'deprecated') {
+      report('unknown-successor', 'warning', 'supersededBy is only followed when status is `deprecated`');
+    }
+  }
+
+  /**
+   * IDs must be unique; later cards silently replace earlier ones when loaded
+   */
+  checkIdentity(entry, cards, report) {
+    const first = cards.find(other => other.card.id === entry.card.id);
+    if (first !== entry) {
+      report('duplicate-id', 'error', `Same id as ${first.file}; only one of them is loaded`);
+    }
+
+    const base = path.basename(entry.file, path.extname(entry.file));
+    const name = CARD_FILES.includes(path.basename(entry.file)) ? path.basename(path.dirname(entry.file)) : base;
+    if (entry.card.id && name !== entry.card.id) {
+      report('id-mismatch', 'warning', `File name doesn't match id \`${entry.card.id}\``);
+    }
+  }
+}
+
+export default CatalogLinter;
@@ -0,0 +1,321 @@
+/**
+ * Catalog Sources for MCP Helper
+ * Where server cards come from: the bundled catalog, extra directories or git
+ * checkouts, and HTTP indexes (cached and verified against a signing key), plus
+ * the user's custom cards. Sources are configured in settings.json (catalog.sources);
+ * when two sources define the same card ID, the higher priority wins.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import yaml from 'js-yaml';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { SettingsManager } from './settings-manager.js';
+import { SafeFileWriter } from './safe-file-writer.js';
+
+const execFileAsync = promisify(execFile);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SOURCE_TYPES = ['directory', 'git', 'http'];
+export const BUNDLED_SOURCE = 'bundled';
+export const CUSTOM_SOURCE = 'custom';
+
+const DEFAULT_PRIORITY = 50;
+const BUNDLED_PRIORITY = 0;
+const CUSTOM_PRIORITY = 100;
+const DEFAULT_CACHE_TTL = 3600;
+const FETCH_TIMEOUT = 10000;
+const CARD_FILES = ['server_card.json', 'server_card.yaml'];
+
+/**
+ * Read *.json / *.yaml cards in a directory and <dir>/server_card.* files one level down
+ * Returns [{ file, card }] or [{ file, error }] for files that don't parse
+ */
+export async function readCardDir(dir) {
+  const entries = [];
+  const files = (await fs.readdir(dir)).sort();
+
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    if ((await fs.stat(filePath)).isDirectory()) {
+      for (const cardFile of CARD_FILES) {
+        if (await fs.pathExists(path.join(filePath, cardFile))) {
+          entries.push(await readCardFile(path.join(filePath, cardFile)));
+        }
+      }
+    } else if (file.endsWith('.json') || file.endsWith('.yaml')) {
+      entries.push(await readCardFile(filePath));
+    }
+  }
+
+  return entries;
+}
+
+async function readCardFile(file) {
+  try {
+    const content = await fs.readFile(file, 'utf-8');
+    const card = file.endsWith('.yaml') ? yaml.load(content) : JSON.parse(content);
+    if (!card || typeof card !== 'object' || Array.isArray(card)) {
+      return { file, error: 'Card is not an object' };
+    }
+    return { file, card };
+  } catch (error) {
+    return { file, error: error.message };
+  }
+}
+
+/**
+ * Verify a detached signature over the raw index bytes
+ * Ed25519/Ed448 keys sign the data directly; RSA and EC keys sign its SHA-256
+ */
+export function verifyIndexSignature(body, signature, publicKey) {
+  const key = crypto.createPublicKey(publicKey);
+  const algorithm = ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+  return crypto.verify(algorithm, Buffer.from(body), key, Buffer.from(signature.trim(), 'base64'));
+}
+
+export class CatalogSources {
+  constructor(options = {}) {
+    this.settings = options.settings || new SettingsManager();
+    this.bundledDir = options.bundledDir || path.join(__dirname, '..', 'catalog', 'server_cards');
+    this.customDir = options.customDir || path.join(os.homedir(), '.mcp-helper', 'custom-servers');
+    this.cacheDir = path.join(os.homedir(), '.mcp-helper', 'cache', 'catalogs');
+    this.writer = new SafeFileWriter();
+  }
+
+  /**
+   * Configured sources plus the bundled and custom catalogs, lowest priority first
+   * (so loading them in order lets higher priorities override)
+   */
+  async getSources() {
+    const configured = (await this.settings.get('catalog.sources', [])).map((source, index) => ({
+      ...source,
+      priority: source.priority ?? DEFAULT_PRIORITY,
+      index
+    }));
+
+    const sources = [
+      { name: BUNDLED_SOURCE, type: 'directory', path: this.bundledDir, priority: BUNDLED_PRIORITY, index: -1 },
+      ...configured,
+      { name: CUSTOM_SOURCE, type: 'directory', path: this.customDir, priority: CUSTOM_PRIORITY, index: Infinity }
+    ];
+
+    // On equal priority the source listed first wins, so it loads last
+    return sources.sort((a, b) => a.priority - b.priority || b.index - a.index);
+  }
+
+  /**
+   * Add or replace a configured source
+   */
+  async addSource(source) {
+    if (!source.name || [BUNDLED_SOURCE, CUSTOM_SOURCE].includes(source.name)) {
+      throw new Error(`Invalid source name: ${source.name}`);
+    }
+    if (!SOURCE_TYPES.includes(source.type)) {
+      throw new Error(`Unknown source type '${source.type}'. Use one of: ${SOURCE_TYPES.join(', ')}`);
+    }
+    if (source.type === 'http' && !source.publicKey && !source.allowUnsigned) {
+      throw new Error('HTTP sources need a publicKey to verify the index signature');
+    }
+
+    const sources = (await this.settings.get('catalog.sources', [])).filter(existing => existing.name !== source.name);
+    sources.push(source);
+    await this.settings.set('catalog.sources', sources);
+    return source;
+  }
+
+  /**
+   * Remove a configured source and its cached index
+   */
+  async removeSource(name) {
+    const sources = await this.settings.get('catalog.sources', []);
+    const remaining = sources.filter(source => source.name !== name);
+    if (remaining.length === sources.length) {
+      return false;
+    }
+    await this.settings.set('catalog.sources', remaining);
+    await fs.remove(this.getCachePath(name));
+    return true;
+  }
+
+  /**
+   * Load the cards of one source
+   * Returns { cards: [{ file, card }], errors: [{ file, error }], status, error? }
+   * where status is 'ok', 'cached' (fresh cache), 'stale' (fetch failed, cache used) or 'error'
+   */
+  async load(source, options = {}) {
+    try {
+      if (source.type === 'http') {
+        return await this.loadHttp(source, options);
+      }
+
+      const dir = await this.resolveDirectory(source);
+      if (!dir) {
+        // The custom directory only exists once a custom server has been added
+        return source.name === CUSTOM_SOURCE
+          ? { cards: [], errors: [], status: 'ok' }
+          : { cards: [], errors: [], status: 'error', error: `${source.path} not found` };
+      }
+
+      const entries = await readCardDir(dir);
+      return {
+        cards: entries.filter(entry => entry.card),
+        errors: entries.filter(entry => entry.error),
+        status: 'ok',
+        revision: source.type === 'git' ? await this.getRevision(source.path) : undefined
+      };
+    } catch (error) {
+      return { cards: [], errors: [], status: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Directory holding a source's cards; git checkouts may keep them in catalog/server_cards
+   */
+  async resolveDirectory(source) {
+    const root = source.path.replace(/^~(?=$|\/)/, os.homedir());
+    if (!await fs.pathExists(root)) {
+      return null;
+    }
+    if (source.subdir) {
+      return path.join(root, source.subdir);
+    }
+    const conventional = path.join(root, 'catalog', 'server_cards');
+    return source.type === 'git' && await fs.pathExists(conventional) ? conventional : root;
+  }
+
+  async getRevision(checkout) {
+    try {
+      const { stdout } = await execFileAsync('git', ['-C', checkout, 'rev-parse', '--short', 'HEAD']);
+      return stdout.trim();
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Fast-forward a git checkout source
+   */
+  async pull(source) {
+    const { stdout } = await execFileAsync('git', ['-C', source.path, 'pull', '--ff-only']);
+    return stdout.trim();
+  }
+
+  /**
+   * Load an HTTP index: { "cards": [ <card>, ... ] } with a detached signature at <url>.sig
+   * A fresh cache is used as is; otherwise the index is fetched (conditionally, via ETag)
+   * and only replaces the cache once its signature checks out
+   */
+  async loadHttp(source, options = {}) {
+    const cached = await this.readCache(source.name);
+    const ttl = (source.cacheTtl ?? await this.settings.get('catalog.cacheTtl', DEFAULT_CACHE_TTL)) * 1000;
+    const fresh = cached && cached.url === source.url && Date.now() - Date.parse(cached.fetchedAt) < ttl;
+
+    if (fresh && !options.refresh) {
+      try {
+        return { ...this.parseIndex(source, cached), status: 'cached', fetchedAt: cached.fetchedAt };
+      } catch {
+        // A cache that no longer verifies is refetched
+      }
+    }
+
+    try {
+      const fetched = await this.fetchIndex(source, cached?.url === source.url ? cached : null);
+      const result = this.parseIndex(source, fetched);
+      await this.writer.writeJsonAtomic(this.getCachePath(source.name), fetched);
+      return { ...result, status: 'ok', fetchedAt: fetched.fetchedAt };
+    } catch (error) {
+      if (cached && cached.url === source.url) {
+        try {
+          return { ...this.parseIndex(source, cached), status: 'stale', error: error.message, fetchedAt: cached.fetchedAt };
+        } catch {
+          // The cache doesn't verify either; report the fetch error
+        }
+      }
+      return { cards: [], errors: [], status: 'error', error: error.message };
+    }
+  }
+
+  async fetchIndex(source, cached) {
+    const headers = cached?.etag ? { 'If-None-Match': cached.etag } : {};
+    const response = await fetch(source.url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+
+    if (response.status === 304 && cached) {
+      return { ...cached, fetchedAt: new Date().toISOString() };
+    }
+    if (!response.ok) {
+      throw new Error(`${source.url} returned HTTP ${response.status}`);
+    }
+
+    const body = await response.text();
+    let signature = null;
+    if (source.publicKey) {
+      const signatureUrl = source.signatureUrl || `${source.url}.sig`;
+      const signatureResponse = await fetch(signatureUrl, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+      if (!signatureResponse.ok) {
+        throw new Error(`No signature at ${signatureUrl} (HTTP ${signatureResponse.status})`);
+      }
+      signature = await signatureResponse.text();
+    }
+
+    return {
+      url: source.url,
+      fetchedAt: new Date().toISOString(),
+      etag: response.headers.get('etag'),
+      body,
+      signature
+    };
+  }
+
+  /**
+   * Verify (when the source has a key) and parse a fetched or cached index
+   */
+  parseIndex(source, fetched) {
+    if (source.publicKey) {
+      if (!fetched.signature) {
+        throw new Error('Index is not signed');
+      }
+      if (!verifyIndexSignature(fetched.body, fetched.signature, this.readPublicKey(source.publicKey))) {
+        throw new Error('Index signature does not match the source\'s public key');
+      }
+    }
+
+    const index = JSON.parse(fetched.body);
+    if (!Array.isArray(index.cards)) {
+      throw new Error('Index has no cards list');
+    }
+
+    return {
+      cards: index.cards.map((card, i) => ({ file: `${source.url}#cards/${i}`, card })),
+      errors: []
+    };
+  }
+
+  /**
+   * Public keys are PEM text, or a path to a PEM file
+   */
+  readPublicKey(publicKey) {
+    if (publicKey.includes('-----BEGIN')) {
+      return publicKey;
+    }
+    return fs.readFileSync(publicKey.replace(/^~(?=$|\/)/, os.homedir()), 'utf-8');
+  }
+
+  getCachePath(name) {
+    return path.join(this.cacheDir, `${name.replace(/[^\w.-]/g, '_')}.json`);
+  }
+
+  async readCache(name) {
+    try {
+      return await fs.readJson(this.getCachePath(name));
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default CatalogSources;
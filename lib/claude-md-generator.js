@@ -9,10 +9,15 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import Handlebars from 'handlebars';
 import { StatusManager } from './status-manager.js';
+import { instanceEnvName } from './server-cards.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Helpers templates/claude.md.hbs uses
+Handlebars.registerHelper('eq', (a, b) => a === b);
+Handlebars.registerHelper('includes', (list, value) => Array.isArray(list) && list.includes(value));
+
 export class ClaudeMdGenerator {
   constructor(configManager, serverCardsManager) {
     this.configManager = configManager;
@@ -27,15 +32,7 @@ export class ClaudeMdGenerator {
    */
   async generate() {
     try {
-      // Gather current configuration
-      const data = await this.gatherConfigData();
-      
-      // Generate content
-      const content = this.generateContent(data);
-      
-      // Write to file
-      await fs.writeFile(this.claudeMdPath, content);
-      
+      await this.write();
       return true;
     } catch (error) {
       console.error('Error generating CLAUDE.md:', error);
@@ -43,26 +40,46 @@ export class ClaudeMdGenerator {
     }
   }
 
+  /**
+   * Write CLAUDE.md and return its path; unlike generate(), failures are thrown
+   */
+  async write() {
+    // Gather current configuration
+    const data = await this.gatherConfigData();
+    
+    // Generate content
+    const content = this.generateContent(data);
+    
+    // Write to file
+    await fs.writeFile(this.claudeMdPath, content);
+    return this.claudeMdPath;
+  }
+
   /**
    * Gather configuration data
    */
   async gatherConfigData() {
-    const servers = await this.configManager.listServers();
+    // Named instances are listed right after the other entries of their card
+    const servers = await this.configManager.listServers({ groupByCard: true });
     const projectEnv = await this.configManager.readProjectEnv();
+    const envLayers = await this.configManager.envResolver.readLayers();
     const projectStatus = await this.statusManager.readStatus();
     
     // Enhance server data with card information
-    const enhancedServers = servers.map(server => {
-      const card = this.serverCardsManager.getCard(server.id);
+    const enhancedServers = await Promise.all(servers.map(async server => {
+      const card = this.serverCardsManager.findCardForServer(server.id, server.config);
+      // Credentials count as set when the secret store holds them
+      const serverEnv = await this.configManager.readServerEnv(server.config, projectEnv, envLayers);
+      const name = card?.name || server.id;
       return {
         ...server,
         card,
-        name: card?.name || server.id,
+        name: server.instanceOf ? `${name} (${server.id})` : name,
         description: card?.useCases?.project?.[0] || card?.useCases?.generic?.[0] || '',
-        status: this.getServerStatus(server, card),
-        envVars: this.getServerEnvVars(server, card, projectEnv)
+        status: this.getServerStatus(server, card, serverEnv),
+        envVars: this.getServerEnvVars(server, card, serverEnv)
       };
-    });
+    }));
 
     // Get essential servers based on ratings
     const essentialServers = this.serverCardsManager.getEssentialServers();
@@ -72,7 +89,9 @@ export class ClaudeMdGenerator {
       projectPath: process.cwd(),
       projectStatus,  // Include the full project status
       servers: enhancedServers,
+      serverIds: enhancedServers.map(s => s.id),
       globalServers: enhancedServers.filter(s => s.scope === 'global'),
+      localServers: enhancedServers.filter(s => s.scope === 'local'),
       projectServers: enhancedServers.filter(s => s.scope === 'project'),
       requiredEnvVars: this.collectRequiredEnvVars(enhancedServers),
       categories: this.categorizeServers(enhancedServers),
@@ -85,11 +104,10 @@ export class ClaudeMdGenerator {
   /**
    * Get server status
    */
-  getServerStatus(server, card) {
+  getServerStatus(server, card, serverEnv) {
     // Check if all required env vars are set
     if (card) {
-      const projectEnv = this.configManager.readProjectEnv();
-      const validation = this.serverCardsManager.validateEnvVars(card, projectEnv);
+      const validation = this.serverCardsManager.validateEnvVars(card, serverEnv, server.config.metadata?.instance);
       if (!validation.valid) {
         return 'missing-env';
       }
@@ -101,14 +119,15 @@ export class ClaudeMdGenerator {
   /**
    * Get server environment variables
    */
-  getServerEnvVars(server, card, projectEnv) {
+  getServerEnvVars(server, card, serverEnv) {
     if (!card || !card.envSchema) return [];
+    const instance = server.config.metadata?.instance;
     
     return card.envSchema.map(env => ({
-      name: env.name,
+      name: instanceEnvName(instance, env.name),
       description: env.description,
       required: env.required !== false,
-      isSet: !!projectEnv[env.name],
+      isSet: !!serverEnv[instanceEnvName(instance, env.name)],
       example: env.example
     }));
   }
@@ -0,0 +1,341 @@
+/**
+ * Client Adapters for MCP Helper
+ * Claude Code's config (ConfigManager) holds the canonical set of servers; an adapter
+ * writes those entries for another MCP client, in that client's file and format:
+ *
+ *   claude-desktop  claude_desktop_config.json       mcpServers, stdio only, no ${VAR} expansion
+ *   cursor          ~/.cursor/mcp.json, .cursor/mcp.json   mcpServers, remote as { url, headers }
+ *   vscode          <user dir>/mcp.json, .vscode/mcp.json  servers, every entry has a type
+ *   windsurf        ~/.codeium/windsurf/mcp_config.json   mcpServers, remote as { serverUrl, headers }
+ *
+ * Only Claude Code runs a headersHelper, so elsewhere a remote server whose headers hold
+ * ${secret:NAME} references (and any remote server, for clients without remote support)
+ * is bridged over stdio by mcp-remote, started through `mcp-helper launch`.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { isDeepStrictEqual } from 'util';
+import { findSecretRefs, isRemoteServer, unwrapLauncher, wrapWithLauncher } from './secret-store.js';
+import { InvalidArgumentError } from './errors.js';
+
+// Entries a sync wrote, by config file, so a later sync removes only its own
+const SYNCED_SERVERS_FILE = 'client-servers.json';
+
+// ${VAR} as Claude Code expands it; ${secret:NAME} is left to mcp-helper launch
+const ENV_PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Per-user application data: ~/Library/Application Support, %APPDATA% or ~/.config
+ */
+function appDataDir() {
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support');
+  }
+  if (process.platform === 'win32') {
+    return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  }
+  return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+}
+
+export class ClientAdapter {
+  constructor(configManager) {
+    this.configManager = configManager;
+    this.syncedServersPath = path.join(os.homedir(), '.mcp-helper', SYNCED_SERVERS_FILE);
+    // Set by each client
+    this.name = null;
+    this.label = null;
+    this.serversKey = 'mcpServers';
+    this.supportsRemote = true;
+    // How the client spells ${VAR}; null when it doesn't expand variables
+    this.envPlaceholder = name => `\${env:${name}}`;
+  }
+
+  /**
+   * The client's config file for a scope (global or project), or null if it has none
+   */
+  getConfigPath(scope) {
+    return null;
+  }
+
+  /**
+   * A canonical entry in this client's format: { entry } or { skipped: reason }
+   */
+  toClientEntry(serverConfig) {
+    const { metadata, ...config } = serverConfig;
+
+    if (isRemoteServer(config)) {
+      const { headers = {} } = unwrapLauncher(config);
+      if (this.supportsRemote && findSecretRefs(headers).length === 0) {
+        return this.withPlaceholders(this.remoteEntry(config.type === 'sse' ? 'sse' : 'http', config.url, headers));
+      }
+      return this.withPlaceholders(this.stdioEntry(this.bridgeRemote(config, headers)));
+    }
+
+    if (!config.command) {
+      return { skipped: 'the entry has no command' };
+    }
+    const { command, args, env } = config;
+    return this.withPlaceholders(this.stdioEntry({ command, ...(args?.length ? { args } : {}), ...(env && Object.keys(env).length ? { env } : {}) }));
+  }
+
+  stdioEntry(config) {
+    return config;
+  }
+
+  remoteEntry(type, url, headers) {
+    return { url, ...(Object.keys(headers).length ? { headers } : {}) };
+  }
+
+  /**
+   * A remote server as a local stdio server: mcp-remote proxies it, and the launcher
+   * resolves the header values it is given
+   */
+  bridgeRemote(config, headers) {
+    const bridge = {
+      command: 'npx',
+      args: [
+        '-y', 'mcp-remote', config.url,
+        ...(config.type === 'sse' ? ['--transport', 'sse-only'] : []),
+        ...Object.entries(headers).flatMap(([name, value]) => ['--header', `${name}:${value}`])
+      ]
+    };
+    return findSecretRefs(bridge).length > 0 ? wrapWithLauncher(bridge) : bridge;
+  }
+
+  /**
+   * Rewrite ${VAR} placeholders the way the client expands them
+   */
+  withPlaceholders(entry) {
+    const placeholders = [...JSON.stringify(entry).matchAll(ENV_PLACEHOLDER_PATTERN)].map(match => match[1]);
+    if (placeholders.length === 0) {
+      return { entry };
+    }
+    if (!this.envPlaceholder) {
+      return { skipped: `${this.label} doesn't expand variables like \${${placeholders[0]}}` };
+    }
+
+    const rewrite = value => {
+      if (typeof value === 'string') return value.replace(ENV_PLACEHOLDER_PATTERN, (match, name) => this.envPlaceholder(name));
+      if (Array.isArray(value)) return value.map(rewrite);
+      if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rewrite(item)]));
+      return value;
+    };
+    return { entry: rewrite(entry) };
+  }
+
+  /**
+   * Read the client's config file for a scope; a missing file is an empty config
+   */
+  async readConfig(scope) {
+    const configPath = this.getConfigPath(scope);
+    if (!await fs.pathExists(configPath)) {
+      return { [this.serversKey]: {} };
+    }
+
+    const content = await fs.readFile(configPath, 'utf-8');
+    try {
+      const config = content.trim() ? JSON.parse(content) : {};
+      return { ...config, [this.serversKey]: { ...config[this.serversKey] } };
+    } catch (error) {
+      throw new Error(`Can't read ${configPath} (${error.message}); mcp-helper only edits plain JSON, without comments`);
+    }
+  }
+
+  /**
+   * Write canonical entries (by server ID) into the client's config for a scope
+   * Entries an earlier sync wrote that are now skipped are removed, and with options.prune
+   * those that aren't in `servers` too; entries added to the client by hand are left alone.
+   * With options.dryRun nothing is written.
+   * Returns { client, scope, path, written, removed, unchanged, skipped: [{ id, reason }] }
+   */
+  async sync(scope, servers, options = {}) {
+    const configPath = this.getConfigPath(scope);
+    const result = { client: this.name, scope, path: configPath, written: [], removed: [], unchanged: [], skipped: [] };
+    if (!configPath) {
+      const reason = scope === 'local'
+        ? `${this.label} has no equivalent of Claude Code's local scope`
+        : `${this.label} has no ${scope === 'project' ? 'per-project' : 'user-wide'} config`;
+      result.skipped = Object.keys(servers).map(id => ({ id, reason }));
+      return result;
+    }
+
+    const apply = async () => {
+      const config = await this.readConfig(scope);
+      const entries = config[this.serversKey];
+      const synced = await this.readSyncedServers();
+      const previous = new Set(synced[configPath] || []);
+
+      const current = new Set();
+
+      for (const [id, serverConfig] of Object.entries(servers)) {
+        const { entry, skipped } = this.toClientEntry(serverConfig);
+        if (skipped) {
+          result.skipped.push({ id, reason: skipped });
+          continue;
+        }
+        if (isDeepStrictEqual(entries[id], entry)) {
+          result.unchanged.push(id);
+        } else {
+          entries[id] = entry;
+          result.written.push(id);
+        }
+        current.add(id);
+      }
+
+      // An entry an earlier sync wrote goes once it is skipped, since the client would keep
+      // running an out-of-date copy; with prune, also once it is gone from `servers`
+      const stale = [...previous].filter(id => !current.has(id) && (options.prune || id in servers));
+      for (const id of stale) {
+        previous.delete(id);
+        if (id in entries) {
+          delete entries[id];
+          result.removed.push(id);
+        }
+      }
+      current.forEach(id => previous.add(id));
+
+      if (options.dryRun || result.written.length + result.removed.length === 0) {
+        return;
+      }
+      await this.configManager.backupConfig(configPath);
+      await this.configManager.writer.writeJsonAtomic(configPath, config);
+      await this.recordSyncedServers(configPath, [...previous]);
+    };
+
+    if (options.dryRun) {
+      await apply();
+    } else {
+      await fs.ensureDir(path.dirname(configPath));
+      await this.configManager.writer.withLock(configPath, apply);
+    }
+    return result;
+  }
+
+  async readSyncedServers() {
+    try {
+      return await fs.readJson(this.syncedServersPath);
+    } catch {
+      return {};
+    }
+  }
+
+  async recordSyncedServers(configPath, ids) {
+    const writer = this.configManager.writer;
+    await writer.withLock(this.syncedServersPath, async () => {
+      const synced = await this.readSyncedServers();
+      synced[configPath] = ids.sort();
+      await writer.writeJsonAtomic(this.syncedServersPath, synced);
+    });
+  }
+}
+
+/**
+ * Claude Desktop: one user-wide file, stdio servers only, values taken literally
+ */
+export class ClaudeDesktopAdapter extends ClientAdapter {
+  constructor(configManager) {
+    super(configManager);
+    this.name = 'claude-desktop';
+    this.label = 'Claude Desktop';
+    this.supportsRemote = false;
+    this.envPlaceholder = null;
+  }
+
+  getConfigPath(scope) {
+    return scope === 'global' ? path.join(appDataDir(), 'Claude', 'claude_desktop_config.json') : null;
+  }
+}
+
+export class CursorAdapter extends ClientAdapter {
+  constructor(configManager) {
+    super(configManager);
+    this.name = 'cursor';
+    this.label = 'Cursor';
+  }
+
+  getConfigPath(scope) {
+    switch (scope) {
+      case 'global':
+        return path.join(os.homedir(), '.cursor', 'mcp.json');
+      case 'project':
+        return path.join(this.configManager.projectRoot, '.cursor', 'mcp.json');
+      default:
+        return null;
+    }
+  }
+}
+
+/**
+ * VS Code: `servers` instead of mcpServers, and a `type` on every entry
+ */
+export class VSCodeAdapter extends ClientAdapter {
+  constructor(configManager) {
+    super(configManager);
+    this.name = 'vscode';
+    this.label = 'VS Code';
+    this.serversKey = 'servers';
+  }
+
+  getConfigPath(scope) {
+    switch (scope) {
+      case 'global':
+        return path.join(appDataDir(), 'Code', 'User', 'mcp.json');
+      case 'project':
+        return path.join(this.configManager.projectRoot, '.vscode', 'mcp.json');
+      default:
+        return null;
+    }
+  }
+
+  stdioEntry(config) {
+    return { type: 'stdio', ...config };
+  }
+
+  remoteEntry(type, url, headers) {
+    return { type, ...super.remoteEntry(type, url, headers) };
+  }
+}
+
+/**
+ * Windsurf: one user-wide file; remote servers are given by `serverUrl`
+ */
+export class WindsurfAdapter extends ClientAdapter {
+  constructor(configManager) {
+    super(configManager);
+    this.name = 'windsurf';
+    this.label = 'Windsurf';
+  }
+
+  getConfigPath(scope) {
+    return scope === 'global' ? path.join(os.homedir(), '.codeium', 'windsurf', 'mcp_config.json') : null;
+  }
+
+  remoteEntry(type, url, headers) {
+    return { serverUrl: url, ...(Object.keys(headers).length ? { headers } : {}) };
+  }
+}
+
+export const CLIENT_ADAPTERS = {
+  'claude-desktop': ClaudeDesktopAdapter,
+  cursor: CursorAdapter,
+  vscode: VSCodeAdapter,
+  windsurf: WindsurfAdapter
+};
+
+export const CLIENT_NAMES = Object.keys(CLIENT_ADAPTERS);
+
+/**
+ * Adapters for a comma-separated (or repeated) list of client names
+ */
+export function getClientAdapters(names, configManager) {
+  const list = [names].flat().flatMap(value => String(value).split(',')).map(name => name.trim()).filter(Boolean);
+  const unknown = list.filter(name => !CLIENT_ADAPTERS[name]);
+  if (unknown.length > 0) {
+    throw new InvalidArgumentError(`Unknown client${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}. Use one of: ${CLIENT_NAMES.join(', ')}`);
+  }
+  return [...new Set(list)].map(name => new CLIENT_ADAPTERS[name](configManager));
+}
+
+export default ClientAdapter;
@@ -1,44 +1,149 @@
 /**
  * Configuration Manager for MCP Helper
- * Handles global (~/.claude.json) and project (.env) configurations
+ * Handles global (~/.claude.json), local (the project's block in ~/.claude.json), project
+ * (.mcp.json) and project env (.env) configurations, plus environment profiles
+ * (.env.mcp.<name>) layered over .env
  */
 
 import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
 import dotenv from 'dotenv';
+import { isDeepStrictEqual } from 'util';
+import { SafeFileWriter } from './safe-file-writer.js';
+import { SettingsManager } from './settings-manager.js';
+import { EnvFile } from './env-file.js';
+import { SecretStore, secretRef, findSecretRefs, isSensitiveEnvVar, wrapWithLauncher, isRemoteServer } from './secret-store.js';
+import { hashServerConfig, PROVENANCE_SOURCE } from './drift-detector.js';
+import { EnvResolver } from './env-resolver.js';
+
+/**
+ * Server config layers, highest precedence first, as Claude Code resolves them:
+ * local (projects["/abs/path"].mcpServers in ~/.claude.json, this project only and
+ * not shared), then the project's checked-in .mcp.json, then the top-level
+ * mcpServers of ~/.claude.json (global, Claude Code's "user" scope).
+ */
+export const SCOPE_PRECEDENCE = ['local', 'project', 'global'];
+
+// What Claude Code calls each scope
+export const SCOPE_LABELS = { local: 'local', project: 'project', global: 'user' };
+
+/**
+ * A scope name as given on the command line: Claude Code's "user" is our global scope
+ * Returns null for names that aren't a scope
+ */
+export function normalizeScope(scope) {
+  const name = scope === 'user' ? 'global' : scope;
+  return SCOPE_PRECEDENCE.includes(name) ? name : null;
+}
+
+// Environment profile files are .env.mcp.<name>, next to the project .env
+export const ENV_PROFILE_PREFIX = '.env.mcp.';
+const ENV_PROFILE_NAME_PATTERN = /^[\w-]+$/;
+
+const DEFAULT_BACKUP_RETENTION = 10;
+const BACKUP_INDEX_FILE = 'index.json';
+// <file name>.<ISO timestamp with : and . replaced by ->
+const BACKUP_NAME_PATTERN = /^(.+)\.(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)$/;
+// claude-json-<timestamp>.backup, written by LegacyConfigMerger
+const LEGACY_BACKUP_NAME_PATTERN = /^claude-json-()(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.backup$/;
 
 export class ConfigManager {
   constructor() {
     this.globalConfigPath = path.join(os.homedir(), '.claude.json');
     this.globalEnvPath = path.join(os.homedir(), '.claude-env');
     this.projectEnvPath = path.join(process.cwd(), '.env');
+    this.projectRoot = this.findProjectRoot(process.cwd());
+    this.projectConfigPath = path.join(this.projectRoot, '.mcp.json');
+    // Claude Code keys a project's local servers by its absolute path
+    this.localProjectKey = this.projectRoot;
     this.backupDir = path.join(os.homedir(), '.mcp-helper', 'backups');
+    // Last entry mcp-helper wrote for each server, the base for three-way merges
+    this.writtenServersPath = path.join(os.homedir(), '.mcp-helper', 'managed-servers.json');
+    this.writer = new SafeFileWriter();
+    this.settings = new SettingsManager();
+    this.secrets = new SecretStore();
+    this.envResolver = new EnvResolver(this);
+    // State of ~/.claude.json as of our last read, used to detect concurrent edits; the
+    // global and local scopes keep their own, so reading one never moves the other's merge base
+    this.globalSnapshot = null;
+    this.localSnapshot = null;
+  }
+
+  /**
+   * Find the repository root: the nearest directory with a .mcp.json or .git
+   */
+  findProjectRoot(startDir) {
+    let dir = startDir;
+    while (true) {
+      if (fs.existsSync(path.join(dir, '.mcp.json')) || fs.existsSync(path.join(dir, '.git'))) {
+        return dir;
+      }
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return startDir;
+      }
+      dir = parent;
+    }
   }
 
   /**
    * Read global Claude configuration
    */
   async readGlobalConfig() {
+    const { config, snapshot } = await this.readClaudeJson();
+    this.globalSnapshot = snapshot || this.globalSnapshot;
+    return config;
+  }
+
+  /**
+   * Read ~/.claude.json along with a snapshot of it (null if it can't be parsed)
+   */
+  async readClaudeJson() {
     try {
-      if (await fs.pathExists(this.globalConfigPath)) {
-        return await fs.readJson(this.globalConfigPath);
-      }
-      return { mcpServers: {} };
+      const snapshot = await this.writer.snapshot(this.globalConfigPath);
+      const config = snapshot.exists ? JSON.parse(snapshot.content) : { mcpServers: {} };
+      return { config, snapshot: { ...snapshot, data: structuredClone(config) } };
     } catch (error) {
       console.error('Error reading global config:', error);
-      return { mcpServers: {} };
+      return { config: { mcpServers: {} }, snapshot: null };
     }
   }
 
   /**
    * Write global Claude configuration
+   * Claude Code rewrites ~/.claude.json constantly, so the write is done under a
+   * lock and atomically. If the file changed since we read it, only our
+   * mcpServers changes are reapplied on top of the latest version.
+   * Pass options.base when config was derived from a read made elsewhere.
+   */
+  async writeGlobalConfig(config, options = {}) {
+    return await this.writeClaudeJson(config, 'globalSnapshot', options);
+  }
+
+  /**
+   * Write ~/.claude.json, merging against the snapshot kept under snapshotKey
+   * (globalSnapshot or localSnapshot), which is then moved to what was written
    */
-  async writeGlobalConfig(config) {
+  async writeClaudeJson(config, snapshotKey, options = {}) {
     try {
-      // Create backup before writing
-      await this.backupConfig(this.globalConfigPath);
-      await fs.writeJson(this.globalConfigPath, config, { spaces: 2 });
+      await this.writer.withLock(this.globalConfigPath, async () => {
+        const current = await this.writer.snapshot(this.globalConfigPath);
+        const base = options.base || this[snapshotKey]?.data;
+        const changedSinceRead = options.base ? true : current.hash !== this[snapshotKey]?.hash;
+        let toWrite = config;
+
+        if (base && current.exists && changedSinceRead) {
+          toWrite = this.applyServerDelta(JSON.parse(current.content), base, config);
+        }
+
+        // Create backup before writing
+        await this.backupConfig(this.globalConfigPath);
+        await this.writer.writeJsonAtomic(this.globalConfigPath, toWrite);
+
+        const written = await this.writer.snapshot(this.globalConfigPath);
+        this[snapshotKey] = { ...written, data: structuredClone(toWrite) };
+      });
       return true;
     } catch (error) {
       console.error('Error writing global config:', error);
@@ -47,9 +152,155 @@ export class ConfigManager {
   }
 
   /**
-   * Read project environment variables
+   * Reapply the mcpServers changes between base and ours on top of latest, both the
+   * top-level block and each project's local block
+   * Everything else in latest (Claude Code's own settings) is left untouched
    */
-  async readProjectEnv() {
+  applyServerDelta(latest, base, ours) {
+    const result = structuredClone(latest);
+    result.mcpServers = this.applyServerBlockDelta(latest.mcpServers, base.mcpServers, ours.mcpServers);
+
+    // Local servers live in each project's block the same way
+    const projects = new Set([...Object.keys(base.projects || {}), ...Object.keys(ours.projects || {})]);
+    for (const project of projects) {
+      const baseServers = base.projects?.[project]?.mcpServers;
+      const ourServers = ours.projects?.[project]?.mcpServers;
+      if (isDeepStrictEqual(baseServers, ourServers)) {
+        continue;
+      }
+      result.projects = result.projects || {};
+      result.projects[project] = {
+        ...result.projects[project],
+        mcpServers: this.applyServerBlockDelta(latest.projects?.[project]?.mcpServers, baseServers, ourServers)
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * The servers of latest with our changes to one mcpServers block (since base) applied
+   */
+  applyServerBlockDelta(latestServers = {}, baseServers = {}, ourServers = {}) {
+    const result = { ...latestServers };
+
+    const ids = new Set([...Object.keys(baseServers), ...Object.keys(ourServers)]);
+    for (const id of ids) {
+      if (isDeepStrictEqual(baseServers[id], ourServers[id])) {
+        continue; // Not touched by us
+      }
+
+      if (!isDeepStrictEqual(baseServers[id], latestServers[id])) {
+        console.warn(`Warning: ${id} was also changed outside mcp-helper; keeping the mcp-helper version`);
+      }
+
+      if (ourServers[id] === undefined) {
+        delete result[id];
+      } else {
+        result[id] = ourServers[id];
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Read this project's local servers (projects[<project root>].mcpServers in ~/.claude.json)
+   */
+  async readLocalConfig() {
+    const { config, snapshot } = await this.readClaudeJson();
+    this.localSnapshot = snapshot || this.localSnapshot;
+    return { mcpServers: { ...config.projects?.[this.localProjectKey]?.mcpServers } };
+  }
+
+  /**
+   * Write this project's local servers back into ~/.claude.json
+   * Builds on the file as last read for the local scope, so concurrent edits are merged
+   */
+  async writeLocalConfig(localConfig) {
+    if (!this.localSnapshot) {
+      await this.readLocalConfig();
+    }
+    const config = structuredClone(this.localSnapshot?.data || { mcpServers: {} });
+    config.projects = config.projects || {};
+    config.projects[this.localProjectKey] = {
+      ...config.projects[this.localProjectKey],
+      mcpServers: localConfig.mcpServers || {}
+    };
+    return await this.writeClaudeJson(config, 'localSnapshot');
+  }
+
+  /**
+   * Read the checked-in project configuration (.mcp.json)
+   */
+  async readProjectConfig() {
+    try {
+      if (await fs.pathExists(this.projectConfigPath)) {
+        const config = await fs.readJson(this.projectConfigPath);
+        return { mcpServers: {}, ...config };
+      }
+      return { mcpServers: {} };
+    } catch (error) {
+      console.error('Error reading project config:', error);
+      return { mcpServers: {} };
+    }
+  }
+
+  /**
+   * Write the checked-in project configuration (.mcp.json)
+   */
+  async writeProjectConfig(config) {
+    try {
+      if (await fs.pathExists(this.projectConfigPath)) {
+        await this.backupConfig(this.projectConfigPath);
+      }
+      await this.writer.writeJsonAtomic(this.projectConfigPath, config);
+      return true;
+    } catch (error) {
+      console.error('Error writing project config:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Read the server config layer for a scope
+   */
+  async readScopeConfig(scope) {
+    switch (scope) {
+      case 'project':
+        return await this.readProjectConfig();
+      case 'local':
+        return await this.readLocalConfig();
+      default:
+        return await this.readGlobalConfig();
+    }
+  }
+
+  /**
+   * Write the server config layer for a scope
+   */
+  async writeScopeConfig(scope, config) {
+    switch (scope) {
+      case 'project':
+        return await this.writeProjectConfig(config);
+      case 'local':
+        return await this.writeLocalConfig(config);
+      default:
+        return await this.writeGlobalConfig(config);
+    }
+  }
+
+  /**
+   * File a scope's servers are kept in; local and global share ~/.claude.json
+   */
+  getScopeConfigPath(scope) {
+    return scope === 'project' ? this.projectConfigPath : this.globalConfigPath;
+  }
+
+  /**
+   * Read the project .env on its own
+   */
+  async readBaseEnv() {
     try {
       if (await fs.pathExists(this.projectEnvPath)) {
         const envContent = await fs.readFile(this.projectEnvPath, 'utf-8');
@@ -62,27 +313,39 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Read the project env with the active environment profile layered over .env
+   * options.profile picks another profile; null reads .env alone
+   */
+  async readProjectEnv(options = {}) {
+    const profile = options.profile === undefined ? await this.getActiveEnvProfile() : options.profile;
+    return { ...await this.readBaseEnv(), ...await this.readEnvProfile(profile) };
+  }
+
   /**
    * Write project environment variables
+   * Edits .env in place (see EnvFile): comments, ordering and other keys are kept.
+   * New keys go under an optional "# <options.section>" comment; keys listed in
+   * options.remove are dropped. Keys in options.stored (moved to the secret store) are
+   * dropped too, and their values redacted from the backups of .env, this write's included
    */
-  async writeProjectEnv(envVars) {
+  async writeProjectEnv(envVars, options = {}) {
     try {
       // Create backup before writing
       if (await fs.pathExists(this.projectEnvPath)) {
         await this.backupConfig(this.projectEnvPath);
       }
+      if (options.stored?.length > 0) {
+        await this.redactEnvBackups(this.projectEnvPath, options.stored);
+      }
 
-      // Read existing env
-      const existingEnv = await this.readProjectEnv();
-      const mergedEnv = { ...existingEnv, ...envVars };
-
-      // Format env content
-      let envContent = '';
-      for (const [key, value] of Object.entries(mergedEnv)) {
-        envContent += `export ${key}="${value}"\n`;
+      const envFile = await EnvFile.load(this.projectEnvPath);
+      envFile.update(envVars, { section: options.section });
+      for (const key of [...options.remove || [], ...options.stored || []]) {
+        envFile.delete(key);
       }
 
-      await fs.writeFile(this.projectEnvPath, envContent);
+      await this.writer.withLock(this.projectEnvPath, () => envFile.save(this.projectEnvPath));
       return true;
     } catch (error) {
       console.error('Error writing project env:', error);
@@ -90,88 +353,420 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Replace the values of keys now kept in the secret store with ${secret:NAME} references,
+   * in every backup of an env file, so no plaintext copy of a credential outlives the move
+   */
+  async redactEnvBackups(envPath, keys) {
+    const source = path.resolve(envPath);
+    for (const backup of await this.listBackups()) {
+      if (backup.source !== source) continue;
+
+      const envFile = await EnvFile.load(backup.path);
+      const values = envFile.toObject();
+      const redact = keys.filter(key => key in values && values[key] !== secretRef(key));
+      if (redact.length > 0) {
+        envFile.update(Object.fromEntries(redact.map(key => [key, secretRef(key)])));
+        await envFile.save(backup.path);
+      }
+    }
+  }
+
+  /**
+   * Path of an environment profile file
+   */
+  getEnvProfilePath(name) {
+    return path.join(path.dirname(this.projectEnvPath), `${ENV_PROFILE_PREFIX}${name}`);
+  }
+
+  /**
+   * Names of the environment profiles next to the project .env
+   */
+  async listEnvProfiles() {
+    const files = await fs.readdir(path.dirname(this.projectEnvPath)).catch(() => []);
+    return files
+      .filter(file => file.startsWith(ENV_PROFILE_PREFIX))
+      .map(file => file.slice(ENV_PROFILE_PREFIX.length))
+      .filter(name => ENV_PROFILE_NAME_PATTERN.test(name))
+      .sort();
+  }
+
+  /**
+   * Values of an environment profile ({} for none or a missing file)
+   */
+  async readEnvProfile(name) {
+    if (!name) return {};
+    const profilePath = this.getEnvProfilePath(name);
+    if (!await fs.pathExists(profilePath)) return {};
+    return dotenv.parse(await fs.readFile(profilePath, 'utf-8'));
+  }
+
+  /**
+   * Active environment profile of this project: MCP_HELPER_ENV_PROFILE > `mcp-helper use`
+   */
+  async getActiveEnvProfile() {
+    if (process.env.MCP_HELPER_ENV_PROFILE !== undefined) {
+      return process.env.MCP_HELPER_ENV_PROFILE || null;
+    }
+    const active = await this.settings.get('envProfiles.active', {});
+    return active[path.dirname(this.projectEnvPath)] || null;
+  }
+
+  /**
+   * Switch this project to an environment profile, or back to .env alone with null
+   */
+  async setActiveEnvProfile(name) {
+    if (name && !ENV_PROFILE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid profile name '${name}' (use letters, digits, '_' and '-')`);
+    }
+    const projectDir = path.dirname(this.projectEnvPath);
+    const { [projectDir]: previous, ...others } = await this.settings.get('envProfiles.active', {});
+    await this.settings.set('envProfiles.active', name ? { ...others, [projectDir]: name } : others);
+    return previous || null;
+  }
+
+  /**
+   * Values the configured servers can't resolve under a profile: ${VAR}s set nowhere, and
+   * environment-specific names (set in some profile, secrets included) the profile leaves out
+   * Returns [{ id, scope, missing }] for the servers with gaps
+   */
+  async findMissingEnv(profile) {
+    const env = await this.readProjectEnv({ profile });
+    const profileNames = new Set();
+    for (const name of profile ? await this.listEnvProfiles() : []) {
+      Object.keys(await this.readEnvProfile(name)).forEach(key => profileNames.add(key));
+    }
+
+    const gaps = [];
+    for (const server of await this.listServers()) {
+      const { metadata, ...launchConfig } = server.config;
+      const missing = new Set([
+        ...this.getEnvRefs(launchConfig).filter(name => !env[name] && !process.env[name]),
+        ...findSecretRefs(launchConfig).filter(name => profileNames.has(name) && !env[name])
+      ]);
+      if (missing.size > 0) {
+        gaps.push({ id: server.id, scope: server.scope, missing: [...missing] });
+      }
+    }
+    return gaps;
+  }
+
   /**
    * Add MCP server to global configuration
    */
   async addServerGlobal(serverId, serverConfig) {
-    const config = await this.readGlobalConfig();
+    return await this.addServerPrivate('global', serverId, serverConfig);
+  }
+
+  /**
+   * Add MCP server to this project's local servers in ~/.claude.json
+   */
+  async addServerLocal(serverId, serverConfig) {
+    return await this.addServerPrivate('local', serverId, serverConfig);
+  }
+
+  /**
+   * Add MCP server to a scope kept in ~/.claude.json (global or local)
+   * The file isn't shared, so literal env values stay in the entry; credentials still
+   * go to the secret store
+   */
+  async addServerPrivate(scope, serverId, serverConfig) {
+    const protectedConfig = this.stampProvenance(await this.protectSecrets(serverConfig));
+    const config = await this.readScopeConfig(scope);
     
     if (!config.mcpServers) {
       config.mcpServers = {};
     }
 
-    config.mcpServers[serverId] = serverConfig;
+    config.mcpServers[serverId] = protectedConfig;
     
-    return await this.writeGlobalConfig(config);
+    const written = await this.writeScopeConfig(scope, config);
+    if (written) {
+      await this.recordWrittenServer(scope, serverId, protectedConfig);
+    }
+    return written;
   }
 
   /**
-   * Add MCP server to project (via .env overrides)
+   * Add MCP server to the project's checked-in .mcp.json
+   * The file is shared with teammates, so credentials are moved to the secret store,
+   * other literal env values to .env, and both replaced with references
    */
-  async addServerProject(serverId, envVars) {
-    // For project-local servers, we primarily manage environment variables
-    // The actual server config still goes in global, but with env var references
-    return await this.writeProjectEnv(envVars);
+  async addServerProject(serverId, serverConfig) {
+    const { config: extracted, envVars } = this.extractEnvValues(await this.protectSecrets(serverConfig));
+    const sharedConfig = this.stampProvenance(extracted);
+
+    if (Object.keys(envVars).length > 0) {
+      await this.writeProjectEnv(envVars, { section: serverId });
+    }
+
+    const config = await this.readProjectConfig();
+    config.mcpServers[serverId] = sharedConfig;
+
+    const written = await this.writeProjectConfig(config);
+    if (written) {
+      await this.recordWrittenServer('project', serverId, sharedConfig);
+    }
+    return written;
+  }
+
+  /**
+   * Add, replace and remove several servers in one scope with a single write (and backup)
+   * changes maps server IDs to their new config, or to null to remove them
+   */
+  async writeServers(scope, changes) {
+    const config = await this.readScopeConfig(scope);
+    config.mcpServers = config.mcpServers || {};
+    const entries = {};
+
+    for (const [serverId, serverConfig] of Object.entries(changes)) {
+      if (!serverConfig) {
+        delete config.mcpServers[serverId];
+        entries[serverId] = null;
+        continue;
+      }
+
+      let entry = await this.protectSecrets(serverConfig);
+      if (scope === 'project') {
+        const { config: shared, envVars } = this.extractEnvValues(entry);
+        if (Object.keys(envVars).length > 0) {
+          await this.writeProjectEnv(envVars, { section: serverId });
+        }
+        entry = shared;
+      }
+      entries[serverId] = config.mcpServers[serverId] = this.stampProvenance(entry);
+    }
+
+    const written = await this.writeScopeConfig(scope, config);
+    if (written) {
+      for (const [serverId, entry] of Object.entries(entries)) {
+        await this.recordWrittenServer(scope, serverId, entry);
+      }
+    }
+    return written;
+  }
+
+  /**
+   * Mark an entry as written by mcp-helper; the config hash shows later hand edits
+   * Card details set by generateServerConfig() are kept
+   */
+  stampProvenance(serverConfig) {
+    return {
+      ...serverConfig,
+      metadata: {
+        ...serverConfig.metadata,
+        source: PROVENANCE_SOURCE,
+        configHash: hashServerConfig(serverConfig),
+        writtenAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Remember (or, with a null config, forget) the entry mcp-helper last wrote for a server
+   */
+  async recordWrittenServer(scope, serverId, serverConfig) {
+    await this.writer.withLock(this.writtenServersPath, async () => {
+      const written = await this.readWrittenServers();
+      const key = this.getWrittenServerKey(scope, serverId);
+
+      if (serverConfig) {
+        written[key] = { config: serverConfig, writtenAt: new Date().toISOString() };
+      } else {
+        delete written[key];
+      }
+
+      await this.writer.writeJsonAtomic(this.writtenServersPath, written);
+    });
+  }
+
+  /**
+   * The entry mcp-helper last wrote for a server in a scope, or null if it never did
+   */
+  async getWrittenServer(serverId, scope = 'global') {
+    const written = await this.readWrittenServers();
+    return written[this.getWrittenServerKey(scope, serverId)]?.config || null;
+  }
+
+  async readWrittenServers() {
+    try {
+      return await fs.readJson(this.writtenServersPath);
+    } catch {
+      return {};
+    }
+  }
+
+  // Keyed by config file so each project's .mcp.json (and local block) is tracked separately
+  getWrittenServerKey(scope, serverId) {
+    if (scope === 'local') {
+      return `${this.globalConfigPath}#projects/${this.localProjectKey}#${serverId}`;
+    }
+    return `${this.getScopeConfigPath(scope)}#${serverId}`;
+  }
+
+  /**
+   * Move credential env values into the secret store
+   * Literal values of sensitive env vars become ${secret:NAME} references and the
+   * entry is wrapped in `mcp-helper launch`, which resolves them at startup
+   */
+  async protectSecrets(serverConfig) {
+    const config = { ...serverConfig };
+    const secrets = {};
+
+    if (serverConfig.env) {
+      config.env = {};
+      for (const [key, value] of Object.entries(serverConfig.env)) {
+        if (typeof value === 'string' && value && !/^\$\{[^}]+\}$/.test(value) && isSensitiveEnvVar(key)) {
+          secrets[key] = value;
+          config.env[key] = secretRef(key);
+        } else {
+          config.env[key] = value;
+        }
+      }
+    }
+
+    await this.secrets.setMany(secrets);
+    return findSecretRefs(config).length > 0 ? wrapWithLauncher(config) : config;
+  }
+
+  /**
+   * Point ${NAME} placeholders for the given env vars at the secret store instead
+   */
+  useSecretRefs(serverConfig, names) {
+    const replace = value => typeof value === 'string'
+      ? value.replace(/\$\{([^}]+)\}/g, (match, name) => names.includes(name) ? secretRef(name) : match)
+      : value;
+
+    const config = { ...serverConfig };
+    if (!isRemoteServer(serverConfig)) {
+      config.args = (serverConfig.args || []).map(replace);
+    }
+    for (const field of ['env', 'headers']) {
+      if (serverConfig[field]) {
+        config[field] = Object.fromEntries(Object.entries(serverConfig[field]).map(([key, value]) => [key, replace(value)]));
+      }
+    }
+
+    return findSecretRefs(config).length > 0 ? wrapWithLauncher(config) : config;
+  }
+
+  /**
+   * Replace literal env values with ${VAR} references
+   * Returns the shareable config and the extracted values
+   */
+  extractEnvValues(serverConfig) {
+    const config = { ...serverConfig };
+    const envVars = {};
+
+    if (serverConfig.env) {
+      config.env = {};
+      for (const [key, value] of Object.entries(serverConfig.env)) {
+        if (typeof value === 'string' && value && !/^\$\{[^}]+\}$/.test(value)) {
+          envVars[key] = value;
+          config.env[key] = `\${${key}}`;
+        } else {
+          config.env[key] = value;
+        }
+      }
+    }
+
+    return { config, envVars };
   }
 
   /**
    * Check if server is configured
    */
   async isServerConfigured(serverId, scope = 'global') {
-    if (scope === 'global') {
-      const config = await this.readGlobalConfig();
-      return config.mcpServers && config.mcpServers[serverId];
-    } else {
-      // For project scope, check if relevant env vars exist
-      const envVars = await this.readProjectEnv();
-      // This is simplified - would need server card to know which vars to check
-      return Object.keys(envVars).length > 0;
-    }
+    const config = await this.readScopeConfig(scope);
+    return !!(config.mcpServers && config.mcpServers[serverId]);
   }
 
   /**
    * List configured servers
+   * Returns one entry per server ID, taken from the highest-precedence scope
+   * (see SCOPE_PRECEDENCE). Pass { includeShadowed: true } to also get the
+   * entries that are overridden by a higher scope, and { groupByCard: true } to
+   * list named instances (`add postgres --as postgres-staging`) right after
+   * the other entries of their card.
    */
-  async listServers() {
-    const globalConfig = await this.readGlobalConfig();
-    const projectEnv = await this.readProjectEnv();
+  async listServers(options = {}) {
+    const envLayers = await this.envResolver.readLayers();
+    const layers = {};
+    for (const scope of SCOPE_PRECEDENCE) {
+      layers[scope] = (await this.readScopeConfig(scope)).mcpServers || {};
+    }
 
     const servers = [];
+    const seen = new Map();
 
-    // Add global servers
-    if (globalConfig.mcpServers) {
-      for (const [id, config] of Object.entries(globalConfig.mcpServers)) {
-        servers.push({
+    for (const scope of SCOPE_PRECEDENCE) {
+      for (const [id, config] of Object.entries(layers[scope])) {
+        const winner = seen.get(id);
+        const entry = {
           id,
-          scope: 'global',
+          scope,
           config,
-          hasProjectOverrides: this.hasEnvOverrides(config, projectEnv)
-        });
+          effective: !winner,
+          shadowedBy: winner ? winner.scope : null,
+          shadows: [],
+          hasProjectOverrides: await this.hasEnvOverrides(config, envLayers),
+          cardId: config.metadata?.cardId || id,
+          instanceOf: config.metadata?.instance ? config.metadata.cardId : null
+        };
+
+        if (winner) {
+          winner.shadows.push(scope);
+          if (options.includeShadowed) servers.push(entry);
+        } else {
+          seen.set(id, entry);
+          servers.push(entry);
+        }
       }
     }
 
+    if (options.groupByCard) {
+      const order = [...new Set(servers.map(server => server.cardId))];
+      // Array sort is stable, so entries keep their order within a card
+      return servers.sort((a, b) => order.indexOf(a.cardId) - order.indexOf(b.cardId) || !!a.instanceOf - !!b.instanceOf);
+    }
+
     return servers;
   }
 
   /**
-   * Check if server config has environment overrides
+   * The values a server's required variables are checked against: the project env (with
+   * the active profile) plus the ${secret:NAME} references of the entry that resolve
    */
-  hasEnvOverrides(serverConfig, projectEnv) {
-    // Check if any env vars in the server config are overridden in project
-    const configStr = JSON.stringify(serverConfig);
-    const envVarPattern = /\$\{([^}]+)\}/g;
-    const matches = configStr.match(envVarPattern);
-    
-    if (matches) {
-      for (const match of matches) {
-        const varName = match.slice(2, -1); // Remove ${ and }
-        if (projectEnv[varName]) {
-          return true;
-        }
-      }
+  async readServerEnv(serverConfig, projectEnv = null, envLayers = null) {
+    const layers = envLayers || await this.envResolver.readLayers();
+    return {
+      ...(projectEnv || await this.readProjectEnv()),
+      ...await this.envResolver.getSecretEnv(serverConfig, layers)
+    };
+  }
+
+  /**
+   * Check if the project supplies any of the server's values
+   * True when a variable the entry refers to resolves from .env or the active
+   * environment profile (see EnvResolver); envLayers are read when not given
+   */
+  async hasEnvOverrides(serverConfig, envLayers = null) {
+    const layers = envLayers || await this.envResolver.readLayers();
+    return this.envResolver.resolve(serverConfig, layers)
+      .some(variable => ['project', 'profile'].includes(variable.source));
+  }
+
+  /**
+   * Number of backups kept per file
+   * MCP_HELPER_BACKUP_RETENTION overrides the backups.retention setting
+   */
+  async getBackupRetention() {
+    const fromEnv = parseInt(process.env.MCP_HELPER_BACKUP_RETENTION, 10);
+    if (Number.isInteger(fromEnv) && fromEnv > 0) {
+      return fromEnv;
     }
-    
-    return false;
+    const fromSettings = await this.settings.get('backups.retention');
+    return Number.isInteger(fromSettings) && fromSettings > 0 ? fromSettings : DEFAULT_BACKUP_RETENTION;
   }
 
   /**
@@ -183,13 +778,18 @@ export class ConfigManager {
       
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const filename = path.basename(configPath);
-      const backupPath = path.join(this.backupDir, `${filename}.${timestamp}`);
+      const backupName = `${filename}.${timestamp}`;
+      const backupPath = path.join(this.backupDir, backupName);
       
-      if (await fs.pathExists(configPath)) {
-        await fs.copy(configPath, backupPath);
+      if (!await fs.pathExists(configPath)) {
+        return null;
       }
-      
-      // Keep only last 10 backups
+
+      await fs.copy(configPath, backupPath);
+      await this.updateBackupIndex(index => {
+        index[backupName] = { source: path.resolve(configPath) };
+      });
+
       await this.cleanupBackups(filename);
       
       return backupPath;
@@ -199,20 +799,112 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Parse a backup file name into its source file name and creation time
+   * Returns null for files that are not backups (index, 'latest' copies)
+   */
+  parseBackupName(name) {
+    const match = name.match(BACKUP_NAME_PATTERN) || name.match(LEGACY_BACKUP_NAME_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const [, filename, stamp] = match;
+    const createdAt = new Date(stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z'));
+    return {
+      filename: filename || '.claude.json',
+      createdAt: isNaN(createdAt) ? null : createdAt
+    };
+  }
+
+  /**
+   * List backups, newest first
+   * Each entry records the file it was taken from so it can be restored in place
+   */
+  async listBackups() {
+    if (!await fs.pathExists(this.backupDir)) {
+      return [];
+    }
+
+    const index = await this.readBackupIndex();
+    const backups = [];
+
+    for (const name of await fs.readdir(this.backupDir)) {
+      const parsed = this.parseBackupName(name);
+      if (!parsed) continue;
+
+      const backupPath = path.join(this.backupDir, name);
+      const stat = await fs.stat(backupPath);
+      backups.push({
+        id: name,
+        path: backupPath,
+        filename: parsed.filename,
+        source: index[name]?.source || this.guessBackupSource(parsed.filename),
+        createdAt: parsed.createdAt || stat.mtime,
+        size: stat.size
+      });
+    }
+
+    return backups.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Best guess at where a backup came from when the index has no record of it
+   */
+  guessBackupSource(filename) {
+    switch (filename) {
+      case path.basename(this.globalConfigPath):
+        return this.globalConfigPath;
+      case path.basename(this.projectConfigPath):
+        return this.projectConfigPath;
+      case path.basename(this.projectEnvPath):
+        return this.projectEnvPath;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Read the backup index (backup file name -> original path)
+   */
+  async readBackupIndex() {
+    const indexPath = path.join(this.backupDir, BACKUP_INDEX_FILE);
+    try {
+      return await fs.readJson(indexPath);
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Apply a change to the backup index under its lock
+   */
+  async updateBackupIndex(mutate) {
+    const indexPath = path.join(this.backupDir, BACKUP_INDEX_FILE);
+    await this.writer.withLock(indexPath, async () => {
+      const index = await this.readBackupIndex();
+      mutate(index);
+      await this.writer.writeJsonAtomic(indexPath, index);
+    });
+  }
+
   /**
    * Clean up old backups
+   * Only backups of exactly this file name are counted against the retention limit
    */
   async cleanupBackups(filename) {
     try {
-      const files = await fs.readdir(this.backupDir);
-      const backups = files
-        .filter(f => f.startsWith(filename))
-        .sort()
-        .reverse();
-      
-      // Keep only last 10 backups
-      for (let i = 10; i < backups.length; i++) {
-        await fs.remove(path.join(this.backupDir, backups[i]));
+      const retention = await this.getBackupRetention();
+      const backups = (await this.listBackups()).filter(b => b.filename === filename);
+      const expired = backups.slice(retention);
+
+      for (const backup of expired) {
+        await fs.remove(backup.path);
+      }
+      if (expired.length > 0) {
+        await this.updateBackupIndex(index => {
+          expired.forEach(backup => delete index[backup.id]);
+        });
       }
     } catch (error) {
       console.error('Error cleaning up backups:', error);
@@ -224,7 +916,12 @@ export class ConfigManager {
    */
   async restoreFromBackup(backupPath, targetPath) {
     try {
-      await fs.copy(backupPath, targetPath, { overwrite: true });
+      const content = await fs.readFile(backupPath);
+      await this.writer.withLock(targetPath, () => this.writer.writeAtomic(targetPath, content));
+      if (targetPath === this.globalConfigPath) {
+        this.globalSnapshot = null;
+        this.localSnapshot = null;
+      }
       return true;
     } catch (error) {
       console.error('Error restoring from backup:', error);
@@ -232,22 +929,27 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Restore a listed backup over the file it was taken from
+   * The current file is backed up first so the restore itself can be undone
+   */
+  async restoreBackup(backup, targetPath = backup.source) {
+    if (!targetPath) {
+      throw new Error(`Don't know where ${backup.id} was taken from; pass a target path`);
+    }
+
+    const safetyBackup = await this.backupConfig(targetPath);
+    const restored = await this.restoreFromBackup(backup.path, targetPath);
+    return { restored, targetPath, safetyBackup };
+  }
+
   /**
    * Get latest backup
    */
   async getLatestBackup(filename) {
     try {
-      const files = await fs.readdir(this.backupDir);
-      const backups = files
-        .filter(f => f.startsWith(filename))
-        .sort()
-        .reverse();
-      
-      if (backups.length > 0) {
-        return path.join(this.backupDir, backups[0]);
-      }
-      
-      return null;
+      const backups = (await this.listBackups()).filter(b => b.filename === filename);
+      return backups.length > 0 ? backups[0].path : null;
     } catch (error) {
       console.error('Error getting latest backup:', error);
       return null;
@@ -256,40 +958,40 @@ export class ConfigManager {
 
   /**
    * Get server configuration details
+   * Resolves the effective entry across scopes (see SCOPE_PRECEDENCE)
    */
   async getServerConfig(serverId) {
-    const globalConfig = await this.readGlobalConfig();
-    const projectEnv = await this.readProjectEnv();
-    
-    if (!globalConfig.mcpServers || !globalConfig.mcpServers[serverId]) {
+    const servers = await this.listServers();
+    const server = servers.find(s => s.id === serverId);
+
+    if (!server) {
       return null;
     }
-    
-    const config = globalConfig.mcpServers[serverId];
-    const hasProjectOverrides = this.hasEnvOverrides(config, projectEnv);
-    
-    // Extract environment variables used
-    const configStr = JSON.stringify(config);
-    const envVarPattern = /\$\{([^}]+)\}/g;
-    const matches = configStr.match(envVarPattern) || [];
-    
+
+    const config = server.config;
+
+    // Values of the ${VAR} placeholders as the resolver finds them; ${secret:NAME}
+    // references are listed separately, since reading them may need the vault passphrase
+    const secrets = findSecretRefs(config);
+    const variables = this.envResolver.resolve(config, await this.envResolver.readLayers());
     const envVars = {};
-    for (const match of matches) {
-      const varName = match.slice(2, -1);
-      envVars[varName] = projectEnv[varName] || process.env[varName] || null;
+    for (const variable of variables.filter(variable => !variable.secret && variable.source !== 'config')) {
+      envVars[variable.name] = variable.value ?? null;
     }
     
     return {
       id: serverId,
-      scope: hasProjectOverrides ? 'project' : 'global',
+      scope: server.scope,
+      shadows: server.shadows,
       config,
       envVars,
-      hasProjectOverrides
+      secrets,
+      hasProjectOverrides: server.hasProjectOverrides
     };
   }
 
   /**
-   * Update server scope (migrate between global and project)
+   * Update server scope (move the entry between ~/.claude.json, its local block and .mcp.json)
    */
   async updateServerScope(serverId, newScope) {
     const serverConfig = await this.getServerConfig(serverId);
@@ -304,54 +1006,141 @@ export class ConfigManager {
     }
     
     if (newScope === 'project') {
-      // Moving from global to project - add env vars to project
-      if (Object.keys(serverConfig.envVars).length > 0) {
-        await this.writeProjectEnv(serverConfig.envVars);
-      }
-    } else if (newScope === 'global') {
-      // Moving from project to global - remove project-specific env vars
-      // This is complex as we need to identify which vars belong to this server
-      // For now, we'll keep the env vars but note the scope change
+      // .mcp.json is checked in - literal values go to .env, references stay in the file
+      await this.addServerProject(serverId, serverConfig.config);
+    } else {
+      await this.addServerPrivate(newScope, serverId, serverConfig.config);
       console.log('Note: Environment variables remain in .env file');
     }
+
+    await this.removeServer(serverId, currentScope);
     
     return true;
   }
 
   /**
    * Update server environment variables
+   * envSchema holds the card's variables ({ name, sensitive }) under the names the entry uses;
+   * those it marks sensitive, and any the entry already reads from the secret store, are stored
+   * there rather than in .env
    */
-  async updateServerEnvVars(serverId, envVars) {
+  async updateServerEnvVars(serverId, envVars, envSchema = []) {
     const serverConfig = await this.getServerConfig(serverId);
     if (!serverConfig) {
       throw new Error(`Server ${serverId} not found`);
     }
     
-    // Update project env file
-    await this.writeProjectEnv(envVars);
+    const schema = new Map(envSchema.map(envVar => [envVar.name, envVar]));
+    const referenced = findSecretRefs(serverConfig.config);
+    const secrets = Object.fromEntries(Object.entries(envVars)
+      .filter(([key]) => referenced.includes(key) || isSensitiveEnvVar(key, schema.get(key))));
+    const plain = Object.fromEntries(Object.entries(envVars).filter(([key]) => !(key in secrets)));
+
+    // Credentials go to the secret store and the entry is switched to ${secret:NAME} references
+    const stored = await this.secrets.setMany(secrets);
+    const withRefs = this.useSecretRefs(serverConfig.config, stored);
+    if (stored.length > 0 && !isDeepStrictEqual(withRefs, serverConfig.config)) {
+      const config = await this.readScopeConfig(serverConfig.scope);
+      config.mcpServers[serverId] = this.stampProvenance(withRefs);
+      if (await this.writeScopeConfig(serverConfig.scope, config)) {
+        await this.recordWrittenServer(serverConfig.scope, serverId, config.mcpServers[serverId]);
+      }
+    }
+
+    // Update project env file, dropping any plaintext copies of stored credentials
+    const existingEnv = await this.readBaseEnv();
+    if (Object.keys(plain).length > 0 || stored.some(key => key in existingEnv)) {
+      await this.writeProjectEnv(plain, { stored });
+    }
     
     return true;
   }
 
   /**
    * Remove server configuration
+   * Removes the server from the given scope, or from every scope when none is given.
+   * Returns the scopes the server was removed from; throws when a config can't be written.
    */
-  async removeServer(serverId) {
-    // Remove from global config
-    const globalConfig = await this.readGlobalConfig();
-    
-    if (globalConfig.mcpServers && globalConfig.mcpServers[serverId]) {
-      // Create backup before removal
-      await this.backupConfig(this.globalConfigPath);
-      
-      delete globalConfig.mcpServers[serverId];
-      await this.writeGlobalConfig(globalConfig);
+  async removeServer(serverId, scope = null) {
+    const scopes = scope ? [scope] : SCOPE_PRECEDENCE;
+    const removedFrom = [];
+
+    for (const target of scopes) {
+      const config = await this.readScopeConfig(target);
+
+      if (config.mcpServers && config.mcpServers[serverId]) {
+        delete config.mcpServers[serverId];
+        if (!await this.writeScopeConfig(target, config)) {
+          const done = removedFrom.length > 0 ? ` (already removed from ${removedFrom.join(' and ')})` : '';
+          throw new Error(`Failed to write the ${target} config${done}`);
+        }
+        await this.recordWrittenServer(target, serverId, null);
+        removedFrom.push(target);
+      }
     }
     
-    // Note: We don't remove env vars as they might be used by other servers
-    console.log('Note: Environment variables remain in .env file');
-    
-    return true;
+    return removedFrom;
+  }
+
+  /**
+   * Work out what removing a server would change, without writing anything
+   * Returns the scopes it is configured in, the project .env vars and secrets
+   * no other server references, and the before/after text of each config file
+   */
+  async planServerRemoval(serverId, scope = null) {
+    const scopes = scope ? [scope] : SCOPE_PRECEDENCE;
+    const plan = { serverId, scopes: [], changes: [], envVars: [], secrets: [], envChange: null };
+    const removed = [];
+    const kept = [];
+
+    for (const target of SCOPE_PRECEDENCE) {
+      const config = await this.readScopeConfig(target);
+      const { [serverId]: server, ...others } = config.mcpServers || {};
+
+      if (server && scopes.includes(target)) {
+        removed.push(server);
+        plan.scopes.push(target);
+        // A local entry is one block of ~/.claude.json; show the change to the whole file
+        const file = target === 'local' ? structuredClone(this.localSnapshot.data) : config;
+        const after = target === 'local'
+          ? { ...file, projects: { ...file.projects, [this.localProjectKey]: { ...file.projects[this.localProjectKey], mcpServers: others } } }
+          : { ...config, mcpServers: others };
+        plan.changes.push({
+          path: this.getScopeConfigPath(target),
+          before: JSON.stringify(file, null, 2) + '\n',
+          after: JSON.stringify(after, null, 2) + '\n'
+        });
+      } else if (server) {
+        kept.push(server);
+      }
+      kept.push(...Object.values(others));
+    }
+
+    const stillUsed = new Set(kept.flatMap(server => [...this.getEnvRefs(server), ...findSecretRefs(server)]));
+    const projectEnv = await this.readBaseEnv();
+    plan.envVars = [...new Set(removed.flatMap(server => this.getEnvRefs(server)))]
+      .filter(name => !stillUsed.has(name) && name in projectEnv);
+    plan.secrets = findSecretRefs(removed).filter(name => !stillUsed.has(name));
+
+    if (plan.envVars.length > 0) {
+      const before = await fs.readFile(this.projectEnvPath, 'utf-8');
+      const envFile = new EnvFile(before);
+      plan.envVars.forEach(name => envFile.delete(name));
+      plan.envChange = { path: this.projectEnvPath, before, after: envFile.toString() };
+    }
+
+    return plan;
+  }
+
+  /**
+   * Names of the ${VAR} placeholders in a server config (secret references excluded)
+   */
+  getEnvRefs(serverConfig) {
+    const names = new Set();
+    for (const match of JSON.stringify(serverConfig).matchAll(/\$\{([\w.-]+)\}/g)) {
+      names.add(match[1]);
+    }
+    return [...names];
   }
 
   /**
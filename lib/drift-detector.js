@@ -0,0 +1,146 @@
+/**
+ * Drift Detector for MCP Helper
+ * Entries mcp-helper writes carry provenance metadata (card ID and version, a hash of
+ * the card and of the written config, and when it was written). Comparing that against
+ * the config files and the catalog shows which entries were edited by hand, which cards
+ * changed upstream, and which servers mcp-helper doesn't manage at all.
+ */
+
+import crypto from 'crypto';
+import { isDeepStrictEqual } from 'util';
+
+export const PROVENANCE_SOURCE = 'mcp-helper';
+
+/**
+ * JSON with sorted keys, so equal configs hash the same whatever order they were written in
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function hashJson(value) {
+  return crypto.createHash('sha256').update(canonicalJson(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Hash of a server entry's launch config (the metadata itself is left out)
+ */
+export function hashServerConfig(serverConfig) {
+  const { metadata, ...launchConfig } = serverConfig;
+  return hashJson(launchConfig);
+}
+
+/**
+ * Metadata linking a generated entry to the card it came from
+ * Most cards have no version, so the card hash is what notices upstream edits.
+ * Overrides given when adding (instance name, docker tag, mounts, network) are kept
+ * for regeneration.
+ */
+export function cardProvenance(card, overrides = {}) {
+  const { instance, ...rest } = overrides;
+  const kept = Object.fromEntries(Object.entries(rest)
+    .filter(([, value]) => value !== undefined && !(Array.isArray(value) && value.length === 0)));
+
+  return {
+    source: PROVENANCE_SOURCE,
+    cardId: card.id,
+    ...(card.version && { cardVersion: card.version }),
+    cardHash: hashJson(card),
+    ...(instance && { instance }),
+    ...(Object.keys(kept).length > 0 && { overrides: kept })
+  };
+}
+
+export class DriftDetector {
+  constructor(configManager, serverCardsManager) {
+    this.configManager = configManager;
+    this.serverCardsManager = serverCardsManager;
+  }
+
+  /**
+   * Check every configured entry, including ones shadowed by a higher scope
+   * Returns [{ id, scope, effective, managed, modified, fields, cardId, cardChanged,
+   * cardMissing, writtenVersion, currentVersion, writtenAt }]
+   */
+  async detect() {
+    const servers = await this.configManager.listServers({ includeShadowed: true });
+    const results = [];
+
+    for (const server of servers) {
+      results.push(await this.check(server));
+    }
+
+    return results;
+  }
+
+  async check(server) {
+    const metadata = server.config.metadata || {};
+    const result = {
+      id: server.id,
+      scope: server.scope,
+      effective: server.effective,
+      managed: metadata.source === PROVENANCE_SOURCE && !!metadata.configHash,
+      modified: false,
+      fields: [],
+      cardId: metadata.cardId || null,
+      cardChanged: false,
+      cardMissing: false,
+      writtenVersion: metadata.cardVersion || null,
+      currentVersion: null,
+      writtenAt: metadata.writtenAt || null
+    };
+
+    if (!result.managed) {
+      return result;
+    }
+
+    if (hashServerConfig(server.config) !== metadata.configHash) {
+      result.modified = true;
+      const written = await this.configManager.getWrittenServer(server.id, server.scope);
+      result.fields = written ? this.getChangedFields(written, server.config) : [];
+    }
+
+    if (result.cardId) {
+      const card = this.serverCardsManager.getCard(result.cardId);
+      if (!card) {
+        result.cardMissing = true;
+      } else {
+        result.currentVersion = card.version || null;
+        result.cardChanged = result.currentVersion !== result.writtenVersion || hashJson(card) !== metadata.cardHash;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Fields that differ between two entries: top-level keys, with env split per variable
+   */
+  getChangedFields(before, after) {
+    const fields = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.delete('metadata');
+
+    for (const key of keys) {
+      if (key === 'env') {
+        const names = new Set([...Object.keys(before.env || {}), ...Object.keys(after.env || {})]);
+        for (const name of names) {
+          if (before.env?.[name] !== after.env?.[name]) fields.push(`env.${name}`);
+        }
+      } else if (!isDeepStrictEqual(before[key], after[key])) {
+        fields.push(key);
+      }
+    }
+
+    return fields;
+  }
+}
+
+export default DriftDetector;
@@ -0,0 +1,185 @@
+/**
+ * Env File editor for MCP Helper
+ * Edits .env files in place: comments, blank lines, ordering and untouched
+ * entries are kept byte for byte; only the keys being changed are rewritten.
+ * Entries are located with the same LINE pattern dotenv uses, so what we edit
+ * is exactly what dotenv.parse() reads back.
+ */
+
+import fs from 'fs-extra';
+import dotenv from 'dotenv';
+import { SafeFileWriter } from './safe-file-writer.js';
+
+// dotenv's own LINE pattern (dotenv/lib/main.js)
+const LINE = /(?:^|^)\s*(?:export\s+)?([\w.-]+)(?:\s*=\s*?|:\s+?)(\s*'(?:\\'|[^'])*'|\s*"(?:\\"|[^"])*"|\s*`(?:\\`|[^`])*`|[^#\r\n]+)?\s*(?:#.*)?(?:$|$)/mg;
+const ENTRY_PREFIX = /^\s*(?:export\s+)?[\w.-]+(?:\s*=\s*?|:\s+?)/;
+const VALID_KEY = /^[\w.-]+$/;
+
+export class EnvFile {
+  constructor(content = '') {
+    const text = String(content);
+    this.eol = text.includes('\r\n') ? '\r\n' : '\n';
+    // dotenv normalizes line breaks before parsing; positions below refer to this form
+    this.content = text.replace(/\r\n?/g, '\n');
+  }
+
+  /**
+   * Read a .env file (a missing file is treated as empty)
+   */
+  static async load(filePath) {
+    const content = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf-8') : '';
+    return new EnvFile(content);
+  }
+
+  /**
+   * Quote a value so dotenv.parse() returns it unchanged
+   * Prefers forms that also mean the same thing when the file is `source`d by a shell
+   */
+  static quote(value) {
+    const str = String(value);
+
+    // dotenv turns \r\n into \n, so a bare \r only survives as an escape inside double quotes
+    if (str.includes('\r')) {
+      if (!/["\\]/.test(str)) {
+        return `"${str.replace(/\r/g, '\\r')}"`;
+      }
+    } else if (!/["$`\\]/.test(str)) {
+      // Double quotes: nothing a shell or dotenv would reinterpret
+      return `"${str}"`;
+    } else if (!str.includes("'")) {
+      // Single quotes: literal for both dotenv and shells
+      return `'${str}'`;
+    } else if (!str.includes('`')) {
+      // Backticks: literal for dotenv; shells would treat this as command substitution
+      return `\`${str}\``;
+    }
+
+    throw new Error('Value cannot be represented in a .env file (it mixes quote characters dotenv cannot escape)');
+  }
+
+  /**
+   * Locate every entry: key, the span of its line(s) and of its raw value
+   */
+  entries() {
+    const entries = [];
+    const pattern = new RegExp(LINE.source, LINE.flags);
+    let match;
+
+    while ((match = pattern.exec(this.content)) !== null) {
+      const [text, key, rawValue = ''] = match;
+      const start = match.index + text.search(/\S/);
+      const valueOffset = match.index + text.match(ENTRY_PREFIX)[0].length;
+      const leading = rawValue.match(/^\s*/)[0].length;
+      const trailing = rawValue.length - leading - rawValue.trim().length;
+      const valueStart = valueOffset + leading;
+      const valueEnd = valueOffset + rawValue.length - (rawValue.trim() ? trailing : 0);
+      const lineEnd = this.content.indexOf('\n', valueEnd);
+
+      entries.push({
+        key,
+        lineStart: this.content.lastIndexOf('\n', start - 1) + 1,
+        lineEnd: lineEnd === -1 ? this.content.length : lineEnd,
+        valueStart,
+        valueEnd: Math.max(valueStart, valueEnd),
+        exported: /^\s*export\s/.test(text)
+      });
+
+      if (pattern.lastIndex === match.index) {
+        pattern.lastIndex++;
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parsed values, exactly as dotenv.parse() sees them
+   */
+  toObject() {
+    return dotenv.parse(this.content);
+  }
+
+  get(key) {
+    return this.toObject()[key];
+  }
+
+  has(key) {
+    return key in this.toObject();
+  }
+
+  /**
+   * Set a key: the value of its (last, effective) entry is replaced in place,
+   * or a new entry is appended
+   */
+  set(key, value, options = {}) {
+    if (!VALID_KEY.test(key)) {
+      throw new Error(`Invalid .env key: ${key}`);
+    }
+
+    const quoted = EnvFile.quote(value);
+    const existing = this.entries().filter(entry => entry.key === key).pop();
+
+    if (existing) {
+      if (this.get(key) !== String(value)) {
+        this.content = this.content.slice(0, existing.valueStart) + quoted + this.content.slice(existing.valueEnd);
+      }
+      return this;
+    }
+
+    if (this.content && !this.content.endsWith('\n')) {
+      this.content += '\n';
+    }
+    if (options.section && !this.content.split('\n').includes(`# ${options.section}`)) {
+      this.content += `${this.content ? '\n' : ''}# ${options.section}\n`;
+    }
+    this.content += `${this.usesExport() ? 'export ' : ''}${key}=${quoted}\n`;
+    return this;
+  }
+
+  /**
+   * Set several keys; new ones are appended under an optional "# section" comment
+   */
+  update(values, options = {}) {
+    for (const [key, value] of Object.entries(values)) {
+      this.set(key, value, options);
+    }
+    return this;
+  }
+
+  /**
+   * Remove every entry for a key (comments around it stay)
+   */
+  delete(key) {
+    const matches = this.entries().filter(entry => entry.key === key).reverse();
+    for (const entry of matches) {
+      const end = entry.lineEnd < this.content.length ? entry.lineEnd + 1 : entry.lineEnd;
+      const start = end === this.content.length && entry.lineStart > 0 ? entry.lineStart - 1 : entry.lineStart;
+      this.content = this.content.slice(0, start) + this.content.slice(end);
+    }
+    return matches.length > 0;
+  }
+
+  /**
+   * Follow the file's convention for `export KEY=...` (new files use it)
+   */
+  usesExport() {
+    const entries = this.entries();
+    if (entries.length === 0) return true;
+    return entries.filter(entry => entry.exported).length * 2 >= entries.length;
+  }
+
+  toString() {
+    return this.eol === '\n' ? this.content : this.content.replace(/\n/g, this.eol);
+  }
+
+  /**
+   * Atomically write the file; new files are created readable by the owner only
+   */
+  async save(filePath) {
+    const writer = new SafeFileWriter();
+    const exists = await fs.pathExists(filePath);
+    await writer.writeAtomic(filePath, this.toString(), exists ? {} : { mode: 0o600 });
+  }
+}
+
+export default EnvFile;
@@ -0,0 +1,187 @@
+/**
+ * Env Resolver for MCP Helper
+ * Works out the value every variable of a server entry ends up with, and where it
+ * came from. Literal values in the entry win (a card default is written as one when
+ * nothing else was given); ${VAR} placeholders are filled from the first layer that
+ * sets them: process env, the active environment profile, the project .env, then
+ * ~/.claude-env. ${secret:NAME} references come from the active profile or the secret
+ * store, as `mcp-helper launch` resolves them.
+ */
+
+import fs from 'fs-extra';
+import dotenv from 'dotenv';
+import { findSecretRefs, secretRef, unwrapLauncher } from './secret-store.js';
+import { cardEnvDefaults } from './server-cards.js';
+
+// Layers for ${VAR} placeholders, highest precedence first
+export const ENV_LAYERS = ['process', 'profile', 'project', 'global'];
+
+export class EnvResolver {
+  constructor(configManager, serverCardsManager = null) {
+    this.configManager = configManager;
+    this.serverCardsManager = serverCardsManager;
+    // Secret names in the store, by the layers they were read with
+    this.storedSecrets = new WeakMap();
+  }
+
+  /**
+   * Read every env layer once: [{ source, label, values }], highest precedence first
+   */
+  async readLayers() {
+    const profile = await this.configManager.getActiveEnvProfile();
+    const layers = [
+      { source: 'process', label: 'process env', values: process.env },
+      { source: 'profile', label: profile ? this.configManager.getEnvProfilePath(profile) : null, values: await this.configManager.readEnvProfile(profile) },
+      { source: 'project', label: this.configManager.projectEnvPath, values: await this.configManager.readBaseEnv() },
+      { source: 'global', label: this.configManager.globalEnvPath, values: await this.readEnvFile(this.configManager.globalEnvPath) }
+    ];
+    return layers.filter(layer => layer.label);
+  }
+
+  async readEnvFile(filePath) {
+    try {
+      return await fs.pathExists(filePath) ? dotenv.parse(await fs.readFile(filePath, 'utf-8')) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Resolve the variables of one server entry against pre-read layers
+   * Returns [{ name, usedBy, value, source, label, secret, overridden }], where usedBy lists
+   * the env keys (or 'args', 'url', 'header <Name>') referring to the variable and overridden the layers that
+   * also set it but lose. An unresolved variable has source null. Pass the server's
+   * card to tell its defaults apart from values typed in.
+   */
+  resolve(serverConfig, layers, card = null) {
+    // A remote entry's headersHelper headers count as its headers
+    const { metadata, ...launchConfig } = unwrapLauncher(serverConfig);
+    const defaults = cardEnvDefaults(card);
+    const variables = new Map();
+    const use = (name, usedBy, fields) => {
+      const variable = variables.get(name) || { name, usedBy: [], ...fields };
+      if (!variable.usedBy.includes(usedBy)) variable.usedBy.push(usedBy);
+      variables.set(name, variable);
+    };
+
+    for (const [key, value] of Object.entries(launchConfig.env || {})) {
+      const refs = this.getRefs(value);
+      if (typeof value === 'string' && refs.length === 0) {
+        // A literal value in the entry is what the server gets, whatever the env says
+        const fromCard = defaults[key] === value;
+        use(key, key, {
+          value,
+          source: fromCard ? 'card' : 'config',
+          label: fromCard ? `default of card ${card.id}` : null,
+          secret: false,
+          overridden: this.setIn(layers, key).map(layer => this.describe(layer, key))
+        });
+      }
+      refs.forEach(ref => use(ref.name, key, this.resolveRef(ref, layers)));
+    }
+    for (const arg of launchConfig.args || []) {
+      this.getRefs(arg).forEach(ref => use(ref.name, 'args', this.resolveRef(ref, layers)));
+    }
+    this.getRefs(launchConfig.url).forEach(ref => use(ref.name, 'url', this.resolveRef(ref, layers)));
+    for (const [header, value] of Object.entries(launchConfig.headers || {})) {
+      this.getRefs(value).forEach(ref => use(ref.name, `header ${header}`, this.resolveRef(ref, layers)));
+    }
+
+    return [...variables.values()];
+  }
+
+  /**
+   * ${VAR} and ${secret:NAME} references in a value
+   */
+  getRefs(value) {
+    if (typeof value !== 'string') return [];
+    const secrets = new Set(findSecretRefs(value));
+    const refs = [...value.matchAll(/\$\{(secret:)?([\w.-]+)\}/g)].map(match => ({ name: match[2], secret: !!match[1] }));
+    return refs.filter(ref => !ref.secret || secrets.has(ref.name));
+  }
+
+  resolveRef(ref, layers) {
+    // Secrets: only an environment profile can stand in for the store
+    const candidates = ref.secret ? layers.filter(layer => layer.source === 'profile') : layers;
+    const [winner, ...overridden] = this.setIn(candidates, ref.name);
+
+    if (winner) {
+      return {
+        value: winner.values[ref.name],
+        source: winner.source,
+        label: winner.label,
+        secret: ref.secret,
+        overridden: overridden.map(layer => this.describe(layer, ref.name))
+      };
+    }
+    return ref.secret
+      ? { value: undefined, source: 'secrets', label: 'secret store', secret: true, overridden: [] }
+      : { value: undefined, source: null, label: null, secret: false, overridden: [] };
+  }
+
+  /**
+   * The entry's ${secret:NAME} variables that resolve, by name: set in the active profile,
+   * or held by the secret store (or not checkable, when the store is locked)
+   */
+  async getSecretEnv(serverConfig, layers) {
+    const values = {};
+    for (const variable of this.resolve(serverConfig, layers).filter(variable => variable.secret)) {
+      if (variable.value !== undefined) {
+        values[variable.name] = variable.value;
+      } else if (await this.isSecretStored(variable.name, layers) !== false) {
+        values[variable.name] = secretRef(variable.name);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Whether the secret store holds a secret; null when it can't be read (a locked vault)
+   * The store is listed once per readLayers() result, so a batch of servers shares the read
+   */
+  async isSecretStored(name, layers) {
+    if (!this.storedSecrets.has(layers)) {
+      this.storedSecrets.set(layers, this.configManager.secrets.list().then(names => new Set(names), () => null));
+    }
+    const stored = await this.storedSecrets.get(layers);
+    return stored ? stored.has(name) : null;
+  }
+
+  setIn(layers, name) {
+    return layers.filter(layer => layer.values[name] !== undefined && layer.values[name] !== '');
+  }
+
+  describe(layer, name) {
+    return { source: layer.source, label: layer.label, value: layer.values[name] };
+  }
+
+  /**
+   * Resolve a configured server by ID, checking which referenced secrets exist
+   * Returns null when it isn't configured
+   */
+  async explain(serverId) {
+    const servers = await this.configManager.listServers({ includeShadowed: true });
+    const server = servers.find(entry => entry.id === serverId && entry.effective);
+    if (!server) {
+      return null;
+    }
+
+    const card = this.serverCardsManager?.findCardForServer(server.id, server.config) || null;
+    const layers = await this.readLayers();
+    const variables = this.resolve(server.config, layers, card);
+
+    // A locked vault leaves existence unknown (null)
+    for (const variable of variables.filter(variable => variable.source === 'secrets')) {
+      variable.stored = await this.isSecretStored(variable.name, layers);
+    }
+
+    return {
+      server,
+      card,
+      shadowed: servers.filter(entry => entry.id === serverId && !entry.effective),
+      variables
+    };
+  }
+}
+
+export default EnvResolver;
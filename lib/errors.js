@@ -0,0 +1,91 @@
+/**
+ * Errors for MCP Helper
+ * Failures callers are expected to handle get a class and a stable `code`, which
+ * result documents carry as `error.code`; anything else stays a plain Error.
+ */
+
+export class McpHelperError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code || 'FAILED';
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * No catalog card, or no configured server, with that ID
+ */
+export class ServerNotFoundError extends McpHelperError {
+  constructor(message, details = {}) {
+    super(message, { code: 'SERVER_NOT_FOUND', ...details });
+  }
+}
+
+/**
+ * The server is configured already and overwriting it was not asked for
+ */
+export class ServerExistsError extends McpHelperError {
+  constructor(message, details = {}) {
+    super(message, { code: 'SERVER_EXISTS', ...details });
+  }
+}
+
+/**
+ * An argument or option value that can't be used
+ */
+export class InvalidArgumentError extends McpHelperError {
+  constructor(message, details = {}) {
+    super(message, { code: 'INVALID_ARGUMENT', ...details });
+  }
+}
+
+/**
+ * A prompt nobody can answer; `answerKeys` names the answers to provide
+ */
+export class AnswerRequiredError extends McpHelperError {
+  constructor(message, details = {}) {
+    super(message, { code: 'ANSWER_REQUIRED', ...details });
+  }
+}
+
+/**
+ * A prompt answer that isn't one of its choices or fails its validation
+ */
+export class InvalidAnswerError extends McpHelperError {
+  constructor(message, details = {}) {
+    super(message, { code: 'INVALID_ANSWER', ...details });
+  }
+}
+
+/**
+ * Signing in to a remote server, or refreshing its tokens, failed
+ */
+export class OAuthError extends McpHelperError {
+  constructor(message, details = {}) {
+    super(message, { code: 'OAUTH_FAILED', ...details });
+  }
+}
+
+const ERRORS_BY_CODE = {
+  SERVER_NOT_FOUND: ServerNotFoundError,
+  SERVER_EXISTS: ServerExistsError,
+  INVALID_ARGUMENT: InvalidArgumentError,
+  ANSWER_REQUIRED: AnswerRequiredError,
+  INVALID_ANSWER: InvalidAnswerError,
+  OAUTH_FAILED: OAuthError
+};
+
+/**
+ * The error a failed result document (see output.js) reports, as a typed error
+ */
+export function errorFromDocument(document) {
+  const { message, code, ...details } = document.error
+    || { message: document.messages.filter(entry => entry.level === 'error').map(entry => entry.text).join('\n') };
+  const ErrorClass = ERRORS_BY_CODE[code] || McpHelperError;
+  const error = new ErrorClass(message || `${document.command} failed`, { ...details, ...(code ? { code } : {}) });
+  error.document = document;
+  return error;
+}
+
+export default McpHelperError;
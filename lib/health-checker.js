@@ -0,0 +1,456 @@
+/**
+ * Health Checker for MCP Helper
+ * Starts configured MCP servers and runs the MCP initialize handshake
+ * over stdio, Streamable HTTP or legacy SSE to verify they actually work
+ */
+
+import { spawn } from 'child_process';
+import { SecretStore, findSecretRefs, replaceSecretRefs, unwrapLauncher } from './secret-store.js';
+
+const PROTOCOL_VERSION = '2025-03-26';
+const CLIENT_INFO = { name: 'mcp-helper-doctor', version: '1.0.0' };
+
+export class HealthChecker {
+  constructor(configManager, options = {}) {
+    this.configManager = configManager;
+    this.timeout = options.timeout || 15000;
+    this.secretStore = configManager?.secrets || new SecretStore();
+  }
+
+  /**
+   * Probe a single server configuration
+   * Pass the getResolutionEnv() result as env when probing several servers
+   */
+  async checkServer(serverId, serverConfig, env = null) {
+    const resolutionEnv = env || await this.getResolutionEnv();
+    const transport = this.detectTransport(serverConfig);
+    const result = {
+      id: serverId,
+      transport,
+      healthy: false,
+      latencyMs: null,
+      protocolVersion: null,
+      serverInfo: null,
+      tools: [],
+      error: null,
+      stderr: ''
+    };
+
+    // Entries wrapped in `mcp-helper launch` are probed directly, with their secrets resolved here
+    let launchConfig = unwrapLauncher(serverConfig);
+    if (findSecretRefs(launchConfig).length > 0) {
+      try {
+        const { values, missing } = await this.secretStore.resolveRefs(launchConfig);
+        if (missing.length > 0) {
+          result.error = `Missing secret(s): ${missing.join(', ')} (set with: mcp-helper secrets set <NAME>)`;
+          return result;
+        }
+        launchConfig = replaceSecretRefs(launchConfig, values);
+      } catch (error) {
+        result.error = error.message;
+        return result;
+      }
+    }
+
+    // Unresolved ${VAR} placeholders are the most common "configured but broken" cause
+    const unresolved = this.findUnresolvedVars(launchConfig, resolutionEnv);
+    if (unresolved.length > 0) {
+      result.error = `Unresolved environment variable(s): ${unresolved.join(', ')}`;
+      return result;
+    }
+
+    const resolved = this.resolvePlaceholders(launchConfig, resolutionEnv);
+
+    try {
+      let probe;
+      if (transport === 'stdio') {
+        probe = await this.probeStdio(resolved, result);
+      } else if (transport === 'sse') {
+        probe = await this.probeSse(this.getUrl(resolved), resolved.headers || {});
+      } else {
+        probe = await this.probeHttp(this.getUrl(resolved), resolved.headers || {});
+      }
+
+      Object.assign(result, probe, { healthy: true });
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Determine which transport a server entry uses
+   */
+  detectTransport(serverConfig) {
+    if (serverConfig.type === 'http' || serverConfig.type === 'sse') {
+      return serverConfig.type;
+    }
+
+    if (serverConfig.url) {
+      return serverConfig.transport === 'sse' ? 'sse' : 'http';
+    }
+
+    // Older mcp-helper versions stored the URL in `command`
+    if (serverConfig.transport === 'http' && serverConfig.command?.startsWith('http')) {
+      return 'http';
+    }
+
+    return 'stdio';
+  }
+
+  /**
+   * Get the endpoint URL of a remote server entry
+   */
+  getUrl(serverConfig) {
+    return serverConfig.url || serverConfig.command;
+  }
+
+  /**
+   * Build the environment used to resolve ${VAR} placeholders
+   */
+  async getResolutionEnv() {
+    const projectEnv = this.configManager ? await this.configManager.readProjectEnv() : {};
+    return { ...projectEnv, ...process.env };
+  }
+
+  /**
+   * Find ${VAR} placeholders that have no value in the given environment
+   */
+  findUnresolvedVars(serverConfig, env) {
+    const { metadata, ...launchConfig } = serverConfig;
+    const matches = JSON.stringify(launchConfig).match(/\$\{([^}]+)\}/g) || [];
+    const names = matches.map(match => match.slice(2, -1));
+
+    return [...new Set(names)].filter(name => env[name] === undefined || env[name] === '');
+  }
+
+  /**
+   * Replace ${VAR} placeholders in command, args, env, url and headers
+   */
+  resolvePlaceholders(serverConfig, env) {
+    const replace = value => typeof value === 'string'
+      ? value.replace(/\$\{([^}]+)\}/g, (match, name) => env[name] ?? match)
+      : value;
+    const replaceObject = obj => Object.fromEntries(
+      Object.entries(obj || {}).map(([key, value]) => [key, replace(value)])
+    );
+
+    return {
+      ...serverConfig,
+      command: replace(serverConfig.command),
+      args: (serverConfig.args || []).map(replace),
+      env: replaceObject(serverConfig.env),
+      url: replace(serverConfig.url),
+      headers: replaceObject(serverConfig.headers)
+    };
+  }
+
+  /**
+   * Build a JSON-RPC request for the handshake
+   */
+  buildRequest(id, method, params = {}) {
+    return { jsonrpc: '2.0', id, method, params };
+  }
+
+  /**
+   * Build the initialize request
+   */
+  buildInitialize() {
+    return this.buildRequest(1, 'initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO
+    });
+  }
+
+  /**
+   * Turn the initialize/tools responses into a probe result
+   */
+  summarize(initResponse, toolsResponse, latencyMs) {
+    if (initResponse.error) {
+      throw new Error(`initialize failed: ${initResponse.error.message || JSON.stringify(initResponse.error)}`);
+    }
+
+    const tools = toolsResponse?.result?.tools || [];
+
+    return {
+      latencyMs,
+      protocolVersion: initResponse.result?.protocolVersion || null,
+      serverInfo: initResponse.result?.serverInfo || null,
+      tools: tools.map(tool => tool.name),
+      error: toolsResponse?.error ? `tools/list failed: ${toolsResponse.error.message}` : null
+    };
+  }
+
+  /**
+   * Probe a stdio server by spawning it and speaking newline-delimited JSON-RPC
+   */
+  probeStdio(serverConfig, result) {
+    return new Promise((resolve, reject) => {
+      const started = Date.now();
+      const pending = new Map();
+      let buffer = '';
+      let settled = false;
+
+      const child = spawn(serverConfig.command, serverConfig.args || [], {
+        env: { ...process.env, ...serverConfig.env },
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      const finish = (error, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        child.stdin.destroy();
+        child.kill('SIGTERM');
+        // Some servers ignore SIGTERM while blocked on stdin
+        setTimeout(() => child.exitCode === null && child.kill('SIGKILL'), 1000).unref();
+        if (error) reject(error);
+        else resolve(value);
+      };
+
+      const request = (message) => new Promise((res) => {
+        pending.set(message.id, res);
+        child.stdin.write(JSON.stringify(message) + '\n');
+      });
+
+      const timer = setTimeout(() => {
+        finish(new Error(`Timed out after ${this.timeout}ms waiting for the initialize handshake`));
+      }, this.timeout);
+
+      child.on('error', (error) => finish(new Error(`Failed to start: ${error.message}`)));
+
+      child.on('close', (code, signal) => {
+        const tail = result.stderr.trim().split('\n').slice(-3).join(' | ');
+        finish(new Error(`Process exited (${signal || `code ${code}`}) before completing handshake${tail ? `: ${tail}` : ''}`));
+      });
+
+      child.stderr.on('data', (data) => {
+        result.stderr = (result.stderr + data.toString()).slice(-4000);
+      });
+
+      child.stdout.on('data', (data) => {
+        buffer += data.toString();
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (!line) continue;
+
+          try {
+            const message = JSON.parse(line);
+            if (message.id !== undefined && pending.has(message.id)) {
+              pending.get(message.id)(message);
+              pending.delete(message.id);
+            }
+          } catch {
+            // Servers sometimes log to stdout; ignore non-JSON lines
+          }
+        }
+      });
+
+      // stdin errors (EPIPE) surface through the exit handler
+      child.stdin.on('error', () => {});
+
+      (async () => {
+        const initResponse = await request(this.buildInitialize());
+        const latencyMs = Date.now() - started;
+        child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }) + '\n');
+        const toolsResponse = await request(this.buildRequest(2, 'tools/list'));
+        finish(null, this.summarize(initResponse, toolsResponse, latencyMs));
+      })().catch(error => finish(error));
+    });
+  }
+
+  /**
+   * Probe a Streamable HTTP server
+   */
+  async probeHttp(url, headers = {}) {
+    const started = Date.now();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    let sessionId = null;
+
+    const post = async (message) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+          ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+          ...headers
+        },
+        body: JSON.stringify(message),
+        signal: controller.signal
+      });
+
+      if (!response.ok && response.status !== 202) {
+        throw new Error(`HTTP ${response.status} ${response.statusText} from ${url}`);
+      }
+
+      sessionId = response.headers.get('mcp-session-id') || sessionId;
+
+      if (message.id === undefined) {
+        await response.body?.cancel();
+        return null;
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType.includes('text/event-stream')) {
+        return await this.readSseResponse(response, message.id);
+      }
+      return await response.json();
+    };
+
+    try {
+      const initResponse = await post(this.buildInitialize());
+      const latencyMs = Date.now() - started;
+      await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+      const toolsResponse = await post(this.buildRequest(2, 'tools/list'));
+      return this.summarize(initResponse, toolsResponse, latencyMs);
+    } catch (error) {
+      throw this.wrapFetchError(error, url);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Probe a legacy HTTP+SSE server (GET stream + POST endpoint)
+   */
+  async probeSse(url, headers = {}) {
+    const started = Date.now();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const stream = await fetch(url, {
+        headers: { Accept: 'text/event-stream', ...headers },
+        signal: controller.signal
+      });
+
+      if (!stream.ok) {
+        throw new Error(`HTTP ${stream.status} ${stream.statusText} from ${url}`);
+      }
+
+      const events = this.parseSseStream(stream.body);
+      const endpointEvent = await this.nextEvent(events, event => event.event === 'endpoint');
+      const endpoint = new URL(endpointEvent.data.trim(), url).toString();
+
+      const post = async (message) => {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: JSON.stringify(message),
+          signal: controller.signal
+        });
+        await response.body?.cancel();
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} posting to ${endpoint}`);
+        }
+        if (message.id === undefined) return null;
+
+        const reply = await this.nextEvent(events, event => {
+          try {
+            return JSON.parse(event.data).id === message.id;
+          } catch {
+            return false;
+          }
+        });
+        return JSON.parse(reply.data);
+      };
+
+      const initResponse = await post(this.buildInitialize());
+      const latencyMs = Date.now() - started;
+      await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+      const toolsResponse = await post(this.buildRequest(2, 'tools/list'));
+      return this.summarize(initResponse, toolsResponse, latencyMs);
+    } catch (error) {
+      throw this.wrapFetchError(error, url);
+    } finally {
+      clearTimeout(timer);
+      controller.abort();
+    }
+  }
+
+  /**
+   * Read an SSE response body until the JSON-RPC reply with the given id
+   */
+  async readSseResponse(response, id) {
+    const events = this.parseSseStream(response.body);
+    const event = await this.nextEvent(events, candidate => {
+      try {
+        return JSON.parse(candidate.data).id === id;
+      } catch {
+        return false;
+      }
+    });
+    await events.return();
+    return JSON.parse(event.data);
+  }
+
+  /**
+   * Pull events from an SSE iterator until one matches
+   */
+  async nextEvent(events, predicate) {
+    for (;;) {
+      const { value, done } = await events.next();
+      if (done) {
+        throw new Error('Event stream closed before the server responded');
+      }
+      if (predicate(value)) {
+        return value;
+      }
+    }
+  }
+
+  /**
+   * Parse a web ReadableStream of text/event-stream into { event, data } objects
+   */
+  async *parseSseStream(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+
+          const event = { event: 'message', data: '' };
+          const data = [];
+          for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) event.event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+          }
+          event.data = data.join('\n');
+          if (data.length > 0) yield event;
+        }
+      }
+    } finally {
+      await reader.cancel().catch(() => {});
+    }
+  }
+
+  /**
+   * Make fetch failures readable
+   */
+  wrapFetchError(error, url) {
+    if (error.name === 'AbortError') {
+      return new Error(`Timed out after ${this.timeout}ms waiting for ${url}`);
+    }
+    if (error.cause?.code) {
+      return new Error(`${error.cause.code} connecting to ${url}`);
+    }
+    return error;
+  }
+}
+
+export default HealthChecker;
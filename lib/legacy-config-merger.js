@@ -7,14 +7,26 @@ import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
 import { diffLines } from 'diff';
+import { isDeepStrictEqual } from 'util';
+import { Prompter } from './prompter.js';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { ConfigManager } from './config-manager.js';
+import { isSensitiveEnvVar } from './secret-store.js';
+import { hashServerConfig, PROVENANCE_SOURCE } from './drift-detector.js';
 
 export class LegacyConfigMerger {
-  constructor(configManager) {
-    this.configManager = configManager;
+  constructor(configManager, serverCardsManager = null) {
+    this.configManager = configManager || new ConfigManager();
+    // Needed for updatePackages, which applies the renames cards declare in `migrations`
+    this.serverCardsManager = serverCardsManager;
     this.claudeJsonPath = path.join(os.homedir(), '.claude.json');
     this.backupDir = path.join(os.homedir(), '.mcp-helper', 'backups');
     this.existingConfig = null;
     this.conflicts = [];
+    // The card's variables, by the names the entry uses; their `sensitive` flag decides what is hidden
+    this.envSchema = new Map();
+    this.prompter = new Prompter();
   }
 
   /**
@@ -199,14 +211,14 @@ export class LegacyConfigMerger {
 
   /**
    * Merge new server configuration with existing
+   * options.scope picks the config layer (default 'global'); options.resolve(conflict)
+   * answers 'interactive' conflicts instead of prompting; options.envSchema lists the card's
+   * variables ({ name, sensitive }), so values it marks sensitive are never shown
    */
-  async mergeServerConfig(serverName, newConfig, strategy = 'preserve') {
-    if (!this.existingConfig) {
-      // No existing config, just use the new one
-      return newConfig;
-    }
-    
-    const existing = this.existingConfig.mcpServers?.[serverName];
+  async mergeServerConfig(serverName, newConfig, strategy = 'preserve', options = {}) {
+    const scope = options.scope || 'global';
+    const existing = await this.getExistingServer(serverName, scope);
+    this.envSchema = new Map((options.envSchema || []).map(envVar => [envVar.name, envVar]));
     
     if (!existing) {
       // Server doesn't exist, add it
@@ -227,16 +239,205 @@ export class LegacyConfigMerger {
         // Merge configs, preferring new values for conflicts
         return this.deepMerge(existing, newConfig);
         
-      case 'interactive':
-        // Would prompt user for each conflict
-        // For now, fallback to merge
-        return this.deepMerge(existing, newConfig);
+      case 'interactive': {
+        // Three-way merge against the entry mcp-helper last wrote; the user settles real conflicts
+        const base = await this.configManager.getWrittenServer(serverName, scope);
+        const { merged, conflicts } = this.threeWayMerge(base, existing, newConfig);
+        const resolve = options.resolve || (conflict => this.promptConflict(serverName, conflict));
+
+        for (const conflict of conflicts) {
+          conflict.resolution = await resolve(conflict);
+          this.setField(merged, conflict.path, conflict.resolution);
+        }
+        this.conflicts = conflicts;
+        return merged;
+      }
         
       default:
         return existing;
     }
   }
 
+  /**
+   * Current entry for a server in a scope
+   */
+  async getExistingServer(serverName, scope) {
+    if (scope === 'global' && this.existingConfig) {
+      return this.existingConfig.mcpServers?.[serverName];
+    }
+    const config = await this.configManager.readScopeConfig(scope);
+    return config.mcpServers?.[serverName];
+  }
+
+  /**
+   * Three-way merge of one server entry, field by field (command, args, each env key, ...)
+   * A field changed on only one side since the base takes that side; a field changed
+   * differently on both sides is a conflict. Without a base, any difference conflicts.
+   * Returns { merged, conflicts: [{ path, field, base, existing, generated }] }
+   */
+  threeWayMerge(base, existing, generated) {
+    const merged = structuredClone(existing);
+    const conflicts = [];
+
+    for (const fieldPath of this.getMergeFields(base, existing, generated)) {
+      const ours = this.getField(existing, fieldPath);
+      const theirs = this.getField(generated, fieldPath);
+      const original = base ? this.getField(base, fieldPath) : undefined;
+
+      if (isDeepStrictEqual(ours, theirs)) continue;
+
+      if (base && isDeepStrictEqual(ours, original)) {
+        // Only the card changed this field
+        this.setField(merged, fieldPath, theirs);
+      } else if (base && isDeepStrictEqual(theirs, original)) {
+        // Only edited by hand; keep it
+      } else {
+        conflicts.push({ path: fieldPath, field: fieldPath.join('.'), base: original, existing: ours, generated: theirs });
+      }
+    }
+
+    // Provenance always follows the newly generated entry
+    if (generated.metadata) {
+      merged.metadata = structuredClone(generated.metadata);
+    }
+
+    return { merged, conflicts };
+  }
+
+  /**
+   * Field paths to compare: every top-level key, with env split into one field per variable
+   */
+  getMergeFields(...configs) {
+    const fields = new Map();
+    for (const config of configs.filter(Boolean)) {
+      for (const [key, value] of Object.entries(config)) {
+        if (key === 'metadata') continue;
+        if (key === 'env' && value && typeof value === 'object') {
+          Object.keys(value).forEach(name => fields.set(`env.${name}`, ['env', name]));
+        } else {
+          fields.set(key, [key]);
+        }
+      }
+    }
+    return [...fields.values()];
+  }
+
+  getField(config, fieldPath) {
+    return fieldPath.reduce((value, key) => value?.[key], config);
+  }
+
+  setField(config, fieldPath, value) {
+    const [key, name] = fieldPath;
+    if (!name) {
+      if (value === undefined) delete config[key];
+      else config[key] = structuredClone(value);
+      return;
+    }
+
+    if (value === undefined) {
+      if (config[key]) {
+        delete config[key][name];
+        if (Object.keys(config[key]).length === 0) delete config[key];
+      }
+      return;
+    }
+    config[key] = { ...config[key], [name]: structuredClone(value) };
+  }
+
+  /**
+   * Show one conflicting field side by side and ask which value to keep
+   * Answered with the key conflict.<field> (existing or generated); without a
+   * terminal the current (possibly hand-tuned) value is kept
+   */
+  async promptConflict(serverName, conflict) {
+    if (this.prompter.interactive) {
+      const table = new Table({
+        head: [chalk.cyan('Field'), chalk.cyan('Current (yours)'), chalk.cyan('From card')],
+        wordWrap: true,
+        colWidths: [18, 40, 40]
+      });
+      table.push([conflict.field, this.formatValue(conflict, conflict.existing), this.formatValue(conflict, conflict.generated)]);
+
+      console.log();
+      console.log(chalk.yellow(`⚠ ${serverName}: ${conflict.field} differs from the card`));
+      console.log(table.toString());
+      if (conflict.base !== undefined) {
+        console.log(chalk.gray(`  Last written by mcp-helper: ${this.formatValue(conflict, conflict.base)}`));
+      }
+    }
+
+    const { choice } = await this.prompter.prompt([{
+      type: 'list',
+      name: 'choice',
+      key: `conflict.${conflict.field}`,
+      message: `Which ${conflict.field} should be kept?`,
+      choices: [
+        { name: 'Keep current', value: 'existing' },
+        { name: 'Use the card\'s', value: 'generated' },
+        ...(this.prompter.interactive ? [{ name: 'Edit the value', value: 'edit' }] : [])
+      ],
+      default: 'existing'
+    }]);
+
+    if (choice !== 'edit') {
+      return conflict[choice];
+    }
+    return this.promptValue(conflict);
+  }
+
+  async promptValue(conflict) {
+    const sample = conflict.existing !== undefined ? conflict.existing : conflict.generated;
+    const structured = sample !== null && typeof sample === 'object';
+    const secret = this.isSecretField(conflict);
+
+    const { value } = await this.prompter.prompt([{
+      type: secret ? 'password' : 'input',
+      name: 'value',
+      mask: '*',
+      message: structured ? `${conflict.field} (JSON, empty to remove):` : `${conflict.field} (empty to remove):`,
+      default: secret ? undefined : (structured ? JSON.stringify(sample) : sample),
+      validate: input => {
+        if (!structured || input === '') return true;
+        try {
+          JSON.parse(input);
+          return true;
+        } catch (error) {
+          return `Invalid JSON: ${error.message}`;
+        }
+      }
+    }]);
+
+    if (value === '') return undefined;
+    return structured ? JSON.parse(value) : value;
+  }
+
+  isSecretField(conflict) {
+    return conflict.path[0] === 'env' && this.isSecretName(conflict.path[1]);
+  }
+
+  isSecretName(name) {
+    return isSensitiveEnvVar(name, this.envSchema.get(name));
+  }
+
+  /**
+   * Render a value for display, hiding literal credentials
+   */
+  formatValue(conflict, value) {
+    if (value === undefined) return chalk.gray('(not set)');
+    const isLiteral = item => typeof item === 'string' && !/^\$\{[^}]+\}$/.test(item);
+
+    if (this.isSecretField(conflict) && isLiteral(value)) {
+      return '********';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => {
+        const match = typeof item === 'string' && item.match(/^([\w.-]+)=(.*)$/);
+        return match && this.isSecretName(match[1]) && isLiteral(match[2]) ? `${match[1]}=********` : item;
+      }).join(' ');
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
   /**
    * Deep merge two objects
    */
@@ -267,13 +468,17 @@ export class LegacyConfigMerger {
       };
     }
     
-    // Check if existing config is likely custom
-    const hasMetadata = existing.metadata?.source === 'mcp-helper';
-    
-    if (hasMetadata) {
+    // Entries mcp-helper wrote are safe to regenerate until someone edits them
+    if (existing.metadata?.source === PROVENANCE_SOURCE && existing.metadata.configHash) {
+      if (hashServerConfig(existing) === existing.metadata.configHash) {
+        return {
+          strategy: 'overwrite',
+          reason: 'Server was configured by mcp-helper and not edited since'
+        };
+      }
       return {
-        strategy: 'overwrite',
-        reason: 'Server was previously configured by mcp-helper'
+        strategy: 'interactive',
+        reason: 'Server was configured by mcp-helper but has been edited by hand'
       };
     }
     
@@ -398,10 +603,12 @@ export class LegacyConfigMerger {
           changes.push(`Added metadata to ${name}`);
         }
         
-        // Update outdated packages
-        if (updatePackages && config.command === 'npx') {
-          if (config.args?.[0]?.includes('github-mcp')) {
-            config.args[0] = '@github/mcp-server-github';
+        // Update packages and images renamed since (declared in the card's migrations)
+        const card = updatePackages && this.serverCardsManager?.findCardForServer(name, config);
+        if (card) {
+          const { config: renamed, applied } = this.serverCardsManager.applyMigrations(card, config);
+          if (applied.length > 0) {
+            config.args = renamed.args;
             changes.push(`Updated package name for ${name}`);
           }
         }
@@ -417,8 +624,14 @@ export class LegacyConfigMerger {
       };
     }
     
-    // Apply the migration
-    await fs.writeJson(this.claudeJsonPath, migrated, { spaces: 2 });
+    // Apply the migration (locked + atomic, merged if Claude Code wrote meanwhile)
+    const written = await this.configManager.writeGlobalConfig(migrated, { base: this.existingConfig });
+    if (!written) {
+      return {
+        success: false,
+        message: 'Failed to write migrated configuration'
+      };
+    }
     
     return {
       success: true,
@@ -443,8 +656,7 @@ export class LegacyConfigMerger {
       };
     }
     
-    const backup = await fs.readJson(backupPath);
-    await fs.writeJson(this.claudeJsonPath, backup, { spaces: 2 });
+    await this.configManager.restoreFromBackup(backupPath, this.claudeJsonPath);
     
     return {
       success: true,
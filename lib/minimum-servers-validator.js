@@ -7,6 +7,7 @@ import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { HealthChecker } from './health-checker.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -149,7 +150,7 @@ export class MinimumServersValidator {
   }
 
   /**
-   * Get detailed validation report for display
+   * Get detailed validation report, as plain data (doctor --json includes it as `foundation`)
    */
   async getValidationReport() {
     const validation = await this.validate();
@@ -165,7 +166,7 @@ export class MinimumServersValidator {
           required: minimum.required.map(s => ({
             ...s,
             configured: validation.configured.includes(s.id) ||
-                       (s.alternatives && s.alternatives.some(alt => validation.configured.includes(alt)))
+                       !!s.alternatives?.some(alt => validation.configured.includes(alt))
           })),
           missing: validation.missing
         },
@@ -173,7 +174,7 @@ export class MinimumServersValidator {
           servers: minimum.recommended.map(s => ({
             ...s,
             configured: validation.configured.includes(s.id) ||
-                       (s.alternatives && s.alternatives.some(alt => validation.configured.includes(alt)))
+                       !!s.alternatives?.some(alt => validation.configured.includes(alt))
           })),
           missing: validation.warnings
             .filter(w => w.type === 'recommended')
@@ -190,8 +191,9 @@ export class MinimumServersValidator {
 
   /**
    * Check health of foundation servers
+   * With { probe: true } each server is also started and handshaken via HealthChecker
    */
-  async checkFoundationServersHealth() {
+  async checkFoundationServersHealth(options = {}) {
     const validation = await this.validate();
     if (!validation.isValid) {
       return {
@@ -213,8 +215,8 @@ export class MinimumServersValidator {
       // Check if server has required environment variables
       const serverCard = this.serverCardsManager.getCard(server.id);
       if (serverCard) {
-        const projectEnv = await this.configManager.readProjectEnv();
-        const envValidation = this.serverCardsManager.validateEnvVars(serverCard, projectEnv);
+        const serverEnv = await this.configManager.readServerEnv(server.config);
+        const envValidation = this.serverCardsManager.validateEnvVars(serverCard, serverEnv);
         
         healthChecks.push({
           serverId: server.id,
@@ -224,6 +226,21 @@ export class MinimumServersValidator {
         });
       }
     }
+
+    if (options.probe) {
+      const checker = new HealthChecker(this.configManager, { timeout: options.timeout });
+      for (const check of healthChecks) {
+        if (!check.healthy) continue;
+
+        const server = configured.find(s => s.id === check.serverId);
+        const probe = await checker.checkServer(server.id, server.config);
+        check.healthy = probe.healthy;
+        check.probe = probe;
+        check.message = probe.healthy
+          ? `Responding (${probe.latencyMs}ms, ${probe.tools.length} tools)`
+          : `Not responding: ${probe.error}`;
+      }
+    }
     
     const allHealthy = healthChecks.every(check => check.healthy);
     
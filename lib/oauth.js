@@ -0,0 +1,217 @@
+/**
+ * OAuth for MCP Helper
+ * Signs in to hosted MCP servers whose card declares `oauth`, with the authorization-code
+ * flow and PKCE: the user approves in the browser, the provider redirects to a one-off
+ * listener on 127.0.0.1, and the code is exchanged for tokens.
+ *
+ * The tokens are kept in the secret store as one JSON secret per server (<ID>_OAUTH_TOKEN),
+ * which the entry's headersHelper sends as `Authorization: Bearer ${secret:<ID>_OAUTH_TOKEN}`.
+ * Resolving that reference (SecretStore.resolveRefs) gives the access token, refreshed
+ * first when it has expired.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { OAuthError } from './errors.js';
+
+const CALLBACK_PATH = '/callback';
+const CALLBACK_TIMEOUT = 5 * 60 * 1000;
+const TOKEN_TIMEOUT = 15000;
+
+// Refresh a little early, so a token doesn't lapse between resolving it and using it
+const EXPIRY_MARGIN = 60 * 1000;
+
+/**
+ * Secret the tokens of a server are stored under: acme-staging → ACME_STAGING_OAUTH_TOKEN
+ */
+export function oauthSecretName(serverId) {
+  return `${serverId.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_OAUTH_TOKEN`;
+}
+
+/**
+ * The token set a secret holds, or null for any other secret
+ */
+export function parseTokenSet(secret) {
+  try {
+    const value = JSON.parse(secret);
+    return value?.type === 'oauth' && typeof value.accessToken === 'string' ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function isTokenExpired(tokenSet, now = Date.now()) {
+  return !!tokenSet.expiresAt && now >= tokenSet.expiresAt - EXPIRY_MARGIN;
+}
+
+/**
+ * PKCE verifier and its S256 challenge
+ */
+export function createPkcePair() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+/**
+ * Open a URL in the default browser; failing quietly, since the URL is printed as well
+ */
+export function openBrowser(url) {
+  const [command, ...args] = process.platform === 'darwin' ? ['open', url]
+    : process.platform === 'win32' ? ['cmd', '/c', 'start', '""', url] : ['xdg-open', url];
+  try {
+    spawn(command, args, { stdio: 'ignore', detached: true }).on('error', () => {}).unref();
+  } catch (error) {
+    // Nothing to open it with
+  }
+}
+
+export class OAuthClient {
+  constructor(options = {}) {
+    this.timeout = options.timeout || CALLBACK_TIMEOUT;
+  }
+
+  /**
+   * Run the authorization-code flow for a card's `oauth` settings and return the token set
+   * options.onAuthorizationUrl(url) is called once the callback listener is up, to send the
+   * user there; options.resource is the server URL the tokens are for (RFC 8707)
+   */
+  async authorize(oauth, options = {}) {
+    const { verifier, challenge } = createPkcePair();
+    const state = crypto.randomBytes(16).toString('base64url');
+    const callback = await this.listen(oauth.redirectPort || 0, state);
+
+    try {
+      const url = new URL(oauth.authorizationUrl);
+      const params = {
+        response_type: 'code',
+        client_id: oauth.clientId,
+        redirect_uri: callback.redirectUri,
+        code_challenge: challenge,
+        code_challenge_method: 'S256',
+        state,
+        ...(oauth.scopes?.length ? { scope: oauth.scopes.join(' ') } : {}),
+        ...(options.resource ? { resource: options.resource } : {})
+      };
+      Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+
+      await options.onAuthorizationUrl?.(url.toString());
+      const code = await callback.code;
+
+      return await this.requestTokens(oauth, {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: callback.redirectUri,
+        code_verifier: verifier,
+        ...(options.resource ? { resource: options.resource } : {})
+      });
+    } finally {
+      callback.close();
+    }
+  }
+
+  /**
+   * New tokens for an expired token set; the refresh token is kept unless the provider rotates it
+   */
+  async refresh(tokenSet) {
+    if (!tokenSet.refreshToken) {
+      throw new OAuthError('The access token has expired and there is no refresh token; sign in again with /mcp-helper auth <server>');
+    }
+    return await this.requestTokens(tokenSet, {
+      grant_type: 'refresh_token',
+      refresh_token: tokenSet.refreshToken,
+      ...(tokenSet.resource ? { resource: tokenSet.resource } : {})
+    });
+  }
+
+  /**
+   * Listen on 127.0.0.1 for the provider's redirect
+   * Returns { redirectUri, code, close }, where code settles with the authorization code
+   * (or the provider's error, or a timeout). Requests without this sign-in's state get a 400
+   * and are otherwise ignored, so a stale tab or a stray request can't end the wait
+   */
+  async listen(port, state) {
+    let settle;
+    const code = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+    // Nobody may be waiting on it yet when it fails
+    code.catch(() => {});
+
+    const server = http.createServer((request, response) => {
+      const url = new URL(request.url, 'http://127.0.0.1');
+      if (url.pathname !== CALLBACK_PATH) {
+        response.writeHead(404).end();
+        return;
+      }
+
+      const error = url.searchParams.get('error');
+      const finish = (status, message) => {
+        response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+        response.end(`<!doctype html><title>mcp-helper</title><p>${message}</p>`);
+      };
+
+      if (url.searchParams.get('state') !== state) {
+        finish(400, 'This sign-in link has expired. Start again from the terminal.');
+      } else if (error) {
+        finish(400, 'Sign-in was not completed. You can close this tab.');
+        settle.reject(new OAuthError(`Authorization failed: ${url.searchParams.get('error_description') || error}`));
+      } else {
+        finish(200, 'Signed in. You can close this tab and return to the terminal.');
+        settle.resolve(url.searchParams.get('code'));
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', resolve);
+    });
+
+    const timer = setTimeout(() => settle.reject(new OAuthError(`No authorization response within ${Math.round(this.timeout / 1000)}s`)), this.timeout);
+    return {
+      redirectUri: `http://127.0.0.1:${server.address().port}${CALLBACK_PATH}`,
+      code,
+      close: () => {
+        clearTimeout(timer);
+        server.close();
+        server.closeAllConnections();
+      }
+    };
+  }
+
+  /**
+   * POST to the token endpoint and turn the response into a token set
+   * The set keeps what a refresh needs (token URL, client ID), so it stands on its own
+   */
+  async requestTokens(oauth, params) {
+    let response;
+    try {
+      response = await fetch(oauth.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: new URLSearchParams({ client_id: oauth.clientId, ...params }),
+        signal: AbortSignal.timeout(TOKEN_TIMEOUT)
+      });
+    } catch (error) {
+      throw new OAuthError(`Token request to ${oauth.tokenUrl} failed: ${error.message}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body.access_token) {
+      throw new OAuthError(`Token request to ${oauth.tokenUrl} failed: ${body.error_description || body.error || `HTTP ${response.status}`}`);
+    }
+
+    return {
+      type: 'oauth',
+      accessToken: body.access_token,
+      refreshToken: body.refresh_token || params.refresh_token || null,
+      expiresAt: body.expires_in ? Date.now() + body.expires_in * 1000 : null,
+      tokenUrl: oauth.tokenUrl,
+      clientId: oauth.clientId,
+      resource: params.resource || null
+    };
+  }
+}
+
+export default OAuthClient;
@@ -3,7 +3,6 @@
  * Provides a guided experience for setting up mcp-helper and MCP servers
  */
 
-import inquirer from 'inquirer';
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
@@ -14,6 +13,9 @@ import { ResponseFormatter } from './response-formatter.js';
 import { ConfigManager } from './config-manager.js';
 import { ServerCardsManager } from './server-cards.js';
 import { LegacyConfigMerger } from './legacy-config-merger.js';
+import { isSensitiveEnvVar } from './secret-store.js';
+import { EnvFile } from './env-file.js';
+import { Prompter } from './prompter.js';
 
 export class OnboardingWizard {
   constructor() {
@@ -22,7 +24,10 @@ export class OnboardingWizard {
     this.responseFormatter = new ResponseFormatter(this.personalityManager);
     this.configManager = new ConfigManager();
     this.serverCards = new ServerCardsManager();
-    this.legacyMerger = new LegacyConfigMerger();
+    this.legacyMerger = new LegacyConfigMerger(this.configManager, this.serverCards);
+    // Answer keys: proceed, useTemplate, template, personality.<key>, strategy,
+    // selection, servers, setupEnv and env.<NAME>
+    this.prompter = new Prompter();
     
     this.wizardState = {
       isFirstRun: false,
@@ -100,7 +105,7 @@ export class OnboardingWizard {
         { type: 'info' }
       ));
       
-      const { proceed } = await inquirer.prompt([{
+      const { proceed } = await this.prompter.prompt([{
         type: 'confirm',
         name: 'proceed',
         message: 'Would you like to go through the setup wizard?',
@@ -121,7 +126,7 @@ export class OnboardingWizard {
     console.log(chalk.bold('\n📝 Let\'s personalize your experience:\n'));
     
     // First, ask if they want to use a template or customize
-    const { useTemplate } = await inquirer.prompt([{
+    const { useTemplate } = await this.prompter.prompt([{
       type: 'confirm',
       name: 'useTemplate',
       message: 'Would you like to select from pre-configured personality templates?',
@@ -147,9 +152,10 @@ export class OnboardingWizard {
         short: 'Custom'
       });
       
-      const { templateId } = await inquirer.prompt([{
+      const { templateId } = await this.prompter.prompt([{
         type: 'list',
         name: 'templateId',
+        key: 'template',
         message: 'Select a personality template:',
         choices,
         default: 'balanced-friendly'
@@ -157,8 +163,7 @@ export class OnboardingWizard {
       
       if (templateId === 'custom') {
         // Fall through to manual configuration
-        const questions = await this.personalityManager.getOnboardingQuestions();
-        const answers = await inquirer.prompt(questions);
+        const answers = await this.askPersonalityQuestions();
         await this.personalityManager.updatePreferences(answers);
         this.wizardState.preferences = answers;
       } else {
@@ -172,8 +177,7 @@ export class OnboardingWizard {
       }
     } else {
       // Manual configuration
-      const questions = await this.personalityManager.getOnboardingQuestions();
-      const answers = await inquirer.prompt(questions);
+      const answers = await this.askPersonalityQuestions();
       await this.personalityManager.updatePreferences(answers);
       this.wizardState.preferences = answers;
     }
@@ -187,6 +191,20 @@ export class OnboardingWizard {
     ));
   }
 
+  /**
+   * Ask the personality questions one by one (see PersonalityManager.getOnboardingQuestions)
+   */
+  async askPersonalityQuestions() {
+    const questions = await this.personalityManager.getOnboardingQuestions();
+    return this.prompter.prompt(questions.map(question => ({
+      type: 'list',
+      name: question.key,
+      key: `personality.${question.key}`,
+      message: question.question,
+      choices: question.options.map(option => ({ name: option.label, value: option.value }))
+    })));
+  }
+
   /**
    * Check for existing MCP configurations
    */
@@ -217,7 +235,7 @@ export class OnboardingWizard {
     }
     
     // Ask how to proceed
-    const { strategy } = await inquirer.prompt([{
+    const { strategy } = await this.prompter.prompt([{
       type: 'list',
       name: 'strategy',
       message: 'How would you like to proceed with your existing configuration?',
@@ -234,10 +252,11 @@ export class OnboardingWizard {
           name: 'Backup & Replace - Save existing config and start fresh',
           value: 'replace'
         },
-        {
+        // Analyzing asks again afterwards, so it needs someone at the terminal
+        ...(this.prompter.interactive ? [{
           name: 'Analyze Only - Show me what would change',
           value: 'analyze'
-        }
+        }] : [])
       ]
     }]);
     
@@ -375,9 +394,10 @@ export class OnboardingWizard {
     }
     
     // Interactive selection
-    const { selectionMode } = await inquirer.prompt([{
+    const { selectionMode } = await this.prompter.prompt([{
       type: 'list',
       name: 'selectionMode',
+      key: 'selection',
       message: 'How would you like to proceed?',
       choices: [
         {
@@ -413,7 +433,7 @@ export class OnboardingWizard {
           checked: rec.priority === 'essential' || rec.priority === 'recommended'
         }));
         
-        const { servers } = await inquirer.prompt([{
+        const { servers } = await this.prompter.prompt([{
           type: 'checkbox',
           name: 'servers',
           message: 'Select servers to install:',
@@ -470,15 +490,17 @@ export class OnboardingWizard {
       console.log(`  • ${envVar}`);
     });
     
-    const { setupNow } = await inquirer.prompt([{
+    const { setupNow } = await this.prompter.prompt([{
       type: 'confirm',
       name: 'setupNow',
+      key: 'setupEnv',
       message: 'Would you like to set up these environment variables now?',
       default: true
     }]);
     
     if (setupNow) {
       const envValues = {};
+      const sensitiveKeys = [];
       
       for (const envVar of requiredEnvVars) {
         // Find which server needs this
@@ -488,10 +510,12 @@ export class OnboardingWizard {
         
         const schema = server?.envSchema[envVar] || {};
         
-        const { value } = await inquirer.prompt([{
+        const { value } = await this.prompter.prompt([{
           type: schema.sensitive ? 'password' : 'input',
           name: 'value',
+          key: `env.${envVar}`,
           message: `Enter value for ${envVar}:`,
+          default: this.prompter.interactive ? undefined : '',
           validate: (input) => {
             if (!input && schema.required) {
               return 'This value is required';
@@ -504,10 +528,13 @@ export class OnboardingWizard {
         }]);
         
         envValues[envVar] = value;
+        if (isSensitiveEnvVar(envVar, schema)) {
+          sensitiveKeys.push(envVar);
+        }
       }
       
       // Save environment variables
-      await this.saveEnvironmentVariables(envValues);
+      await this.saveEnvironmentVariables(envValues, sensitiveKeys);
       
       console.log(await this.responseFormatter.format(
         'Environment variables configured successfully!',
@@ -523,8 +550,9 @@ export class OnboardingWizard {
 
   /**
    * Save environment variables
+   * Credentials go to the secret store; only the remaining settings are written to .env
    */
-  async saveEnvironmentVariables(envValues) {
+  async saveEnvironmentVariables(envValues, sensitiveKeys = []) {
     const envPath = path.join(this.wizardState.projectPath, '.env');
     const envExamplePath = path.join(this.wizardState.projectPath, '.env.example');
     
@@ -537,16 +565,36 @@ export class OnboardingWizard {
     }
     
     await fs.writeFile(envExamplePath, exampleContent);
-    
-    // Create actual .env file
-    let envContent = '# MCP Server Environment Variables\n';
-    envContent += '# Generated by mcp-helper\n\n';
-    
+
+    const secrets = {};
+    const plain = {};
     for (const [key, value] of Object.entries(envValues)) {
-      envContent += `export ${key}="${value}"\n`;
+      if (sensitiveKeys.includes(key) || isSensitiveEnvVar(key)) {
+        secrets[key] = value;
+      } else {
+        plain[key] = value;
+      }
+    }
+
+    const stored = await this.configManager.secrets.setMany(secrets);
+    if (stored.length > 0) {
+      console.log(chalk.green(`✓ Stored ${stored.join(', ')} in the secret store (referenced as \${secret:NAME})`));
     }
     
-    await fs.writeFile(envPath, envContent, { mode: 0o600 }); // Secure permissions
+    // Create or update .env, keeping anything already in it
+    let envFile = await EnvFile.load(envPath);
+    if (!envFile.toString()) {
+      envFile = new EnvFile('# MCP Server Environment Variables\n# Generated by mcp-helper\n\n');
+    }
+    envFile.update(plain);
+    for (const key of stored) {
+      // Drop plaintext copies of anything now kept in the secret store
+      envFile.delete(key);
+    }
+    await envFile.save(envPath);
+    if (stored.length > 0) {
+      await this.configManager.redactEnvBackups(envPath, stored);
+    }
     
     // Add .env to .gitignore if it exists
     const gitignorePath = path.join(this.wizardState.projectPath, '.gitignore');
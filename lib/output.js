@@ -0,0 +1,149 @@
+/**
+ * Output documents for MCP Helper
+ * With --json or --format yaml, a command prints one versioned document instead of
+ * colored text, so other tools can read server state without scraping it:
+ *
+ *   kind: mcp-helper-result
+ *   version: 1
+ *   command: doctor
+ *   ok: true          # false when the command failed or exits non-zero
+ *   data: {...}       # the command's structured result, or null
+ *   messages:         # what it reported: success, info, hint, warning or error
+ *     - { level: success, text: All 2 server(s) healthy }
+ *   output: [...]     # plain-text lines of anything else it printed (only without data)
+ *   error: { message, code } # when it failed; code as in errors.js, when it has one
+ *
+ * Fields are only ever added within a version.
+ */
+
+import { format } from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import yaml from 'js-yaml';
+
+export const OUTPUT_KIND = 'mcp-helper-result';
+export const OUTPUT_VERSION = 1;
+export const OUTPUT_FORMATS = ['text', 'json', 'yaml'];
+
+// Set by BaseCommand while a command writes a document, so its prompts know nobody sees them
+export const OUTPUT_FORMAT_ENV = 'MCP_HELPER_OUTPUT';
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+// Capturing swaps out process-wide state (console, stdout, the environment, the exit code),
+// so in-process runs are queued rather than overlapping; a run inside one goes straight through
+const exclusiveRun = new AsyncLocalStorage();
+let queue = Promise.resolve();
+
+/**
+ * Run fn once every earlier exclusive run has finished, and return its result
+ */
+export function exclusively(fn) {
+  if (exclusiveRun.getStore()) {
+    return fn();
+  }
+  const result = queue.then(() => exclusiveRun.run(true, fn));
+  queue = result.catch(() => {});
+  return result;
+}
+
+export function stripAnsi(text) {
+  return String(text).replace(ANSI_PATTERN, '');
+}
+
+/**
+ * The structured format (json or yaml) asked for through the environment, or null
+ */
+export function structuredOutput(env = process.env) {
+  const format = env[OUTPUT_FORMAT_ENV];
+  return format && format !== 'text' && OUTPUT_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Build a result document
+ */
+export function createDocument(command, { ok = true, data = null, messages = [], output = [], error = null } = {}) {
+  const document = {
+    kind: OUTPUT_KIND,
+    version: OUTPUT_VERSION,
+    command,
+    ok,
+    data,
+    messages
+  };
+  if (output.length > 0) {
+    document.output = output;
+  }
+  if (error) {
+    document.error = {
+      message: stripAnsi(error.message),
+      ...(error.code ? { code: error.code } : {}),
+      ...(error.answerKeys ? { answerKeys: error.answerKeys } : {})
+    };
+  }
+  return document;
+}
+
+export function formatDocument(document, outputFormat) {
+  return outputFormat === 'yaml'
+    ? yaml.dump(document, { noRefs: true, lineWidth: -1 })
+    : `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Collects what a command reports while it runs, in place of printing it
+ */
+export class OutputCollector {
+  constructor(command) {
+    this.command = command;
+    this.data = null;
+    this.messages = [];
+    this.lines = [];
+  }
+
+  message(level, text) {
+    this.messages.push({ level, text: stripAnsi(text).trim() });
+  }
+
+  write(text) {
+    for (const line of stripAnsi(text).replace(/\r/g, '\n').split('\n')) {
+      if (line.trim()) {
+        this.lines.push(line.trimEnd());
+      }
+    }
+  }
+
+  /**
+   * Run fn with console output (and direct stdout writes) collected instead of printed
+   */
+  async capture(fn) {
+    const saved = { log: console.log, info: console.info, warn: console.warn, error: console.error, write: process.stdout.write };
+    const collect = (...args) => this.write(format(...args));
+    console.log = console.info = console.warn = console.error = collect;
+    process.stdout.write = (chunk, ...rest) => {
+      this.write(chunk.toString());
+      const callback = rest.find(arg => typeof arg === 'function');
+      if (callback) callback();
+      return true;
+    };
+
+    try {
+      return await fn();
+    } finally {
+      Object.assign(console, { log: saved.log, info: saved.info, warn: saved.warn, error: saved.error });
+      process.stdout.write = saved.write;
+    }
+  }
+
+  toDocument({ ok = true, error = null } = {}) {
+    return createDocument(this.command, {
+      ok: ok && !error && !this.messages.some(message => message.level === 'error'),
+      data: this.data,
+      messages: this.messages,
+      // Printed text is only a fallback for commands without structured data
+      output: this.data === null ? this.lines : [],
+      error
+    });
+  }
+}
+
+export default OutputCollector;
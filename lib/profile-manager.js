@@ -0,0 +1,260 @@
+/**
+ * Profile Manager for MCP Helper
+ * Exports the configured servers as a shareable profile (card IDs, scopes and
+ * env var names - never values) and replays a profile through the server cards
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import { isSensitiveEnvVar, findSecretRefs } from './secret-store.js';
+import { instanceEnvName } from './server-cards.js';
+
+export const PROFILE_KIND = 'mcp-helper-profile';
+export const PROFILE_VERSION = 1;
+
+export class ProfileManager {
+  constructor(configManager, serverCardsManager) {
+    this.configManager = configManager;
+    this.serverCardsManager = serverCardsManager;
+  }
+
+  /**
+   * Build a profile from the effective server list
+   */
+  async buildProfile(options = {}) {
+    const servers = await this.configManager.listServers();
+    const selected = options.servers?.length
+      ? servers.filter(server => options.servers.includes(server.id))
+      : servers;
+
+    return {
+      kind: PROFILE_KIND,
+      version: PROFILE_VERSION,
+      name: options.name || path.basename(this.configManager.projectRoot),
+      exportedAt: new Date().toISOString(),
+      servers: selected.map(server => this.describeServer(server))
+    };
+  }
+
+  /**
+   * Describe one configured server without any env values
+   */
+  describeServer(server) {
+    const cardId = this.getCardId(server);
+    const entry = { id: server.id };
+
+    if (cardId) {
+      entry.card = cardId;
+      // A named instance of the card (add --as); its ID namespaces the env vars
+      if (server.config.metadata?.instance) {
+        entry.instance = true;
+      }
+    }
+    entry.scope = server.scope;
+    entry.env = this.getEnvNames(server.config);
+
+    // Servers that aren't in the catalog can't be regenerated, so their launch config travels along
+    if (!cardId) {
+      entry.config = this.sanitizeConfig(server.config, entry.env);
+      entry.env = this.getEnvNames(entry.config);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Find the catalog card a configured server was generated from
+   */
+  getCardId(server) {
+    const cardId = server.config.metadata?.cardId || server.id;
+    const card = this.serverCardsManager.getCard(cardId);
+    return card && !card.custom ? cardId : null;
+  }
+
+  /**
+   * Names of every env var a server entry sets or references
+   */
+  getEnvNames(serverConfig) {
+    const { metadata, ...launchConfig } = serverConfig;
+    const names = new Set(Object.keys(serverConfig.env || {}));
+
+    for (const match of JSON.stringify(launchConfig).matchAll(/\$\{([\w.-]+)\}/g)) {
+      names.add(match[1]);
+    }
+    findSecretRefs(launchConfig).forEach(name => names.add(name));
+
+    return [...names].sort();
+  }
+
+  /**
+   * Replace every env value with a reference, including NAME=value pairs in args
+   */
+  sanitizeConfig(serverConfig, envNames) {
+    const { metadata, ...config } = structuredClone(serverConfig);
+    const isReference = value => typeof value === 'string' && /^\$\{(secret:)?[\w.-]+\}$/.test(value);
+
+    if (config.env) {
+      config.env = Object.fromEntries(Object.entries(config.env).map(([key, value]) =>
+        [key, isReference(value) ? value : `\${${key}}`]
+      ));
+    }
+
+    if (config.args) {
+      config.args = config.args.map(arg => {
+        const match = typeof arg === 'string' && arg.match(/^([\w.-]+)=(.*)$/);
+        if (match && (envNames.includes(match[1]) || isSensitiveEnvVar(match[1])) && !isReference(match[2])) {
+          return `${match[1]}=\${${match[1]}}`;
+        }
+        return arg;
+      });
+    }
+
+    return config;
+  }
+
+  /**
+   * Serialize a profile as YAML or JSON
+   */
+  serialize(profile, format = 'yaml') {
+    return format === 'json'
+      ? JSON.stringify(profile, null, 2) + '\n'
+      : yaml.dump(profile, { lineWidth: 120, noRefs: true });
+  }
+
+  /**
+   * Read and validate a profile file (YAML or JSON)
+   */
+  async readProfile(filePath) {
+    const content = await fs.readFile(filePath, 'utf-8');
+    const profile = yaml.load(content);
+
+    if (!profile || profile.kind !== PROFILE_KIND) {
+      throw new Error(`${filePath} is not an mcp-helper profile`);
+    }
+    if (profile.version > PROFILE_VERSION) {
+      throw new Error(`${filePath} was written by a newer mcp-helper (profile version ${profile.version})`);
+    }
+    if (!Array.isArray(profile.servers)) {
+      throw new Error(`${filePath} has no servers list`);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Work out what importing a profile involves
+   * Returns one step per server with the env vars it needs and which of them are missing
+   */
+  async planImport(profile, options = {}) {
+    const projectEnv = await this.configManager.readProjectEnv();
+    const steps = [];
+
+    for (const entry of profile.servers) {
+      const scope = options.scope || entry.scope || 'global';
+      const card = entry.card ? this.serverCardsManager.getCard(entry.card) : null;
+      const instance = card && entry.instance ? entry.id : null;
+      const step = { id: entry.id, scope, card, instance, config: entry.config || null, env: [], skip: null };
+
+      if (entry.card && !card) {
+        step.skip = `card '${entry.card}' is not in this catalog`;
+      } else if (!card && !entry.config) {
+        step.skip = 'no card or config in the profile';
+      } else if (!options.overwrite && await this.configManager.isServerConfigured(entry.id, scope)) {
+        step.skip = `already configured (${scope})`;
+      }
+
+      if (!step.skip) {
+        const schema = new Map((card?.envSchema || []).map(envVar => [instanceEnvName(instance, envVar.name), envVar]));
+        for (const name of entry.env || []) {
+          const envVar = schema.get(name);
+          const secret = isSensitiveEnvVar(name, envVar);
+          const known = secret
+            ? process.env[name] ?? await this.configManager.secrets.get(name)
+            : projectEnv[name] ?? process.env[name];
+
+          step.env.push({
+            name,
+            secret,
+            description: envVar?.description,
+            required: envVar ? envVar.required !== false : true,
+            value: known,
+            // Secrets already in the store stay there; only values from the environment get copied in
+            storeSecret: secret && process.env[name] !== undefined,
+            missing: known === undefined || known === ''
+          });
+        }
+      }
+
+      steps.push(step);
+    }
+
+    return steps;
+  }
+
+  /**
+   * Configure one planned server; values maps env names to anything collected for missing vars
+   */
+  async applyStep(step, values = {}) {
+    const secrets = {};
+    const plain = {};
+
+    for (const envVar of step.env) {
+      const value = values[envVar.name] ?? envVar.value;
+      if (value === undefined || value === '') continue;
+      if (envVar.secret) {
+        if (envVar.storeSecret || envVar.name in values) secrets[envVar.name] = value;
+      } else {
+        plain[envVar.name] = value;
+      }
+    }
+
+    await this.configManager.secrets.setMany(secrets);
+    const secretNames = step.env.filter(envVar => envVar.secret).map(envVar => envVar.name);
+
+    let serverConfig;
+    if (step.card) {
+      // The card's names, not the instance's namespaced ones
+      const cardValues = Object.fromEntries((step.card.envSchema || [])
+        .filter(envVar => instanceEnvName(step.instance, envVar.name) in plain)
+        .map(envVar => [envVar.name, plain[instanceEnvName(step.instance, envVar.name)]]));
+      serverConfig = this.serverCardsManager.generateServerConfig(step.card,
+        step.scope === 'project' ? {} : cardValues, { instance: step.instance });
+    } else {
+      serverConfig = this.configManager.useSecretRefs(
+        step.scope === 'project' ? step.config : this.inlineValues(step.config, plain),
+        secretNames
+      );
+    }
+
+    if (step.scope === 'project') {
+      await this.configManager.addServerProject(step.id, serverConfig);
+      if (Object.keys(plain).length > 0) {
+        await this.configManager.writeProjectEnv(plain, { section: step.card?.name || step.id });
+      }
+    } else {
+      await this.configManager.addServerPrivate(step.scope, step.id, serverConfig);
+    }
+
+    return serverConfig;
+  }
+
+  /**
+   * Fill ${NAME} placeholders with known values (global entries carry their own values)
+   */
+  inlineValues(serverConfig, values) {
+    const replace = value => typeof value === 'string'
+      ? value.replace(/\$\{([\w.-]+)\}/g, (match, name) => values[name] ?? match)
+      : value;
+
+    return {
+      ...serverConfig,
+      args: (serverConfig.args || []).map(replace),
+      ...(serverConfig.env && {
+        env: Object.fromEntries(Object.entries(serverConfig.env).map(([key, value]) => [key, replace(value)]))
+      })
+    };
+  }
+}
+
+export default ProfileManager;
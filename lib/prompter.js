@@ -0,0 +1,241 @@
+/**
+ * Prompter for MCP Helper
+ * Asks inquirer questions, unless they are already answered: by --answer key=value flags,
+ * MCP_HELPER_ANSWER_<KEY> env vars or an answers file (--answers answers.yaml), in that
+ * order. A question's key is its `key` field, or its name. Without a terminal, or with
+ * --yes, nothing is asked: confirmations are accepted with --yes (and otherwise only
+ * declined when that is their default), other questions take their default, and a
+ * question left without a usable answer fails with a message naming the key to provide.
+ * Under --json / --format yaml nothing is asked either, as the prompts would not be seen.
+ */
+
+import fs from 'fs-extra';
+import yaml from 'js-yaml';
+import inquirer from 'inquirer';
+import { structuredOutput } from './output.js';
+import { AnswerRequiredError, InvalidAnswerError } from './errors.js';
+
+// Set by BaseCommand from --answers / --yes, so the scripts commands spawn see them too
+export const ANSWERS_FILE_ENV = 'MCP_HELPER_ANSWERS';
+export const ASSUME_YES_ENV = 'MCP_HELPER_YES';
+export const ANSWER_ENV_PREFIX = 'MCP_HELPER_ANSWER_';
+
+/**
+ * Env var that answers a question: env.GITHUB_TOKEN → MCP_HELPER_ANSWER_ENV_GITHUB_TOKEN
+ */
+export function answerEnvName(key) {
+  return `${ANSWER_ENV_PREFIX}${key.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+const isTrue = value => /^(1|true|yes|y)$/i.test(String(value).trim());
+const isFalse = value => /^(0|false|no|n)$/i.test(String(value).trim());
+
+/**
+ * Whether --yes (or MCP_HELPER_YES) is in effect
+ */
+export function assumingYes(env = process.env) {
+  return isTrue(env[ASSUME_YES_ENV] || '');
+}
+
+export class Prompter {
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.answersFile = options.answersFile ?? this.env[ANSWERS_FILE_ENV] ?? null;
+    this.assumeYes = options.assumeYes ?? assumingYes(this.env);
+    this.interactive = options.interactive ?? (!!process.stdin.isTTY && !this.assumeYes && !structuredOutput(this.env));
+    this.fileAnswers = null;
+  }
+
+  /**
+   * Ask the questions nothing answers yet; same contract as inquirer.prompt
+   */
+  async prompt(questions) {
+    const answers = {};
+    const missing = [];
+
+    for (const question of [].concat(questions)) {
+      if (question.when !== undefined && !(typeof question.when === 'function' ? await question.when(answers) : question.when)) {
+        continue;
+      }
+
+      const key = question.key || question.name;
+      const provided = await this.lookup(key);
+      if (provided !== undefined) {
+        answers[question.name] = await this.accept(question, this.coerce(question, provided, answers), answers, key);
+        continue;
+      }
+
+      if (this.interactive) {
+        Object.assign(answers, await inquirer.prompt([question], answers));
+        continue;
+      }
+
+      const fallback = await this.fallback(question, answers);
+      if (fallback === undefined || await this.check(question, fallback, answers) !== true) {
+        missing.push({ question, key });
+        continue;
+      }
+      answers[question.name] = fallback;
+    }
+
+    if (missing.length > 0) {
+      throw new AnswerRequiredError(await this.describeMissing(missing, answers), {
+        answerKeys: missing.map(({ key }) => key)
+      });
+    }
+    return answers;
+  }
+
+  /**
+   * The answer given for a key, if any
+   */
+  async lookup(key) {
+    const fromEnv = this.env[answerEnvName(key)];
+    if (fromEnv !== undefined) {
+      return fromEnv;
+    }
+
+    const fileAnswers = await this.loadAnswersFile();
+    if (Object.hasOwn(fileAnswers, key)) {
+      return fileAnswers[key];
+    }
+    let value = fileAnswers;
+    for (const part of key.split('.')) {
+      value = value !== null && typeof value === 'object' ? value[part] : undefined;
+    }
+    return value === null ? undefined : value;
+  }
+
+  async loadAnswersFile() {
+    if (!this.fileAnswers) {
+      this.fileAnswers = {};
+      if (this.answersFile) {
+        try {
+          this.fileAnswers = yaml.load(await fs.readFile(this.answersFile, 'utf-8')) || {};
+        } catch (error) {
+          throw new Error(`Can't read answers file ${this.answersFile}: ${error.message}`);
+        }
+      }
+    }
+    return this.fileAnswers;
+  }
+
+  /**
+   * Turn a flag, env var or file value into what the prompt would have returned
+   */
+  coerce(question, value, answers) {
+    switch (question.type) {
+      case 'confirm':
+        if (typeof value === 'boolean') return value;
+        if (isTrue(value)) return true;
+        if (isFalse(value)) return false;
+        return value;
+      case 'number':
+        return Number(value);
+      case 'list':
+      case 'rawlist':
+      case 'expand': {
+        const choice = this.getChoices(question, answers).find(choice => String(choice.value) === String(value) || choice.name === value);
+        return choice ? choice.value : value;
+      }
+      case 'checkbox': {
+        const items = Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+        return items.map(item => this.coerce({ ...question, type: 'list' }, item, answers));
+      }
+      default:
+        return typeof value === 'string' ? value : String(value);
+    }
+  }
+
+  /**
+   * What a question gets when nothing answers it and nobody is at the terminal
+   */
+  async fallback(question, answers) {
+    if (question.type === 'confirm') {
+      // Declining is taken as the default; going ahead needs --yes or an answer
+      return this.assumeYes ? true : question.default === false ? false : undefined;
+    }
+
+    let value = typeof question.default === 'function' ? await question.default(answers) : question.default;
+    const choices = ['list', 'rawlist', 'expand', 'checkbox'].includes(question.type) ? this.getChoices(question, answers) : null;
+    if (question.type === 'checkbox') {
+      return value ?? choices.filter(choice => choice.checked).map(choice => choice.value);
+    }
+    if (choices) {
+      // A list default may be the index of a choice
+      if (typeof value === 'number' && !choices.some(choice => choice.value === value)) {
+        value = choices[value]?.value;
+      }
+      return choices.some(choice => choice.value === value) ? value : undefined;
+    }
+    return value === undefined || !question.filter ? value : await question.filter(value, answers);
+  }
+
+  async accept(question, value, answers, key) {
+    const filtered = question.filter && !['list', 'checkbox', 'confirm'].includes(question.type)
+      ? await question.filter(value, answers)
+      : value;
+    const result = await this.check(question, filtered, answers);
+    if (result !== true) {
+      throw new InvalidAnswerError(`Invalid answer for ${key}: ${typeof result === 'string' ? result : JSON.stringify(value)}`, {
+        answerKeys: [key]
+      });
+    }
+    return filtered;
+  }
+
+  async check(question, value, answers) {
+    const choices = ['list', 'rawlist', 'expand', 'checkbox'].includes(question.type) ? this.getChoices(question, answers) : null;
+    const values = question.type === 'checkbox' ? value : [value];
+    if (choices && !values.every(item => choices.some(choice => choice.value === item))) {
+      return `expected ${question.type === 'checkbox' ? 'some' : 'one'} of ${choices.map(choice => choice.value).join(', ')}`;
+    }
+    if (question.type === 'number' && Number.isNaN(value)) {
+      return 'expected a number';
+    }
+    if (question.type === 'confirm' && typeof value !== 'boolean') {
+      return 'expected yes or no';
+    }
+    return question.validate ? (await question.validate(value, answers)) || false : true;
+  }
+
+  getChoices(question, answers) {
+    const choices = typeof question.choices === 'function' ? question.choices(answers) : question.choices || [];
+    return choices
+      .filter(choice => choice.type !== 'separator')
+      .map(choice => typeof choice === 'object' ? { ...choice, value: choice.value ?? choice.name } : { name: String(choice), value: choice });
+  }
+
+  async describeMissing(missing, answers) {
+    const lines = [];
+    for (const { question, key } of missing) {
+      const message = typeof question.message === 'function' ? await question.message(answers) : question.message;
+      const choices = ['list', 'rawlist', 'expand', 'checkbox'].includes(question.type) ? this.getChoices(question, answers) : null;
+      const hint = question.type === 'confirm' ? ' (yes/no)' : choices ? ` (one of: ${choices.map(choice => choice.value).join(', ')})` : '';
+      lines.push(`  ${key}${hint} - ${String(message || '').replace(/:$/, '')}`);
+    }
+    const first = missing[0].key;
+    return [
+      `No answer for ${missing.length === 1 ? 'a question' : `${missing.length} questions`} and no terminal to ask:`,
+      ...lines,
+      `Answer with --answer ${first}=<value>, an answers file (--answers answers.yaml), or ${answerEnvName(first)}` +
+        (missing.some(({ question }) => question.type === 'confirm') ? '; --yes accepts confirmations' : '')
+    ].join('\n');
+  }
+}
+
+/**
+ * inquirer.prompt replacement that honours --answers, --answer and --yes
+ */
+export function prompt(questions) {
+  return new Prompter().prompt(questions);
+}
+
+/**
+ * Whether questions will actually be shown to someone
+ */
+export function isInteractive() {
+  return new Prompter().interactive;
+}
+
+export default Prompter;
@@ -0,0 +1,121 @@
+/**
+ * Safe File Writer for MCP Helper
+ * Lock files, change detection and atomic (temp file + rename) replacement
+ * for config files that other programs - Claude Code itself - rewrite too
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+export class SafeFileWriter {
+  constructor(options = {}) {
+    this.lockTimeout = options.lockTimeout || 10000;
+    this.staleLockMs = options.staleLockMs || 30000;
+    this.retryDelay = options.retryDelay || 50;
+  }
+
+  /**
+   * Hash file content for change detection
+   */
+  hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Capture the current state of a file
+   */
+  async snapshot(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      return { exists: false, content: null, hash: null, mtimeMs: null };
+    }
+
+    const [content, stat] = await Promise.all([
+      fs.readFile(filePath, 'utf-8'),
+      fs.stat(filePath)
+    ]);
+
+    return { exists: true, content, hash: this.hash(content), mtimeMs: stat.mtimeMs };
+  }
+
+  /**
+   * Check whether a file still matches a snapshot taken earlier
+   */
+  async isUnchanged(filePath, snapshot) {
+    const current = await this.snapshot(filePath);
+    return current.hash === snapshot.hash;
+  }
+
+  /**
+   * Run fn while holding an exclusive <file>.lock
+   * Locks older than staleLockMs are assumed to belong to a crashed process
+   */
+  async withLock(filePath, fn) {
+    const lockPath = `${filePath}.lock`;
+    const deadline = Date.now() + this.lockTimeout;
+
+    await fs.ensureDir(path.dirname(filePath));
+
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(lockPath, 'wx');
+        await handle.writeFile(`${process.pid}\n`);
+        await handle.close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        const stat = await fs.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > this.staleLockMs) {
+          await fs.remove(lockPath);
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for lock on ${filePath} (remove ${lockPath} if no other mcp-helper is running)`);
+        }
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.remove(lockPath);
+    }
+  }
+
+  /**
+   * Replace a file atomically: write a temp file next to it, then rename over it
+   * Keeps the original file's permissions
+   */
+  async writeAtomic(filePath, content, options = {}) {
+    const dir = path.dirname(filePath);
+    const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+    const existing = await fs.stat(filePath).catch(() => null);
+    const mode = options.mode ?? (existing ? existing.mode & 0o777 : 0o644);
+
+    await fs.ensureDir(dir);
+
+    try {
+      const handle = await fs.promises.open(tempPath, 'w', mode);
+      await handle.writeFile(content);
+      await handle.sync();
+      await handle.close();
+      await fs.chmod(tempPath, mode);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Serialize and atomically write JSON
+   */
+  async writeJsonAtomic(filePath, data, options = {}) {
+    await this.writeAtomic(filePath, JSON.stringify(data, null, 2) + '\n', options);
+  }
+}
+
+export default SafeFileWriter;
@@ -0,0 +1,496 @@
+/**
+ * Secret Store for MCP Helper
+ * Keeps API tokens out of ~/.claude.json, .mcp.json and .env. Configs hold
+ * ${secret:NAME} references that `mcp-helper launch` resolves when Claude Code
+ * starts the server, or, for remote servers, when it asks for their headers.
+ *
+ * Backends:
+ *   vault - AES-256-GCM encrypted ~/.mcp-helper/vault.json, key derived from a passphrase
+ *   pass  - gpg-encrypted files managed by the `pass` password store (entries under mcp-helper/)
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { execFile, execSync } from 'child_process';
+import { promisify } from 'util';
+import { SafeFileWriter } from './safe-file-writer.js';
+import { SettingsManager } from './settings-manager.js';
+import { structuredOutput } from './output.js';
+import { OAuthClient, parseTokenSet, isTokenExpired } from './oauth.js';
+
+const execFileAsync = promisify(execFile);
+
+export const SECRET_BACKENDS = ['vault', 'pass'];
+export const DEFAULT_SECRET_BACKEND = 'vault';
+
+const SECRET_NAME = '[A-Za-z_][A-Za-z0-9_.-]*';
+const SECRET_REF_PATTERN = new RegExp(`\\$\\{secret:(${SECRET_NAME})\\}`, 'g');
+
+// Env var names that hold credentials when a server card doesn't say either way
+const SENSITIVE_NAME_PATTERN = /(TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIAL|(^|_)PAT$)/i;
+
+// Claude Code starts wrapped servers as: mcp-helper launch -- <command> <args...>
+export const LAUNCHER_COMMAND = 'mcp-helper';
+const LAUNCHER_ARGS = ['launch', '--'];
+
+// ...and gets the headers of remote ones from: mcp-helper launch --headers '<Name>: <value>'...
+const HEADERS_HELPER = `${LAUNCHER_COMMAND} launch --headers`;
+
+/**
+ * Build a ${secret:NAME} reference
+ */
+export function secretRef(name) {
+  return `\${secret:${name}}`;
+}
+
+/**
+ * Check whether a secret name is usable in a reference
+ */
+export function isValidSecretName(name) {
+  return new RegExp(`^${SECRET_NAME}$`).test(name);
+}
+
+/**
+ * Collect the secret names referenced anywhere in a string, array or object
+ */
+export function findSecretRefs(value) {
+  const names = new Set();
+  const visit = item => {
+    if (typeof item === 'string') {
+      for (const match of item.matchAll(SECRET_REF_PATTERN)) {
+        names.add(match[1]);
+      }
+    } else if (Array.isArray(item)) {
+      item.forEach(visit);
+    } else if (item && typeof item === 'object') {
+      Object.values(item).forEach(visit);
+    }
+  };
+  visit(value);
+  return [...names];
+}
+
+/**
+ * Replace ${secret:NAME} references in a string, array or object with values from a map
+ */
+export function replaceSecretRefs(value, secrets) {
+  if (typeof value === 'string') {
+    return value.replace(SECRET_REF_PATTERN, (match, name) => secrets[name] ?? match);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => replaceSecretRefs(item, secrets));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceSecretRefs(item, secrets)]));
+  }
+  return value;
+}
+
+/**
+ * Decide whether an env var holds a credential
+ * An explicit `sensitive` flag on the server card's envSchema entry wins over the name
+ */
+export function isSensitiveEnvVar(name, schemaEntry = null) {
+  if (schemaEntry && typeof schemaEntry.sensitive === 'boolean') {
+    return schemaEntry.sensitive;
+  }
+  return SENSITIVE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Check whether an entry is a remote (HTTP or SSE) server: { type, url, headers }
+ */
+export function isRemoteServer(serverConfig) {
+  return serverConfig.type === 'http' || serverConfig.type === 'sse' || !!serverConfig.url;
+}
+
+/**
+ * Route a stdio server through `mcp-helper launch` so its secret references get resolved
+ * A remote server's headers that hold secret references are moved to a headersHelper
+ * instead, which Claude Code runs for the header values. Entries that are already
+ * wrapped are returned unchanged
+ */
+export function wrapWithLauncher(serverConfig) {
+  if (isRemoteServer(serverConfig)) {
+    return wrapRemoteHeaders(serverConfig);
+  }
+  if (!serverConfig.command || serverConfig.transport === 'http' || isLaunched(serverConfig)) {
+    return serverConfig;
+  }
+
+  return {
+    ...serverConfig,
+    command: LAUNCHER_COMMAND,
+    args: [...LAUNCHER_ARGS, serverConfig.command, ...(serverConfig.args || [])]
+  };
+}
+
+/**
+ * Get the command `mcp-helper launch` would run for a wrapped entry, or for a remote
+ * entry the headers its headersHelper sends
+ */
+export function unwrapLauncher(serverConfig) {
+  const helperHeaders = parseHeadersHelper(serverConfig.headersHelper);
+  if (helperHeaders) {
+    const { headersHelper, ...config } = serverConfig;
+    return { ...config, headers: { ...serverConfig.headers, ...helperHeaders } };
+  }
+  if (!isLaunched(serverConfig)) {
+    return serverConfig;
+  }
+
+  const [command, ...args] = serverConfig.args.slice(LAUNCHER_ARGS.length);
+  return { ...serverConfig, command, args };
+}
+
+function wrapRemoteHeaders(serverConfig) {
+  if (findSecretRefs(serverConfig.headers || {}).length === 0) {
+    return serverConfig;
+  }
+
+  const { headers, ...config } = unwrapLauncher(serverConfig);
+  const secretHeaders = Object.entries(headers).filter(([, value]) => findSecretRefs(value).length > 0);
+
+  const plainHeaders = Object.fromEntries(Object.entries(headers).filter(([, value]) => findSecretRefs(value).length === 0));
+  return {
+    ...config,
+    ...(Object.keys(plainHeaders).length > 0 ? { headers: plainHeaders } : {}),
+    headersHelper: [HEADERS_HELPER, ...secretHeaders.map(([name, value]) => shellQuote(`${name}: ${value}`))].join(' ')
+  };
+}
+
+/**
+ * The headers a headersHelper written by wrapWithLauncher() sends, by name; null for
+ * any other helper
+ */
+function parseHeadersHelper(helper) {
+  if (typeof helper !== 'string' || !helper.startsWith(`${HEADERS_HELPER} `)) {
+    return null;
+  }
+
+  const headers = {};
+  for (const [, quoted] of helper.slice(HEADERS_HELPER.length).matchAll(/\s'((?:[^']|'\\'')*)'/g)) {
+    const header = quoted.replaceAll("'\\''", "'");
+    const separator = header.indexOf(':');
+    headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+  }
+  return headers;
+}
+
+// Single-quoted for the shell Claude Code runs a headersHelper in, so ${secret:NAME} stays as written
+function shellQuote(value) {
+  return `'${value.replaceAll("'", "'\\''")}'`;
+}
+
+function isLaunched(serverConfig) {
+  return serverConfig.command === LAUNCHER_COMMAND &&
+    Array.isArray(serverConfig.args) &&
+    LAUNCHER_ARGS.every((arg, i) => serverConfig.args[i] === arg);
+}
+
+/**
+ * Encrypted local vault: one JSON file, the whole secret map sealed with AES-256-GCM
+ */
+export class VaultBackend {
+  constructor(options = {}) {
+    this.vaultPath = options.vaultPath || path.join(os.homedir(), '.mcp-helper', 'vault.json');
+    this.passphraseCommand = options.passphraseCommand || null;
+    this.writer = new SafeFileWriter();
+    this.passphrase = null;
+    this.cache = null;
+    this.scryptParams = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+  }
+
+  get name() {
+    return 'vault';
+  }
+
+  /**
+   * Get the vault passphrase: MCP_HELPER_VAULT_PASSPHRASE, then the configured
+   * passphrase command, then an interactive prompt (terminal only)
+   */
+  async getPassphrase(confirmNew = false) {
+    if (this.passphrase) {
+      return this.passphrase;
+    }
+
+    if (process.env.MCP_HELPER_VAULT_PASSPHRASE) {
+      this.passphrase = process.env.MCP_HELPER_VAULT_PASSPHRASE;
+    } else if (this.passphraseCommand) {
+      this.passphrase = execSync(this.passphraseCommand, { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'inherit'] }).trim();
+    } else if (process.stdin.isTTY && process.stdout.isTTY && !structuredOutput()) {
+      const { default: inquirer } = await import('inquirer');
+      const questions = [{ type: 'password', name: 'passphrase', mask: '*', message: 'Vault passphrase:' }];
+      if (confirmNew) {
+        questions.push({
+          type: 'password',
+          name: 'confirm',
+          mask: '*',
+          message: 'Repeat passphrase:',
+          validate: (input, answers) => input === answers.passphrase || 'Passphrases do not match'
+        });
+      }
+      this.passphrase = (await inquirer.prompt(questions)).passphrase;
+    }
+
+    if (!this.passphrase) {
+      throw new Error('Vault is locked: set MCP_HELPER_VAULT_PASSPHRASE or configure secrets.vault.passphraseCommand');
+    }
+    return this.passphrase;
+  }
+
+  async deriveKey(passphrase, salt, params = this.scryptParams) {
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(passphrase, salt, 32, params, (error, key) => error ? reject(error) : resolve(key));
+    });
+  }
+
+  /**
+   * Decrypt the vault into a { NAME: value } map
+   */
+  async load() {
+    if (!await fs.pathExists(this.vaultPath)) {
+      return {};
+    }
+
+    // Key derivation is deliberately slow, so reuse the decrypted map until the file changes
+    const { mtimeMs } = await fs.stat(this.vaultPath);
+    if (this.cache?.mtimeMs === mtimeMs) {
+      return { ...this.cache.secrets };
+    }
+
+    const vault = await fs.readJson(this.vaultPath);
+    const { N, r, p, salt } = vault.kdf;
+    const key = await this.deriveKey(await this.getPassphrase(), Buffer.from(salt, 'base64'), { ...this.scryptParams, N, r, p });
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]);
+      const secrets = JSON.parse(plaintext.toString('utf-8'));
+      this.cache = { mtimeMs, secrets };
+      return { ...secrets };
+    } catch {
+      this.passphrase = null;
+      throw new Error(`Cannot decrypt ${this.vaultPath}: wrong passphrase or corrupted vault`);
+    }
+  }
+
+  /**
+   * Encrypt and atomically write the secret map (fresh salt and IV every time)
+   */
+  async save(secrets) {
+    const isNew = !await fs.pathExists(this.vaultPath);
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await this.deriveKey(await this.getPassphrase(isNew), salt);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf-8'), cipher.final()]);
+
+    await this.writer.writeJsonAtomic(this.vaultPath, {
+      version: 1,
+      cipher: 'aes-256-gcm',
+      kdf: { name: 'scrypt', N: this.scryptParams.N, r: this.scryptParams.r, p: this.scryptParams.p, salt: salt.toString('base64') },
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, { mode: 0o600 });
+  }
+
+  async get(name) {
+    return (await this.load())[name];
+  }
+
+  async set(name, value) {
+    await this.writer.withLock(this.vaultPath, async () => {
+      const secrets = await this.load();
+      secrets[name] = value;
+      await this.save(secrets);
+    });
+  }
+
+  async remove(name) {
+    return this.writer.withLock(this.vaultPath, async () => {
+      const secrets = await this.load();
+      if (!(name in secrets)) return false;
+      delete secrets[name];
+      await this.save(secrets);
+      return true;
+    });
+  }
+
+  async list() {
+    return Object.keys(await this.load()).sort();
+  }
+}
+
+/**
+ * `pass` adapter: each secret is a gpg-encrypted file at <store>/mcp-helper/NAME.gpg
+ */
+export class PassBackend {
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'mcp-helper';
+    this.storeDir = process.env.PASSWORD_STORE_DIR || path.join(os.homedir(), '.password-store');
+  }
+
+  get name() {
+    return 'pass';
+  }
+
+  entry(name) {
+    return `${this.prefix}/${name}`;
+  }
+
+  async run(args, input = null) {
+    try {
+      if (input === null) {
+        const { stdout } = await execFileAsync('pass', args);
+        return stdout;
+      }
+      return await new Promise((resolve, reject) => {
+        const child = execFile('pass', args, (error, stdout, stderr) =>
+          error ? reject(Object.assign(error, { stderr })) : resolve(stdout));
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('pass is not installed (https://www.passwordstore.org)');
+      }
+      throw new Error(`pass ${args[0]} failed: ${(error.stderr || error.message).trim()}`);
+    }
+  }
+
+  async get(name) {
+    if (!await fs.pathExists(path.join(this.storeDir, `${this.entry(name)}.gpg`))) {
+      return undefined;
+    }
+    // pass convention: the secret is the first line, anything after is metadata
+    return (await this.run(['show', this.entry(name)])).split('\n')[0];
+  }
+
+  async set(name, value) {
+    await this.run(['insert', '--multiline', '--force', this.entry(name)], `${value}\n`);
+  }
+
+  async remove(name) {
+    if (await this.get(name) === undefined) return false;
+    await this.run(['rm', '--force', this.entry(name)]);
+    return true;
+  }
+
+  async list() {
+    const dir = path.join(this.storeDir, this.prefix);
+    if (!await fs.pathExists(dir)) return [];
+    return (await fs.readdir(dir))
+      .filter(file => file.endsWith('.gpg'))
+      .map(file => file.slice(0, -'.gpg'.length))
+      .sort();
+  }
+}
+
+export class SecretStore {
+  constructor(options = {}) {
+    this.settings = new SettingsManager();
+    this.backendName = options.backend || null;
+    this.backend = null;
+  }
+
+  /**
+   * Name of the active backend: MCP_HELPER_SECRETS_BACKEND > secrets.backend setting > vault
+   */
+  async getBackendName() {
+    const name = this.backendName ||
+      process.env.MCP_HELPER_SECRETS_BACKEND ||
+      await this.settings.get('secrets.backend', DEFAULT_SECRET_BACKEND);
+
+    if (!SECRET_BACKENDS.includes(name)) {
+      throw new Error(`Unknown secrets backend '${name}' (expected one of: ${SECRET_BACKENDS.join(', ')})`);
+    }
+    return name;
+  }
+
+  async getBackend() {
+    if (!this.backend) {
+      const name = await this.getBackendName();
+      this.backend = name === 'pass'
+        ? new PassBackend()
+        : new VaultBackend({ passphraseCommand: await this.settings.get('secrets.vault.passphraseCommand') });
+    }
+    return this.backend;
+  }
+
+  async get(name) {
+    return (await this.getBackend()).get(name);
+  }
+
+  async set(name, value) {
+    if (!isValidSecretName(name)) {
+      throw new Error(`Invalid secret name: ${name}`);
+    }
+    await (await this.getBackend()).set(name, value);
+  }
+
+  /**
+   * Store several secrets; returns the names written
+   */
+  async setMany(secrets) {
+    const names = Object.keys(secrets).filter(name => secrets[name] !== undefined && secrets[name] !== '');
+    for (const name of names) {
+      await this.set(name, secrets[name]);
+    }
+    return names;
+  }
+
+  async remove(name) {
+    return (await this.getBackend()).remove(name);
+  }
+
+  async list() {
+    return (await this.getBackend()).list();
+  }
+
+  /**
+   * Look up every referenced secret
+   * Returns the values found and the names that are missing
+   */
+  async resolveRefs(value) {
+    const names = findSecretRefs(value);
+    const values = {};
+    const missing = [];
+
+    for (const name of names) {
+      const secret = await this.get(name);
+      if (secret === undefined) {
+        missing.push(name);
+      } else {
+        values[name] = await this.resolveOAuth(name, secret);
+      }
+    }
+
+    return { values, missing };
+  }
+
+  /**
+   * A secret's value as a config uses it: OAuth token sets (see oauth.js) give their
+   * access token, refreshed and stored again first when it has expired
+   */
+  async resolveOAuth(name, secret) {
+    const tokenSet = parseTokenSet(secret);
+    if (!tokenSet) {
+      return secret;
+    }
+    if (!isTokenExpired(tokenSet)) {
+      return tokenSet.accessToken;
+    }
+
+    const refreshed = await new OAuthClient().refresh(tokenSet);
+    await this.set(name, JSON.stringify(refreshed));
+    return refreshed.accessToken;
+  }
+}
+
+export default SecretStore;
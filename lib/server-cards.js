@@ -5,36 +5,72 @@
 
 import fs from 'fs-extra';
 import path from 'path';
-import os from 'os';
 import { fileURLToPath } from 'url';
 import Ajv from 'ajv';
+import { secretRef, isSensitiveEnvVar, findSecretRefs, wrapWithLauncher } from './secret-store.js';
+import { CatalogSources, CUSTOM_SOURCE } from './catalog-sources.js';
+import { cardProvenance } from './drift-detector.js';
+import { oauthSecretName } from './oauth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Env var name an instance of a card uses, so instances don't share values:
+ * POSTGRES_CONNECTION_STRING of postgres-staging is POSTGRES_STAGING_POSTGRES_CONNECTION_STRING
+ */
+export function instanceEnvName(instance, name) {
+  if (!instance) return name;
+  return `${instance.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_${name}`;
+}
+
+/**
+ * Values the card declares for its non-secret variables (envSchema[].default),
+ * used when nothing else is given
+ */
+export function cardEnvDefaults(card) {
+  const defaults = {};
+  for (const envVar of card?.envSchema || []) {
+    if (envVar.default !== undefined && !isSensitiveEnvVar(envVar.name, envVar)) {
+      defaults[envVar.name] = String(envVar.default);
+    }
+  }
+  return defaults;
+}
+
+/**
+ * Check whether a card's deploy describes a hosted (HTTP or SSE) server
+ * Older cards put the URL in the command of a native deploy
+ */
+export function isRemoteDeploy(deploy) {
+  return !!deploy && (['http', 'sse'].includes(deploy.kind) ||
+    (deploy.kind === 'native' && /^https?:\/\//.test(deploy.command || '')));
+}
+
 export class ServerCardsManager {
-  constructor() {
+  constructor(options = {}) {
     this.cardsDir = path.join(__dirname, '..', 'catalog', 'server_cards');
     this.schemaPath = path.join(__dirname, '..', 'schemas', 'server_card.schema.json');
     this.cards = new Map();
     this.ajv = new Ajv();
     this.validator = null;
+    this.catalogSources = options.catalogSources || new CatalogSources({ bundledDir: this.cardsDir });
+    // Card ID -> { source, file, shadows } for every loaded card
+    this.cardOrigins = new Map();
+    this.sourceStatus = [];
   }
 
   /**
    * Initialize and load all server cards
    */
-  async initialize() {
+  async initialize(options = {}) {
     try {
       // Load schema
       const schema = await fs.readJson(this.schemaPath);
       this.validator = this.ajv.compile(schema);
 
-      // Load all server cards from catalog
-      await this.loadAllCards();
-      
-      // Load custom server cards from user directory
-      await this.loadCustomCards();
+      // Load the bundled catalog, configured sources and custom cards
+      await this.loadSources(options);
       
       return true;
     } catch (error) {
@@ -44,101 +80,70 @@ export class ServerCardsManager {
   }
 
   /**
-   * Load all server cards from the catalog
+   * Load cards from every catalog source, lowest priority first so that
+   * a higher-priority source replaces cards with the same ID
    */
-  async loadAllCards() {
-    try {
-      const files = await fs.readdir(this.cardsDir);
-      
-      for (const file of files) {
-        if (file.endsWith('.json') || file.endsWith('.yaml')) {
-          await this.loadCard(file);
-        }
-      }
+  async loadSources(options = {}) {
+    this.sourceStatus = [];
 
-      // Also check for subdirectories (like postgres/)
-      for (const file of files) {
-        const filePath = path.join(this.cardsDir, file);
-        const stat = await fs.stat(filePath);
-        
-        if (stat.isDirectory()) {
-          const subFiles = await fs.readdir(filePath);
-          for (const subFile of subFiles) {
-            if (subFile === 'server_card.yaml' || subFile === 'server_card.json') {
-              await this.loadCard(path.join(file, subFile));
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error loading server cards:', error);
-    }
-  }
+    for (const source of await this.catalogSources.getSources()) {
+      const result = await this.catalogSources.load(source, { refresh: options.refresh });
+      let loaded = 0;
 
-  /**
-   * Load custom server cards from user directory
-   */
-  async loadCustomCards() {
-    try {
-      const customCardsDir = path.join(os.homedir(), '.mcp-helper', 'custom-servers');
-      
-      // Check if directory exists
-      if (!await fs.pathExists(customCardsDir)) {
-        return; // No custom cards yet
+      for (const { file, card } of result.cards) {
+        if (this.addCard(card, source, file)) loaded++;
       }
-      
-      const files = await fs.readdir(customCardsDir);
-      
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const filePath = path.join(customCardsDir, file);
-          try {
-            const cardData = await fs.readJson(filePath);
-            
-            // Mark as custom
-            cardData.custom = true;
-            
-            // Add to cards collection
-            this.cards.set(cardData.id, cardData);
-          } catch (error) {
-            console.error(`Error loading custom card ${file}:`, error);
-          }
-        }
+      for (const { file, error } of result.errors) {
+        console.error(`Error loading card ${file}:`, error);
       }
-    } catch (error) {
-      console.error('Error loading custom cards:', error);
+      if (result.status === 'error' && !options.quiet) {
+        console.error(`Catalog source "${source.name}" is unavailable: ${result.error}`);
+      }
+
+      this.sourceStatus.push({
+        name: source.name,
+        type: source.type,
+        location: source.url || source.path,
+        priority: source.priority,
+        status: result.status,
+        error: result.error,
+        revision: result.revision,
+        fetchedAt: result.fetchedAt,
+        cards: loaded
+      });
     }
   }
 
   /**
-   * Load a single server card
+   * Add one card from a source; cards from custom-servers are trusted as written,
+   * all others must match the schema
    */
-  async loadCard(filename) {
-    try {
-      const filePath = path.join(this.cardsDir, filename);
-      let cardData;
-
-      if (filename.endsWith('.yaml')) {
-        // For YAML files, we'd need js-yaml
-        const yaml = await import('js-yaml');
-        const content = await fs.readFile(filePath, 'utf-8');
-        cardData = yaml.load(content);
-      } else {
-        cardData = await fs.readJson(filePath);
-      }
-
-      // Validate card
-      if (this.validator && !this.validator(cardData)) {
-        console.error(`Invalid server card ${filename}:`, this.validator.errors);
-        return false;
-      }
+  addCard(card, source, file) {
+    const custom = source.name === CUSTOM_SOURCE;
 
-      this.cards.set(cardData.id, cardData);
-      return true;
-    } catch (error) {
-      console.error(`Error loading card ${filename}:`, error);
+    if (!custom && this.validator && !this.validator(card)) {
+      console.error(`Invalid server card ${file}:`, this.validator.errors);
       return false;
     }
+    if (custom) {
+      card.custom = true;
+    }
+
+    const previous = this.cardOrigins.get(card.id);
+    this.cards.set(card.id, card);
+    this.cardOrigins.set(card.id, {
+      source: source.name,
+      file,
+      shadows: previous && previous.source !== source.name ? [previous.source, ...previous.shadows] : (previous?.shadows || [])
+    });
+    return true;
+  }
+
+  /**
+   * Where a card was loaded from, and which lower-priority sources also define it
+   */
+  getCardOrigin(serverId) {
+    return this.cardOrigins.get(serverId);
   }
 
   /**
@@ -155,6 +160,39 @@ export class ServerCardsManager {
     return Array.from(this.cards.values());
   }
 
+  /**
+   * Find the card a configured server belongs to: the card recorded in its metadata,
+   * the card with its ID, or a card whose migrations claim the package or image it runs
+   */
+  findCardForServer(serverId, serverConfig) {
+    const card = this.getCard(serverConfig.metadata?.cardId || serverId);
+    if (card) {
+      return card;
+    }
+    return this.getAllCards().find(candidate => this.applyMigrations(candidate, serverConfig).applied.length > 0) || null;
+  }
+
+  /**
+   * Rewrite the packages and images a card's migrations have renamed
+   * Returns { config, applied } with the migrations that matched
+   */
+  applyMigrations(card, serverConfig) {
+    const applied = new Set();
+    const args = (serverConfig.args || []).map(arg => {
+      for (const migration of card.migrations || []) {
+        const rename = migration.package || migration.image;
+        const separators = migration.package ? ['@'] : [':', '@'];
+        if (arg === rename.from || separators.some(separator => arg.startsWith(`${rename.from}${separator}`))) {
+          applied.add(migration);
+          return rename.to || arg;
+        }
+      }
+      return arg;
+    });
+
+    return { config: { ...serverConfig, args }, applied: [...applied] };
+  }
+
   /**
    * Get active server cards
    */
@@ -177,23 +215,45 @@ export class ServerCardsManager {
 
   /**
    * Generate MCP server configuration from card
+   * overrides ({ tag, mounts, network }) adjust the docker run of docker cards;
+   * overrides.instance names an extra instance whose env references are namespaced
+   * (see instanceEnvName). envVars are always keyed by the card's names; a variable
+   * left out takes the card's default (envSchema[].default), if it declares one.
    */
-  generateServerConfig(card, envVars = {}) {
+  generateServerConfig(card, provided = {}, overrides = {}) {
     const config = {};
+    const envVars = { ...cardEnvDefaults(card), ...provided };
+    const envName = name => instanceEnvName(overrides.instance, name);
+    const declared = new Set((card.envSchema || []).map(envVar => envVar.name));
+    const secretNames = new Set((card.envSchema || [])
+      .filter(envVar => isSensitiveEnvVar(envVar.name, envVar))
+      .map(envVar => envVar.name));
+    // Optional credentials the user skipped are left out rather than referenced
+    const skipped = new Set((card.envSchema || [])
+      .filter(envVar => secretNames.has(envVar.name) && envVar.required === false && !envVars[envVar.name])
+      .map(envVar => envVar.name));
+
+    // Replace ${VAR} with actual values or keep as placeholder;
+    // credentials become ${secret:VAR} references instead of being inlined
+    const substitute = value => value.replace(/\$\{([^}]+)\}/g, (match, varName) => {
+      if (secretNames.has(varName)) return secretRef(envName(varName));
+      if (envVars[varName]) return envVars[varName];
+      return declared.has(varName) ? `\${${envName(varName)}}` : match;
+    });
+
+    // Hosted servers: Claude Code connects to the URL itself
+    if (isRemoteDeploy(card.deploy)) {
+      const remote = this.getRemoteConfig(card, substitute, skipped, overrides.instance || card.id);
+      const generated = findSecretRefs(remote).length > 0 ? wrapWithLauncher(remote) : remote;
+      generated.metadata = cardProvenance(card, { instance: overrides.instance });
+      return generated;
+    }
 
     // Determine command based on deployment type
-    switch (card.deploy.kind) {
+    switch (card.deploy?.kind) {
       case 'docker':
         config.command = card.deploy.command || 'docker';
-        config.args = card.deploy.args || [];
-        
-        // Replace environment variables in args
-        config.args = config.args.map(arg => {
-          // Replace ${VAR} with actual values or keep as placeholder
-          return arg.replace(/\$\{([^}]+)\}/g, (match, varName) => {
-            return envVars[varName] ? envVars[varName] : match;
-          });
-        });
+        config.args = this.getDockerArgs(card, substitute, skipped, overrides);
         break;
 
       case 'npx':
@@ -205,11 +265,6 @@ export class ServerCardsManager {
         if (card.deploy.command === 'uvx') {
           config.command = 'uvx';
           config.args = card.deploy.args || [];
-        } else if (card.deploy.command.startsWith('http')) {
-          // HTTP/SSE transport
-          config.command = card.deploy.command;
-          config.args = [];
-          config.transport = 'http';
         } else {
           config.command = card.deploy.command;
           config.args = card.deploy.args || [];
@@ -233,18 +288,180 @@ export class ServerCardsManager {
         break;
     }
 
+    // Other launchers leave ${VAR} in args for the client to expand, so an instance
+    // points them at its own variables
+    if (overrides.instance && card.deploy?.kind !== 'docker') {
+      config.args = config.args.map(arg => arg.replace(/\$\{([^}]+)\}/g, (match, varName) =>
+        declared.has(varName) ? `\${${envName(varName)}}` : match));
+    }
+
     // Add environment variables if needed
     if (card.envSchema && card.envSchema.length > 0) {
       config.env = {};
       for (const envVar of card.envSchema) {
+        if (skipped.has(envVar.name)) continue;
+        if (secretNames.has(envVar.name)) {
+          config.env[envVar.name] = secretRef(envName(envVar.name));
+          continue;
+        }
         // Use provided value or placeholder
-        config.env[envVar.name] = envVars[envVar.name] || `\${${envVar.name}}`;
+        config.env[envVar.name] = envVars[envVar.name] || `\${${envName(envVar.name)}}`;
       }
     }
 
+    // Secret references are resolved by `mcp-helper launch` when Claude Code starts the server
+    const generated = findSecretRefs(config).length > 0 ? wrapWithLauncher(config) : config;
+    generated.metadata = cardProvenance(card, card.deploy?.kind === 'docker' ? overrides : { instance: overrides.instance });
+    return generated;
+  }
+
+  /**
+   * { type, url, headers } entry of a hosted server
+   * Header values are templated from envSchema (Authorization: Bearer ${TOKEN}); a header
+   * that uses an optional credential the user skipped is left out. Cards with `oauth` send
+   * the server's signed-in token (see oauth.js) unless they set Authorization themselves
+   */
+  getRemoteConfig(card, substitute, skippedEnv, serverId = card.id) {
+    const deploy = card.deploy;
+    const type = ['http', 'sse'].includes(deploy.kind) ? deploy.kind
+      : this.supportsTransport(card, 'sse') && !this.supportsTransport(card, 'http') ? 'sse' : 'http';
+    const config = { type, url: substitute(deploy.url || deploy.command) };
+
+    const headers = Object.entries(deploy.headers || {}).filter(([, value]) =>
+      ![...value.matchAll(/\$\{([^}]+)\}/g)].some(match => skippedEnv.has(match[1])));
+    if (headers.length > 0) {
+      config.headers = Object.fromEntries(headers.map(([name, value]) => [name, substitute(value)]));
+    }
+    if (card.oauth && !Object.keys(config.headers || {}).some(name => name.toLowerCase() === 'authorization')) {
+      config.headers = { ...config.headers, Authorization: `Bearer ${secretRef(oauthSecretName(serverId))}` };
+    }
+
     return config;
   }
 
+  /**
+   * docker run arguments for a docker card
+   * Structured cards (image, tag or digest, env, mounts, network) are assembled here;
+   * cards that spell out deploy.args keep them, with overrides applied around the image
+   */
+  getDockerArgs(card, substitute, skippedEnv, overrides = {}) {
+    const deploy = card.deploy;
+    const image = this.getImageRef(deploy, overrides.tag);
+    const network = overrides.network || deploy.network;
+
+    if (deploy.args) {
+      const args = deploy.args.map(substitute);
+      if (!overrides.tag && !overrides.mounts?.length && !overrides.network) {
+        return args;
+      }
+
+      const index = args.findIndex(arg => deploy.image &&
+        (arg === deploy.image || arg.startsWith(`${deploy.image}:`) || arg.startsWith(`${deploy.image}@`)));
+      if (index === -1) {
+        throw new Error(`${card.id}'s deploy.args don't include its image, so the tag, mounts and network can't be changed`);
+      }
+      // Mounts on a target the user overrides are dropped from the card's args
+      const targets = new Set((overrides.mounts || []).map(mount => mount.split(':')[1]));
+      const runOptions = args.slice(0, index).filter((arg, i, before) =>
+        !(['-v', '--volume'].includes(arg) && targets.has(before[i + 1]?.split(':')[1])) &&
+        !(['-v', '--volume'].includes(before[i - 1]) && targets.has(arg.split(':')[1])));
+
+      return [
+        ...runOptions,
+        ...(overrides.mounts || []).flatMap(mount => ['-v', mount]),
+        ...(overrides.network ? ['--network', overrides.network] : []),
+        image,
+        ...args.slice(index + 1)
+      ];
+    }
+
+    if (!deploy.image) {
+      throw new Error(`${card.id} has neither deploy.image nor deploy.args`);
+    }
+
+    return [
+      'run', '-i', '--rm',
+      ...(deploy.env || []).filter(name => !skippedEnv.has(name)).flatMap(name => ['-e', name]),
+      ...this.getMounts(deploy.mounts, overrides.mounts).flatMap(mount => ['-v', substitute(mount)]),
+      ...(network ? ['--network', network] : []),
+      ...(deploy.options || []).map(substitute),
+      image,
+      ...(deploy.containerArgs || []).map(substitute)
+    ];
+  }
+
+  /**
+   * Problems with user overrides for a card (tag, mounts as source:target[:ro], network)
+   */
+  validateDockerOverrides(card, overrides) {
+    const errors = [];
+    const given = Object.entries(overrides).filter(([, value]) => value !== undefined && !(Array.isArray(value) && value.length === 0));
+    if (given.length === 0) {
+      return errors;
+    }
+
+    if (card.deploy?.kind !== 'docker') {
+      const flags = given.map(([key]) => `--${key === 'mounts' ? 'mount' : key}`).join(', ');
+      errors.push(`${flags} can only be used with docker servers; ${card.id} runs with ${card.deploy?.kind || 'a custom command'}`);
+      return errors;
+    }
+    if (overrides.tag && !/^(sha256:[a-f0-9]{64}|[\w][\w.-]{0,127})$/.test(overrides.tag)) {
+      errors.push(`Invalid tag '${overrides.tag}' (use a tag like 1.2.0 or a sha256:<digest>)`);
+    }
+    for (const mount of overrides.mounts || []) {
+      const [source, target, mode, ...rest] = mount.split(':');
+      if (!source || !target?.startsWith('/') || rest.length > 0 || (mode && !['ro', 'rw'].includes(mode))) {
+        errors.push(`Invalid mount '${mount}' (use source:/container/path or source:/container/path:ro)`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * image, image:tag or image@digest; a tag override starting with sha256: pins a digest
+   */
+  getImageRef(deploy, tagOverride) {
+    if (tagOverride) {
+      return tagOverride.startsWith('sha256:') ? `${deploy.image}@${tagOverride}` : `${deploy.image}:${tagOverride}`;
+    }
+    if (deploy.digest) return `${deploy.image}@${deploy.digest}`;
+    if (deploy.tag) return `${deploy.image}:${deploy.tag}`;
+    return deploy.image;
+  }
+
+  /**
+   * The card's mounts as source:target[:ro], with overrides replacing mounts on the same target
+   */
+  getMounts(cardMounts = [], overrideMounts = []) {
+    const mounts = new Map();
+    for (const mount of [...cardMounts, ...overrideMounts]) {
+      const spec = typeof mount === 'string'
+        ? mount
+        : `${mount.source}:${mount.target}${mount.readOnly ? ':ro' : ''}`;
+      mounts.set(spec.split(':')[1], spec);
+    }
+    return [...mounts.values()];
+  }
+
+  /**
+   * Split collected env values into credentials (for the secret store) and plain settings
+   */
+  splitSecretEnvVars(card, envVars = {}) {
+    const schema = new Map((card.envSchema || []).map(envVar => [envVar.name, envVar]));
+    const secrets = {};
+    const plain = {};
+
+    for (const [name, value] of Object.entries(envVars)) {
+      if (isSensitiveEnvVar(name, schema.get(name))) {
+        secrets[name] = value;
+      } else {
+        plain[name] = value;
+      }
+    }
+
+    return { secrets, plain };
+  }
+
   /**
    * Get required environment variables for a server
    */
@@ -256,7 +473,9 @@ export class ServerCardsManager {
       .map(env => ({
         name: env.name,
         description: env.description,
-        example: env.example
+        example: env.example,
+        default: env.default,
+        sensitive: isSensitiveEnvVar(env.name, env)
       }));
   }
 
@@ -271,20 +490,23 @@ export class ServerCardsManager {
       .map(env => ({
         name: env.name,
         description: env.description,
-        example: env.example
+        example: env.example,
+        default: env.default,
+        sensitive: isSensitiveEnvVar(env.name, env)
       }));
   }
 
   /**
-   * Validate environment variables for a server
+   * Validate environment variables for a server (or for a named instance of it)
    */
-  validateEnvVars(card, providedVars) {
+  validateEnvVars(card, providedVars, instance = null) {
     const required = this.getRequiredEnvVars(card);
     const missing = [];
 
     for (const reqVar of required) {
-      if (!providedVars[reqVar.name]) {
-        missing.push(reqVar);
+      const name = instanceEnvName(instance, reqVar.name);
+      if (!providedVars[name]) {
+        missing.push({ ...reqVar, name });
       }
     }
 
@@ -366,6 +588,10 @@ export class ServerCardsManager {
           instructions.push('Requires: Python and uv package manager');
         }
         break;
+      case 'http':
+      case 'sse':
+        instructions.push(`Hosted at ${card.deploy.url}; nothing to install`);
+        break;
     }
 
     // Add environment variables
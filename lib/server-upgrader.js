@@ -0,0 +1,152 @@
+/**
+ * Server Upgrader for MCP Helper
+ * Brings configured servers in line with their current cards: new deploy args and
+ * image tags, packages or images the card's `migrations` renamed, and deprecated
+ * cards that name a successor in `supersededBy`. Hand edits the card didn't touch are kept.
+ */
+
+import { isDeepStrictEqual } from 'util';
+import { LegacyConfigMerger } from './legacy-config-merger.js';
+
+export class ServerUpgrader {
+  constructor(configManager, serverCardsManager) {
+    this.configManager = configManager;
+    this.serverCardsManager = serverCardsManager;
+    this.merger = new LegacyConfigMerger(configManager);
+  }
+
+  /**
+   * Plan the upgrade of every configured server, or only the given IDs
+   * Returns [{ id, newId, scope, cardId, status, notes, before, after }] where status
+   * is 'upgrade', 'current' or 'skip'
+   */
+  async plan(serverIds = null) {
+    const servers = await this.configManager.listServers({ includeShadowed: true });
+    const plans = [];
+
+    for (const server of servers) {
+      if (!serverIds || serverIds.includes(server.id)) {
+        plans.push(await this.planServer(server));
+      }
+    }
+
+    return plans;
+  }
+
+  async planServer(server) {
+    const plan = {
+      id: server.id,
+      newId: server.id,
+      scope: server.scope,
+      cardId: null,
+      status: 'current',
+      notes: [],
+      before: server.config,
+      after: server.config
+    };
+
+    let card = this.serverCardsManager.findCardForServer(server.id, server.config);
+    if (!card) {
+      return { ...plan, status: 'skip', notes: ['Not generated from a catalog card'] };
+    }
+
+    const { config: migrated, applied } = this.serverCardsManager.applyMigrations(card, server.config);
+    applied.forEach(migration => plan.notes.push(this.describeMigration(migration)));
+
+    let base = await this.configManager.getWrittenServer(server.id, server.scope);
+    if (card.status === 'deprecated') {
+      const successor = card.supersededBy && this.serverCardsManager.getCard(card.supersededBy);
+      if (!successor) {
+        const reason = card.supersededBy ? `its successor ${card.supersededBy} is not in the catalog` : 'the card names no successor';
+        return { ...plan, status: 'skip', notes: [`${card.id} is deprecated, but ${reason}`] };
+      }
+
+      plan.notes.push(`${card.id} is deprecated; replaced by ${successor.id}`);
+      if (server.id === card.id) {
+        plan.newId = successor.id;
+        if (await this.configManager.isServerConfigured(successor.id, server.scope)) {
+          return { ...plan, status: 'skip', notes: [...plan.notes, `${successor.id} is already configured; remove ${server.id} instead`] };
+        }
+      }
+      // The last written entry came from the old card, so it can't tell hand edits apart
+      card = successor;
+      base = null;
+    }
+    plan.cardId = card.id;
+
+    const envValues = server.scope === 'project' ? {} : this.getLiteralEnv(migrated);
+    // Docker overrides chosen when the server was added apply to the same card only;
+    // an instance keeps its namespaced env vars either way
+    const metadata = server.config.metadata || {};
+    const overrides = { ...(base && metadata.overrides), instance: metadata.instance };
+    const generated = this.serverCardsManager.generateServerConfig(card, envValues, overrides);
+    const { merged, conflicts } = this.merger.threeWayMerge(base, migrated, generated);
+
+    // The card decides how the server is launched; env values stay yours
+    for (const conflict of conflicts) {
+      if (conflict.path[0] === 'env') {
+        this.merger.setField(merged, conflict.path, conflict.existing ?? conflict.generated);
+      } else {
+        this.merger.setField(merged, conflict.path, conflict.generated);
+        if (base) {
+          plan.notes.push(`${conflict.field}: your edit is replaced by the card's value`);
+        }
+      }
+    }
+    plan.after = merged;
+
+    const { metadata: oldMetadata, ...oldLaunch } = server.config;
+    const { metadata: newMetadata, ...newLaunch } = merged;
+    if (plan.newId !== plan.id || !isDeepStrictEqual(oldLaunch, newLaunch)) {
+      plan.status = 'upgrade';
+    } else if (oldMetadata?.cardHash !== newMetadata.cardHash) {
+      plan.status = 'upgrade';
+      plan.notes.push(oldMetadata?.cardHash
+        ? 'The card changed, but the config is already current'
+        : `Config is current; records that it comes from ${card.id}`);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Write every planned upgrade, one write (and so one backup) per config file
+   */
+  async apply(plans) {
+    const byScope = new Map();
+
+    for (const plan of plans.filter(plan => plan.status === 'upgrade')) {
+      const changes = byScope.get(plan.scope) || {};
+      if (plan.newId !== plan.id) {
+        changes[plan.id] = null;
+      }
+      changes[plan.newId] = plan.after;
+      byScope.set(plan.scope, changes);
+    }
+
+    for (const [scope, changes] of byScope) {
+      if (!await this.configManager.writeServers(scope, changes)) {
+        throw new Error(`Failed to write the ${scope} config`);
+      }
+    }
+
+    return [...byScope.keys()];
+  }
+
+  describeMigration(migration) {
+    const rename = migration.package || migration.image;
+    const kind = migration.package ? 'Package' : 'Image';
+    const change = rename.to ? `${rename.from} → ${rename.to}` : `${rename.from} is replaced`;
+    return `${kind} ${change}${migration.description ? ` (${migration.description})` : ''}`;
+  }
+
+  /**
+   * Literal env values of an entry (global entries carry their own values)
+   */
+  getLiteralEnv(serverConfig) {
+    return Object.fromEntries(Object.entries(serverConfig.env || {})
+      .filter(([, value]) => typeof value === 'string' && value && !value.startsWith('${')));
+  }
+}
+
+export default ServerUpgrader;
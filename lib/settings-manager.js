@@ -0,0 +1,86 @@
+/**
+ * Settings Manager for MCP Helper
+ * Tool-wide settings stored in ~/.mcp-helper/settings.json
+ * (communication style lives separately in preferences.json)
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { SafeFileWriter } from './safe-file-writer.js';
+
+export class SettingsManager {
+  constructor() {
+    this.settingsDir = path.join(os.homedir(), '.mcp-helper');
+    this.settingsPath = path.join(this.settingsDir, 'settings.json');
+    this.writer = new SafeFileWriter();
+    this.defaultSettings = {
+      backups: {
+        retention: 10
+      }
+    };
+  }
+
+  /**
+   * Read all settings merged over the defaults
+   */
+  async read() {
+    try {
+      if (await fs.pathExists(this.settingsPath)) {
+        const settings = await fs.readJson(this.settingsPath);
+        return this.mergeDefaults(this.defaultSettings, settings);
+      }
+    } catch (error) {
+      console.error('Error reading settings:', error);
+    }
+    return structuredClone(this.defaultSettings);
+  }
+
+  /**
+   * Get a setting by dotted key, e.g. get('backups.retention')
+   */
+  async get(key, fallback = undefined) {
+    const settings = await this.read();
+    const value = key.split('.').reduce((obj, part) => obj?.[part], settings);
+    return value === undefined ? fallback : value;
+  }
+
+  /**
+   * Set a setting by dotted key and persist it
+   */
+  async set(key, value) {
+    await this.writer.withLock(this.settingsPath, async () => {
+      const settings = await this.read();
+      const parts = key.split('.');
+      let target = settings;
+      for (const part of parts.slice(0, -1)) {
+        if (typeof target[part] !== 'object' || target[part] === null) {
+          target[part] = {};
+        }
+        target = target[part];
+      }
+      target[parts[parts.length - 1]] = value;
+
+      await this.writer.writeJsonAtomic(this.settingsPath, settings);
+    });
+    return value;
+  }
+
+  /**
+   * Recursively fill in missing keys from defaults
+   */
+  mergeDefaults(defaults, settings) {
+    const result = { ...settings };
+    for (const [key, value] of Object.entries(defaults)) {
+      if (result[key] === undefined) {
+        result[key] = structuredClone(value);
+      } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+                 result[key] && typeof result[key] === 'object') {
+        result[key] = this.mergeDefaults(value, result[key]);
+      }
+    }
+    return result;
+  }
+}
+
+export default SettingsManager;
@@ -14,25 +14,26 @@ async function testCommand(input) {
   try {
     const result = await handleSlashCommand(input);
     
-    if (result.success) {
+    const messages = result.messages.map(entry => entry.text).join('\n');
+    if (result.ok) {
       console.log('✅ Success!');
       console.log('\n📨 Response:');
-      console.log(result.message);
+      console.log(messages);
       
-      if (result.commands) {
+      if (result.data?.commands) {
         console.log('\nAvailable commands:');
-        result.commands.forEach(cmd => {
-          console.log(`  ${cmd.command} - ${cmd.description}`);
+        result.data.commands.forEach(cmd => {
+          console.log(`  ${cmd.name} - ${cmd.description}`);
         });
       }
       
-      if (result.quickStart) {
-        console.log(`\n${result.quickStart.title}`);
-        result.quickStart.steps.forEach(step => console.log(`  ${step}`));
+      if (result.data?.options) {
+        console.log(`\n${result.data.usage}`);
+        result.data.options.forEach(option => console.log(`  --${option.name} - ${option.description}`));
       }
     } else {
       console.log('❌ Failed!');
-      console.log(result.message);
+      console.log(result.error?.message || messages);
     }
   } catch (error) {
     console.error('💥 Error:', error.message);
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Fake MCP server used by the E2E tests
+ * Speaks just enough JSON-RPC to answer initialize and tools/list,
+ * over stdio when run directly, over HTTP via createHttpHandler() or legacy SSE
+ * via createSseHandler()
+ */
+
+import { fileURLToPath } from 'url';
+
+const TOOLS = [
+  { name: 'echo', description: 'Echo the input back', inputSchema: { type: 'object' } },
+  { name: 'add', description: 'Add two numbers', inputSchema: { type: 'object' } }
+];
+
+export function handleMessage(message) {
+  // Notifications get no response
+  if (message.id === undefined) {
+    return null;
+  }
+
+  switch (message.method) {
+    case 'initialize':
+      return {
+        jsonrpc: '2.0',
+        id: message.id,
+        result: {
+          protocolVersion: message.params?.protocolVersion || '2025-03-26',
+          capabilities: { tools: {} },
+          serverInfo: { name: 'fake-mcp-server', version: '0.0.1' }
+        }
+      };
+    case 'tools/list':
+      return { jsonrpc: '2.0', id: message.id, result: { tools: TOOLS } };
+    default:
+      return { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } };
+  }
+}
+
+/**
+ * Request handler for a Streamable HTTP endpoint
+ */
+export function createHttpHandler() {
+  return (req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const response = handleMessage(JSON.parse(body || '{}'));
+      if (!response) {
+        res.writeHead(202).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'fake-session' });
+      res.end(JSON.stringify(response));
+    });
+  };
+}
+
+/**
+ * Request handler for a legacy HTTP+SSE server: GET opens the event stream, which
+ * announces the POST endpoint; replies to the POSTed messages come back on the stream
+ * With { endpoint: false } the endpoint event is never sent
+ */
+export function createSseHandler(options = {}) {
+  const { endpoint = true } = options;
+  let stream = null;
+
+  return (req, res) => {
+    if (req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      res.write(': connected\n\n');
+      if (endpoint) {
+        res.write('event: endpoint\ndata: /messages?session=fake-session\n\n');
+      }
+      stream = res;
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const response = handleMessage(JSON.parse(body || '{}'));
+      res.writeHead(202).end();
+      if (response) {
+        stream?.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+      }
+    });
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  let buffer = '';
+  process.stdin.on('data', (data) => {
+    buffer += data.toString();
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+      const response = handleMessage(JSON.parse(line));
+      if (response) {
+        process.stdout.write(JSON.stringify(response) + '\n');
+      }
+    }
+  });
+}